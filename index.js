@@ -1,212 +1,2079 @@
-import { Client, GatewayIntentBits, EmbedBuilder, REST, Routes, SlashCommandBuilder, Events } from "discord.js";
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  EmbedBuilder,
+  REST,
+  Routes,
+  SlashCommandBuilder,
+  Events,
+  ChannelType,
+  PermissionFlagsBits,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
+} from "discord.js";
 import dotenv from "dotenv";
 import http from "http";
-import mongoose from "mongoose";
+import { storage, connectStorage, getStorageType, isStorageConnected, STORAGE_TYPES } from "./lib/storage.js";
+import {
+  getGuildConfig,
+  updateGuildConfig,
+  isStaffMember,
+  formatStaffRoles,
+  isTicketCategory,
+  getTicketTypeForCategory,
+  resolveTicketConfig,
+  getTicketConfig
+} from "./lib/guildConfig.js";
+import { startScheduler, getNextJob } from "./lib/scheduler.js";
+import {
+  dispatchTicketEvent,
+  restoreTimers,
+  restartTimers,
+  stopTimers,
+  rescheduleTimers,
+  snoozeTimers,
+  getTimerState,
+  registerTimerJobs
+} from "./lib/timers.js";
+import { startAutoClose, cancelAutoClose, ensureAutoCloseJob, registerAutoCloseJobs } from "./lib/autoClose.js";
+import {
+  getTicket,
+  getTickets,
+  retainTicketData,
+  assignCreator,
+  getChannelTicketType,
+  getTicketCategoryId,
+  createTicket
+} from "./lib/tickets.js";
+import {
+  CLEANUP_REASONS,
+  describeCriteria,
+  hasCriteria,
+  findCleanupCandidates,
+  cleanupTickets,
+  scheduleAutoCleanup,
+  ensureAutoCleanupJobs,
+  registerCleanupJobs
+} from "./lib/cleanup.js";
+import { ADAPTERS, detectCreator, detectWithEachAdapter, detectClose, closeTicket, detectReopen, reopenTicket } from "./lib/detection.js";
+import { generateTranscript, archiveTranscript } from "./lib/transcript.js";
+import { log } from "./lib/log.js";
+import { recordEvent, formatEventLine, getTicketHistory, EVENT_TYPE_NAMES } from "./lib/events.js";
+import { getStats, STATS_PERIODS, UNTYPED } from "./lib/stats.js";
+import { handleApiRequest, authorize } from "./lib/api.js";
+import {
+  PARTICIPANT_ROLES,
+  PAUSE_RULES,
+  getParticipants,
+  getParticipantRole,
+  pausesTimer,
+  replyEventType,
+  addParticipant,
+  removeParticipant
+} from "./lib/participants.js";
+import {
+  getBusinessTimeBetween,
+  describeBusinessHours,
+  isValidTimezone,
+  parseDays,
+  parseHours,
+  isValidDate
+} from "./lib/businessHours.js";
+import { MAX_ESCALATION_LEVELS, addEscalationLevel, describeEscalation, describeSkippedLevels } from "./lib/escalation.js";
+import {
+  getStaffPing,
+  claimTicket,
+  unclaimTicket,
+  markAwaitingStaff,
+  markStaffReplied,
+  registerClaimJobs
+} from "./lib/claims.js";
+import { getNotificationPreferences, setDmReminders } from "./lib/notifications.js";
+import {
+  MAX_WEBHOOKS,
+  createWebhook,
+  checkWebhookUrl,
+  buildPayload,
+  deliverWebhook,
+  getDeadLetters,
+  registerWebhookJobs
+} from "./lib/webhooks.js";
+import { getTicketOverview, TICKET_FILTERS, TICKET_SORTS } from "./lib/overview.js";
+import { evaluateMessage, describeActivity, findActivityEvent, isReminderMessage } from "./lib/activity.js";
+import { renderMetrics, trackErrors, trackCommand, creatorStops } from "./lib/metrics.js";
+import {
+  t,
+  resolveLocale,
+  formatLocalDuration,
+  renderTemplate,
+  validateTemplate,
+  TEMPLATES,
+  PLACEHOLDERS,
+  LOCALES,
+  DEFAULT_LOCALE
+} from "./lib/i18n.js";
+import {
+  resolveSchedule,
+  getReminderOffsets,
+  validateSchedule,
+  parseScheduleInput,
+  describeSchedule,
+  formatDuration,
+  parseDuration
+} from "./lib/schedule.js";
 dotenv.config();
 
-// Disable mongoose buffering to prevent hanging
-mongoose.set("bufferCommands", false);
-
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent
-  ]
+  ],
+  // Edits, deletions and reactions of messages from before the last restart
+  partials: [Partials.Message, Partials.Reaction]
 });
 
 const {
   DISCORD_BOT_TOKEN,
-  TICKET_CATEGORY_ID,
-  STAFF_ROLE_ID,
-  KING_ROLE_ID,
-  LOG_CHANNEL_ID,
-  TICKET_TOOL_BOT_ID,
-  MONGODB_URI
+  MONGODB_URI,
+  STORAGE = "mongodb",
+  STORAGE_FILE = "data/storage.json"
 } = process.env;
 
-const START_DELAY = 10 * 60 * 1000; // 10 min start after KING/Staff message
-const REMINDER_INTERVAL = 6 * 60 * 60 * 1000; // 6h reminder
-const STAFF_ALERT_TIME = 24 * 60 * 60 * 1000; // 24h staff alert
+// Timers live in the database as scheduled jobs (see lib/scheduler.js)
+registerTimerJobs(client);
+registerAutoCloseJobs(client);
+registerClaimJobs(client);
+registerCleanupJobs(client);
+registerWebhookJobs();
 
-// === MONGODB SCHEMA ===
-const ticketSchema = new mongoose.Schema({
-  channelId: { type: String, required: true, unique: true },
-  creatorId: { type: String, required: true },
-  timerStartTime: { type: Number, default: null },
-  reminderCount: { type: Number, default: 0 }
-});
+// --- SLASH COMMANDS ---
+// Schedule options shared by /timer schedule and /config schedule
+function addScheduleOptions(sub) {
+  return sub
+    .addStringOption(option =>
+      option.setName("start_delay")
+        .setDescription("Delay after a staff message before the timer starts (e.g. 10m)")
+    )
+    .addStringOption(option =>
+      option.setName("reminders")
+        .setDescription("Reminder times after the timer starts, comma separated (e.g. 6h,12h,18h)")
+    )
+    .addIntegerOption(option =>
+      option.setName("max_reminders")
+        .setDescription("Maximum number of reminders to send")
+        .setMinValue(0)
+        .setMaxValue(20)
+    )
+    .addStringOption(option =>
+      option.setName("alert_after")
+        .setDescription("Time after the timer starts when staff get alerted (e.g. 24h)")
+    );
+}
 
-const Ticket = mongoose.model('Ticket', ticketSchema);
+// Ticket types are free-form names, so they can't be offered as choices
+function addTicketTypeOption(sub, description, required = false) {
+  return sub.addStringOption(option =>
+    option.setName("type")
+      .setDescription(description)
+      .setRequired(required)
+      .setMaxLength(32)
+  );
+}
 
-// In-memory timers (not stored in DB)
-const timers = new Map();
+function addTemplateNameOption(sub, required) {
+  return sub.addStringOption(option =>
+    option.setName("name")
+      .setDescription(required ? "Message to change" : "Message to reset (all if omitted)")
+      .setRequired(required)
+      .addChoices(...Object.keys(TEMPLATES).map(key => ({ name: key, value: key })))
+  );
+}
 
-// --- SLASH COMMANDS ---
 const commands = [
   new SlashCommandBuilder()
     .setName("timer")
     .setDescription("Manage ticket timers")
-    .addStringOption(option =>
-      option.setName("action")
-        .setDescription("stop/restart/status")
-        .setRequired(true)
-        .addChoices(
-          { name: "stop", value: "stop" },
-          { name: "restart", value: "restart" },
-          { name: "status", value: "status" }
+    .addSubcommand(sub =>
+      sub.setName("stop")
+        .setDescription("Stop the timer in this ticket")
+    )
+    .addSubcommand(sub =>
+      sub.setName("restart")
+        .setDescription("Restart the timer immediately (skips the start delay)")
+    )
+    .addSubcommand(sub =>
+      sub.setName("status")
+        .setDescription("Show the timer status of this ticket")
+    )
+    .addSubcommand(sub =>
+      addScheduleOptions(sub.setName("schedule")
+        .setDescription("View or override the reminder schedule for this ticket"))
+        .addBooleanOption(option =>
+          option.setName("clear")
+            .setDescription("Remove this ticket's override and use the server schedule")
         )
     ),
   new SlashCommandBuilder()
     .setName("creator")
-    .setDescription("Check or assign the ticket creator")
+    .setDescription("Check, assign or detect the ticket creator")
     .addStringOption(option =>
       option.setName("action")
-        .setDescription("check/assign")
+        .setDescription("check/assign/detect")
         .setRequired(true)
         .addChoices(
           { name: "check", value: "check" },
-          { name: "assign", value: "assign" }
+          { name: "assign", value: "assign" },
+          { name: "detect", value: "detect" }
         )
     )
     .addUserOption(option =>
       option.setName("user")
         .setDescription("User to assign as ticket creator (required for assign)")
+    )
+    .addBooleanOption(option =>
+      option.setName("apply")
+        .setDescription("Use the detected creator (detect only)")
+    ),
+  new SlashCommandBuilder()
+    .setName("participant")
+    .setDescription("Manage the participants of this ticket")
+    .addSubcommand(sub =>
+      sub.setName("add")
+        .setDescription("Add a user to this ticket (or change their role)")
+        .addUserOption(option =>
+          option.setName("user")
+            .setDescription("User to add")
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName("role")
+            .setDescription("Participants are pinged in reminders, watchers only follow along (default: participant)")
+            .addChoices(
+              { name: "participant", value: "participant" },
+              { name: "watcher", value: "watcher" }
+            )
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("remove")
+        .setDescription("Remove a user from this ticket")
+        .addUserOption(option =>
+          option.setName("user")
+            .setDescription("User to remove")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("list")
+        .setDescription("List the creator and participants of this ticket")
+    ),
+  new SlashCommandBuilder()
+    .setName("claim")
+    .setDescription("Take over this ticket: staff pings go to you and escalation stops"),
+  new SlashCommandBuilder()
+    .setName("unclaim")
+    .setDescription("Give this ticket back to the whole staff team"),
+  new SlashCommandBuilder()
+    .setName("transfer")
+    .setDescription("Hand this ticket over to another staff member")
+    .addUserOption(option =>
+      option.setName("user")
+        .setDescription("Staff member to take over")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("notifications")
+    .setDescription("Choose whether ticket reminders are also sent to you by DM")
+    .setDMPermission(false)
+    .addBooleanOption(option =>
+      option.setName("dm_reminders")
+        .setDescription("Receive reminder DMs (leave empty to see your current setting)")
     ),
   new SlashCommandBuilder()
     .setName("reset")
     .setDescription("Reset the current ticket (reminder count and timer)"),
   new SlashCommandBuilder()
     .setName("cleanup")
-    .setDescription("Delete old tickets from database")
+    .setDescription("Preview and delete old ticket data from the database")
     .addIntegerOption(option =>
-      option.setName("days")
-        .setDescription("Delete tickets older than this many days")
-        .setRequired(true)
+      option.setName("inactive_days")
+        .setDescription("Tickets with no activity for this many days")
         .setMinValue(1)
         .setMaxValue(365)
     )
+    .addBooleanOption(option =>
+      option.setName("orphaned")
+        .setDescription("Tickets whose channel no longer exists")
+    )
+    .addIntegerOption(option =>
+      option.setName("closed_days")
+        .setDescription("Tickets closed at least this many days ago (0 = all closed tickets)")
+        .setMinValue(0)
+        .setMaxValue(365)
+    ),
+  new SlashCommandBuilder()
+    .setName("transcript")
+    .setDescription("Generate a transcript of this ticket (HTML and JSON)"),
+  new SlashCommandBuilder()
+    .setName("tickets")
+    .setDescription("List all tracked tickets of this server")
+    .addStringOption(option =>
+      option.setName("filter")
+        .setDescription("Only show these tickets (default: all)")
+        .addChoices(...Object.entries(TICKET_FILTERS).map(([value, { label }]) => ({ name: label, value })))
+    )
+    .addStringOption(option =>
+      option.setName("sort")
+        .setDescription("Order of the list (default: longest waiting)")
+        .addChoices(...Object.entries(TICKET_SORTS).map(([value, { label }]) => ({ name: label, value })))
+    ),
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("Show the event timeline of this ticket")
+    .addStringOption(option =>
+      option.setName("channel_id")
+        .setDescription("ID of another (possibly deleted) ticket channel")
+    ),
+  new SlashCommandBuilder()
+    .setName("stats")
+    .setDescription("Show staff response and ticket inactivity statistics")
+    .addStringOption(option =>
+      option.setName("period")
+        .setDescription("Breakdown period (default: weekly)")
+        .addChoices(
+          { name: "daily", value: "daily" },
+          { name: "weekly", value: "weekly" },
+          { name: "monthly", value: "monthly" }
+        )
+    )
+    .addStringOption(option =>
+      option.setName("type")
+        .setDescription(`Only count tickets of this type ("${UNTYPED}" for tickets without one)`)
+        .setMaxLength(32)
+    ),
+  new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("Configure the ticket bot for this server")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub =>
+      sub.setName("view")
+        .setDescription("Show the current configuration")
+    )
+    .addSubcommand(sub =>
+      sub.setName("set")
+        .setDescription("Update configuration values")
+        .addChannelOption(option =>
+          option.setName("category")
+            .setDescription("Add a ticket category to watch")
+            .addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addRoleOption(option =>
+          option.setName("staff_role")
+            .setDescription("Add a staff role (can manage timers and gets pinged on alerts)")
+        )
+        .addChannelOption(option =>
+          option.setName("log_channel")
+            .setDescription("Channel where the bot posts its logs")
+            .addChannelTypes(ChannelType.GuildText)
+        )
+        .addUserOption(option =>
+          option.setName("ticket_bot")
+            .setDescription("Ticket bot whose messages are used to detect the creator")
+        )
+    )
+    .addSubcommand(sub =>
+      addScheduleOptions(sub.setName("schedule")
+        .setDescription("View or change the default reminder schedule for this server"))
+    )
+    .addSubcommand(sub =>
+      sub.setName("autoclose")
+        .setDescription("View or change automatic closing of inactive tickets")
+        .addBooleanOption(option =>
+          option.setName("enabled")
+            .setDescription("Close tickets automatically when the staff alert time is reached")
+        )
+        .addStringOption(option =>
+          option.setName("grace_period")
+            .setDescription("Time between closing and deleting the channel (e.g. 1h)")
+        )
+        .addChannelOption(option =>
+          option.setName("archive_category")
+            .setDescription("Category closed tickets are moved to during the grace period")
+            .addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addBooleanOption(option =>
+          option.setName("no_archive")
+            .setDescription("Stop moving closed tickets to an archive category")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("transcripts")
+        .setDescription("View or change transcript settings")
+        .addBooleanOption(option =>
+          option.setName("enabled")
+            .setDescription("Post a transcript to the log channel when a ticket is closed")
+        )
+        .addBooleanOption(option =>
+          option.setName("dm_creator")
+            .setDescription("Also DM the transcript to the ticket creator")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("snooze")
+        .setDescription("View or change the Snooze button on reminders")
+        .addStringOption(option =>
+          option.setName("duration")
+            .setDescription("How long a snooze postpones reminders (e.g. 24h)")
+        )
+        .addIntegerOption(option =>
+          option.setName("max")
+            .setDescription("How many times a creator can snooze per timer (0 hides the button)")
+            .setMinValue(0)
+            .setMaxValue(10)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("participants")
+        .setDescription("View or change whose replies pause the inactivity timer")
+        .addStringOption(option =>
+          option.setName("pause_on")
+            .setDescription("Replies from these users stop the timer")
+            .addChoices(
+              { name: "creator only", value: "creator" },
+              { name: "creator and participants", value: "responsible" },
+              { name: "anyone on the ticket (incl. watchers)", value: "anyone" }
+            )
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("activity")
+        .setDescription("View or change which messages count as activity for the timer")
+        .addIntegerOption(option =>
+          option.setName("min_length")
+            .setDescription("Letters/digits a reply needs to stop the timer, unless it has an attachment (0 = any)")
+            .setMinValue(0)
+            .setMaxValue(200)
+        )
+        .addStringOption(option =>
+          option.setName("ignored_prefixes")
+            .setDescription("Comma separated, e.g. // for staff notes the timer ignores; \"none\" to clear")
+            .setMaxLength(100)
+        )
+        .addBooleanOption(option =>
+          option.setName("reactions")
+            .setDescription("A reaction to a reminder counts as the creator's reply")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("notifications")
+        .setDescription("View or change how reminders reach the creator")
+        .addBooleanOption(option =>
+          option.setName("dm_reminders")
+            .setDescription("Also DM each reminder to the creator (users can opt out with /notifications)")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("detection")
+        .setDescription("View or change how ticket creators and closes are detected")
+        .addStringOption(option =>
+          option.setName("adapters")
+            .setDescription(`Comma separated, tried in order: ${Object.keys(ADAPTERS).join(", ")}`)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("cleanup")
+        .setDescription("View or change the daily automatic cleanup")
+        .addBooleanOption(option =>
+          option.setName("enabled")
+            .setDescription("Clean up every day at 00:00 UTC")
+        )
+        .addIntegerOption(option =>
+          option.setName("inactive_days")
+            .setDescription("Remove tickets with no activity for this many days (0 = don't)")
+            .setMinValue(0)
+            .setMaxValue(365)
+        )
+        .addBooleanOption(option =>
+          option.setName("orphaned")
+            .setDescription("Remove tickets whose channel no longer exists")
+        )
+        .addIntegerOption(option =>
+          option.setName("closed_days")
+            .setDescription("Remove tickets closed at least this many days ago (0 = right away)")
+            .setMinValue(0)
+            .setMaxValue(365)
+        )
+        .addBooleanOption(option =>
+          option.setName("keep_closed")
+            .setDescription("Don't remove tickets just because they are closed")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("claims")
+        .setDescription("View or change how long assignees have to answer the creator")
+        .addStringOption(option =>
+          option.setName("response_window")
+            .setDescription("e.g. 4h or 1d; 0 turns the staff inactivity alert off")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("escalation")
+        .setDescription("View or change the escalation levels after the staff alert")
+        .addStringOption(option =>
+          option.setName("after")
+            .setDescription("Time since the timer start for the level to add to, e.g. 36h")
+        )
+        .addRoleOption(option =>
+          option.setName("role")
+            .setDescription("Role to ping in the ticket at this level")
+        )
+        .addUserOption(option =>
+          option.setName("user")
+            .setDescription("User to DM at this level")
+        )
+        .addStringOption(option =>
+          option.setName("remove")
+            .setDescription("Remove the level at this time, e.g. 36h")
+        )
+        .addBooleanOption(option =>
+          option.setName("clear")
+            .setDescription("Remove all levels (only the staff alert is left)")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("hours")
+        .setDescription("View or change business hours for reminder and alert clocks")
+        .addBooleanOption(option =>
+          option.setName("enabled")
+            .setDescription("Only count time inside business hours towards reminders and alerts")
+        )
+        .addStringOption(option =>
+          option.setName("timezone")
+            .setDescription("IANA timezone, e.g. Europe/Berlin or America/New_York")
+        )
+        .addStringOption(option =>
+          option.setName("days")
+            .setDescription("Working days, e.g. mon-fri or mon,tue,thu")
+        )
+        .addStringOption(option =>
+          option.setName("hours")
+            .setDescription("Working hours in local time, e.g. 09:00-17:00")
+        )
+        .addStringOption(option =>
+          option.setName("add_holiday")
+            .setDescription("Add a holiday (YYYY-MM-DD, local date)")
+        )
+        .addStringOption(option =>
+          option.setName("remove_holiday")
+            .setDescription("Remove a holiday (YYYY-MM-DD)")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("reset")
+        .setDescription("Reset configuration values to the defaults")
+        .addStringOption(option =>
+          option.setName("setting")
+            .setDescription("Setting to reset (all if omitted)")
+            .addChoices(
+              { name: "categories", value: "categories" },
+              { name: "ticket_types", value: "ticket_types" },
+              { name: "staff_roles", value: "staff_roles" },
+              { name: "log_channel", value: "log_channel" },
+              { name: "ticket_bot", value: "ticket_bot" },
+              { name: "schedule", value: "schedule" },
+              { name: "autoclose", value: "autoclose" },
+              { name: "transcripts", value: "transcripts" },
+              { name: "snooze", value: "snooze" },
+              { name: "participants", value: "participants" },
+              { name: "activity", value: "activity" },
+              { name: "business_hours", value: "business_hours" },
+              { name: "escalation", value: "escalation" },
+              { name: "claims", value: "claims" },
+              { name: "notifications", value: "notifications" },
+              { name: "detection", value: "detection" },
+              { name: "cleanup", value: "cleanup" },
+              { name: "webhooks", value: "webhooks" },
+              { name: "templates", value: "templates" }
+            )
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("template")
+    .setDescription("Customize the reminder, alert and auto-close messages")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub =>
+      addTicketTypeOption(sub.setName("list")
+        .setDescription("Show which messages use a custom template"), "Show the templates of this ticket type")
+    )
+    .addSubcommand(sub =>
+      addTicketTypeOption(addTemplateNameOption(sub.setName("set")
+        .setDescription("Replace a message with your own text"), true)
+        .addStringOption(option =>
+          option.setName("text")
+            .setDescription("Template text, e.g. {creator}, reminder {reminderNumber}! Use \\n for a line break")
+            .setRequired(true)
+        ), "Only use it for this ticket type")
+    )
+    .addSubcommand(sub =>
+      addTicketTypeOption(addTemplateNameOption(sub.setName("reset")
+        .setDescription("Go back to the built-in translated text"), false), "Reset the templates of this ticket type")
+    )
+    .addSubcommand(sub =>
+      addTicketTypeOption(addTemplateNameOption(sub.setName("preview")
+        .setDescription("Preview a message with sample values"), true)
+        .addStringOption(option =>
+          option.setName("language")
+            .setDescription("Language of the built-in text (default: yours)")
+            .addChoices(...Object.keys(LOCALES).map(locale => ({ name: locale, value: locale })))
+        ), "Preview it as tickets of this type see it")
+    ),
+  new SlashCommandBuilder()
+    .setName("webhook")
+    .setDescription("Send ticket events to external systems")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub =>
+      sub.setName("add")
+        .setDescription("Add a webhook (its signing secret is shown once)")
+        .addStringOption(option =>
+          option.setName("url")
+            .setDescription("URL that receives the events as JSON POST requests")
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName("events")
+            .setDescription("Comma separated event types, e.g. creator_stored,reminder_sent (default: all)")
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("list")
+        .setDescription("Show this server's webhooks")
+    )
+    .addSubcommand(sub =>
+      sub.setName("remove")
+        .setDescription("Remove a webhook")
+        .addStringOption(option =>
+          option.setName("id")
+            .setDescription("Webhook ID from /webhook list")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("test")
+        .setDescription("Send a signed test event to a webhook right away")
+        .addStringOption(option =>
+          option.setName("id")
+            .setDescription("Webhook ID from /webhook list")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub.setName("failures")
+        .setDescription("Show events that couldn't be delivered")
+    ),
+  new SlashCommandBuilder()
+    .setName("tickettype")
+    .setDescription("Map ticket categories to types with their own schedule, staff roles and templates")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub =>
+      sub.setName("list")
+        .setDescription("Show the ticket types of this server")
+    )
+    .addSubcommand(sub =>
+      addScheduleOptions(addTicketTypeOption(sub.setName("set")
+        .setDescription("Create or update a ticket type"), "Name of the type, e.g. billing", true)
+        .addChannelOption(option =>
+          option.setName("category")
+            .setDescription("Add a category whose tickets get this type")
+            .addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addRoleOption(option =>
+          option.setName("staff_role")
+            .setDescription("Add a staff role for this type (replaces the server staff roles)")
+        )
+        .addBooleanOption(option =>
+          option.setName("clear_staff_roles")
+            .setDescription("Use the server staff roles again")
+        ))
+        .addBooleanOption(option =>
+          option.setName("clear_schedule")
+            .setDescription("Use the server schedule again")
+        )
+    )
+    .addSubcommand(sub =>
+      addTicketTypeOption(sub.setName("remove")
+        .setDescription("Delete a ticket type or unmap one of its categories"), "Name of the type", true)
+        .addChannelOption(option =>
+          option.setName("category")
+            .setDescription("Only unmap this category")
+            .addChannelTypes(ChannelType.GuildCategory)
+        )
+    )
 ].map(cmd => cmd.toJSON());
 
-// --- LOG HELPER ---
-function log(message, guild) {
-  const channel = guild.channels.cache.get(LOG_CHANNEL_ID);
-  if (channel) channel.send(message).catch(() => {});
-}
+// --- AUTO-CLOSE CANCEL BUTTON ---
+async function handleCancelAutoCloseButton(interaction) {
+  const channel = interaction.channel;
+  const ticket = await getTicket(channel.id);
+  const config = await getTicketConfig(ticket, interaction.guild.id);
+  const locale = resolveLocale(interaction.locale);
+  if (!isStaffMember(interaction.member, config)) {
+    return interaction.reply({ 
+      content: t(locale, "autoCloseOnlyStaff"), 
+      flags: 64 
+    });
+  }
+
+  if (!ticket?.autoClose) {
+    return interaction.update({ components: [] });
+  }
+
+  await cancelAutoClose(channel, ticket);
+
+  const embed = new EmbedBuilder()
+    .setColor("Green")
+    .setTitle(t(locale, "autoCloseCancelledTitle"))
+    .setDescription(t(locale, "autoCloseCancelledDescription", { user: `${interaction.user}`, creator: `<@${ticket.creatorId}>` }))
+    .setTimestamp();
+
+  await interaction.update({ embeds: [embed], components: [] });
+  recordEvent(channel.guild, { type: "auto_close_cancelled", channelId: channel.id, actorId: interaction.user.id });
+}
+
+// --- "I'M ON IT" BUTTON ---
+async function handleClaimButton(interaction) {
+  const channel = interaction.channel;
+  const ticket = await getTicket(channel.id);
+  const config = await getTicketConfig(ticket, interaction.guild.id);
+  const locale = resolveLocale(interaction.locale);
+  if (!isStaffMember(interaction.member, config)) {
+    return interaction.reply({ content: t(locale, "claimOnlyStaff"), flags: 64 });
+  }
+
+  if (!ticket) {
+    return interaction.reply({ content: t(locale, "noTicketData"), flags: 64 });
+  }
+  if (ticket.claimedBy) {
+    await interaction.update({ components: [] });
+    return interaction.followUp({ content: t(locale, "ticketAlreadyClaimed", { user: `<@${ticket.claimedBy}>` }), flags: 64 });
+  }
+
+  await claimTicket(channel.guild, ticket, interaction.user.id);
+  await interaction.update({ components: [] });
+  await interaction.followUp({ content: t(locale, "ticketClaimed", { user: `${interaction.user}` }) });
+}
+
+// --- REMINDER BUTTONS ---
+async function handleReminderButton(interaction) {
+  const channel = interaction.channel;
+  const ticket = await getTicket(channel.id);
+  const locale = resolveLocale(interaction.locale);
+
+  if (!ticket) {
+    return interaction.reply({ content: t(locale, "noTicketData"), flags: 64 });
+  }
+  const role = getParticipantRole(ticket, interaction.user.id);
+  if (!role || role === "watcher") {
+    return interaction.reply({ content: t(locale, "buttonOnlyParticipants"), flags: 64 });
+  }
+  if (ticket.autoClose) {
+    return interaction.reply({ content: t(locale, "ticketAlreadyClosing"), flags: 64 });
+  }
+  if (ticket.closedAt) {
+    return interaction.reply({ content: t(locale, "ticketClosed"), flags: 64 });
+  }
+
+  // Later reminders and the auto-close notice follow the creator's Discord language
+  if (role === "creator" && ticket.locale !== interaction.locale) {
+    ticket.locale = interaction.locale;
+    await ticket.save();
+  }
+
+  const config = await getTicketConfig(ticket, interaction.guild.id);
+  const action = interaction.customId.split(":")[1];
+  const actor = { channelId: channel.id, actorId: interaction.user.id };
+
+  // === STILL NEED HELP → SAME AS A CREATOR REPLY ===
+  if (action === "help") {
+    const wasActive = ticket.timerStartTime !== null;
+    await stopTimers(ticket);
+    await interaction.update({ components: [] });
+    await interaction.followUp({ content: t(locale, "stillNeedsHelp", { user: `${interaction.user}` }) });
+    await markAwaitingStaff(ticket);
+
+    recordEvent(channel.guild, { type: replyEventType(ticket, interaction.user.id), ...actor });
+    recordEvent(channel.guild, { type: "creator_needs_help", ...actor });
+    if (wasActive) {
+      recordEvent(channel.guild, { type: "timer_stopped", ...actor, metadata: { reason: "creator_button" } });
+    }
+    return;
+  }
+
+  // === ISSUE SOLVED → CLOSE FLOW OR NOTIFY STAFF ===
+  if (action === "solved") {
+    await stopTimers(ticket);
+    await interaction.update({ components: [] });
+    recordEvent(channel.guild, { type: "creator_solved", ...actor });
+
+    if (config.autoClose.enabled) {
+      return startAutoClose(channel, ticket, config, { solved: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor("Green")
+      .setTitle(t(locale, "issueSolvedTitle"))
+      .setDescription(t(locale, "issueSolvedDescription", { staffRoles: getStaffPing(config, ticket), user: `${interaction.user}` }))
+      .setTimestamp();
+    await interaction.followUp({ embeds: [embed] });
+    return;
+  }
+
+  // === SNOOZE → POSTPONE REMINDERS ===
+  if (action === "snooze") {
+    if (!ticket.timerStartTime) {
+      return interaction.reply({ content: t(locale, "noRemindersPending"), flags: 64 });
+    }
+    if ((ticket.snoozeCount || 0) >= config.snooze.maxSnoozes) {
+      return interaction.reply({ 
+        content: t(locale, "snoozeLimitReached", { max: config.snooze.maxSnoozes }), 
+        flags: 64 
+      });
+    }
+
+    const { duration, maxSnoozes } = config.snooze;
+    await snoozeTimers(ticket, duration);
+    const next = await getNextJob(channel.id, ["reminder", "staff-alert"]);
+
+    await interaction.update({ components: [] });
+    await interaction.followUp({ 
+      content: next
+        ? t(locale, "remindersSnoozedNext", { duration: formatLocalDuration(locale, duration), time: `<t:${Math.floor(next.runAt / 1000)}:R>` })
+        : t(locale, "remindersSnoozed", { duration: formatLocalDuration(locale, duration) })
+    });
+    recordEvent(channel.guild, {
+      type: "reminders_snoozed",
+      ...actor,
+      metadata: { duration, count: ticket.snoozeCount, max: maxSnoozes }
+    });
+  }
+}
+
+// --- TICKET OVERVIEW PAGES ---
+const TICKETS_PAGE_SIZE = 10;
+const TICKET_STATE_LABELS = {
+  starting: "⏳ Starting",
+  running: "✅ Running",
+  alerted: "⚠️ Alerted",
+  stopped: "⏹️ Stopped",
+  closing: "🔒 Closing",
+  closed: "🔐 Closed"
+};
+
+function formatOverviewEntry(entry, index) {
+  const next = entry.nextAction
+    ? `${describeTimerEvent(DEFAULT_LOCALE, entry.nextAction)} <t:${Math.floor(entry.nextAction.runAt / 1000)}:R>`
+    : "—";
+  return [
+    `**${index}.** <#${entry.channelId}>${entry.type ? ` \`${entry.type}\`` : ""} • 🎫 <@${entry.creatorId}> • 👋 ${entry.claimedBy ? `<@${entry.claimedBy}>` : "Unclaimed"}`,
+    [
+      TICKET_STATE_LABELS[entry.state],
+      `⏱️ ${entry.timerStartTime ? getTimeElapsed(entry.timerStartTime) : "—"}`,
+      `🔔 ${entry.reminderCount}/${entry.reminderTotal}`,
+      `⏭️ ${next}`,
+      entry.awaitingStaffSince && `💬 waiting on staff since <t:${Math.floor(entry.awaitingStaffSince / 1000)}:R>`
+    ].filter(Boolean).join(" • ")
+  ].join("\n");
+}
+
+async function buildTicketsPage(guildId, filter, sort, page) {
+  const overview = await getTicketOverview(guildId, { filter, sort, page, pageSize: TICKETS_PAGE_SIZE });
+  const offset = overview.page * TICKETS_PAGE_SIZE;
+
+  const embed = new EmbedBuilder()
+    .setColor("Blue")
+    .setTitle(`🗂️ Tickets — ${TICKET_FILTERS[filter].label}`)
+    .setDescription(
+      overview.tickets.length
+        ? overview.tickets.map((entry, i) => formatOverviewEntry(entry, offset + i + 1)).join("\n\n")
+        : "No tickets match this filter."
+    )
+    .setFooter({ text: `Page ${overview.page + 1} of ${overview.pages} • ${overview.total} tickets • Sorted by ${TICKET_SORTS[sort].label.toLowerCase()}` })
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`tickets:${filter}:${sort}:${overview.page - 1}`)
+      .setEmoji("◀️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(overview.page === 0),
+    new ButtonBuilder()
+      .setCustomId(`tickets:${filter}:${sort}:${overview.page}`)
+      .setEmoji("🔄")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`tickets:${filter}:${sort}:${overview.page + 1}`)
+      .setEmoji("▶️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(overview.page + 1 >= overview.pages)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+async function handleTicketsButton(interaction) {
+  const guildConfig = await getGuildConfig(interaction.guild.id);
+  const config = resolveTicketConfig(guildConfig, await getChannelTicketType(guildConfig, interaction.channel));
+  if (!isStaffMember(interaction.member, config)) {
+    return interaction.reply({ 
+      content: "❌ You are not authorized to use this command.", 
+      flags: 64 
+    });
+  }
+
+  const [, filter, sort, page] = interaction.customId.split(":");
+  await interaction.update(await buildTicketsPage(interaction.guild.id, filter, sort, Number(page)));
+}
+
+// --- CLEANUP PREVIEW ---
+// The criteria travel in the button ID, so the confirm step needs no state.
+// Candidates are looked up again on confirm, in case tickets changed since.
+const CLEANUP_PREVIEW_LIMIT = 15;
+const CLEANUP_CONFIRM_TIMEOUT = 10 * 60 * 1000;
+
+function encodeCleanupCriteria({ inactiveDays, orphaned, closedDays }) {
+  return [inactiveDays ?? "", orphaned ? 1 : 0, closedDays ?? ""].join(":");
+}
+
+function decodeCleanupCriteria([inactiveDays, orphaned, closedDays]) {
+  return {
+    inactiveDays: inactiveDays ? Number(inactiveDays) : null,
+    orphaned: orphaned === "1",
+    closedDays: closedDays === "" ? null : Number(closedDays)
+  };
+}
+
+async function buildCleanupPreview(guild, criteria) {
+  const candidates = await findCleanupCandidates(guild, criteria);
+  const lines = candidates.slice(0, CLEANUP_PREVIEW_LIMIT).map(candidate =>
+    `<#${candidate.channelId}> (\`${candidate.channelId}\`) • 🎫 <@${candidate.creatorId}> • last activity <t:${Math.floor(candidate.lastActivity / 1000)}:R> • ${candidate.reasons.map(reason => CLEANUP_REASONS[reason]).join(", ")}`
+  );
+  if (candidates.length > CLEANUP_PREVIEW_LIMIT) lines.push(`…and ${candidates.length - CLEANUP_PREVIEW_LIMIT} more`);
+
+  const embed = new EmbedBuilder()
+    .setColor(candidates.length ? "Orange" : "Green")
+    .setTitle(`🧹 Cleanup Preview — ${candidates.length} tickets`)
+    .setDescription(`**Matching:** ${describeCriteria(criteria)}\n\n${lines.join("\n") || "✅ No tickets match, nothing to clean up."}`)
+    .setFooter({ text: candidates.length ? "Nothing is deleted until you confirm • Channels are not touched, only the bot's ticket data" : "Dry run" })
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`cleanup:confirm:${Date.now()}:${encodeCleanupCriteria(criteria)}`)
+      .setLabel(`Delete ${candidates.length} tickets`)
+      .setEmoji("🗑️")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("cleanup:cancel")
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: candidates.length ? [row] : [] };
+}
+
+async function handleCleanupButton(interaction) {
+  const guildConfig = await getGuildConfig(interaction.guild.id);
+  const config = resolveTicketConfig(guildConfig, await getChannelTicketType(guildConfig, interaction.channel));
+  if (!isStaffMember(interaction.member, config)) {
+    return interaction.reply({ 
+      content: "❌ You are not authorized to use this command.", 
+      flags: 64 
+    });
+  }
+
+  const [, action, issuedAt, ...criteria] = interaction.customId.split(":");
+  if (action === "cancel") {
+    return interaction.update({ content: "✋ Cleanup cancelled, nothing was deleted.", embeds: [], components: [] });
+  }
+  if (Date.now() - Number(issuedAt) > CLEANUP_CONFIRM_TIMEOUT) {
+    return interaction.update({ content: "⌛ This preview has expired. Run /cleanup again.", embeds: [], components: [] });
+  }
+
+  await interaction.deferUpdate();
+  const deleted = await cleanupTickets(interaction.guild, decodeCleanupCriteria(criteria), { actorId: interaction.user.id });
+  await interaction.editReply({
+    content: deleted
+      ? `🗑️ **Cleanup complete!** Deleted ${deleted} tickets.`
+      : "✅ No tickets match anymore, nothing was deleted.",
+    embeds: [],
+    components: []
+  });
+}
+
+// --- HISTORY PAGES ---
+const HISTORY_PAGE_SIZE = 10;
+
+async function buildHistoryPage(guildId, channelId, page) {
+  const { events, total, pages } = await getTicketHistory(guildId, channelId, { page, pageSize: HISTORY_PAGE_SIZE });
+
+  const embed = new EmbedBuilder()
+    .setColor("Blue")
+    .setTitle("📖 Ticket History")
+    .setDescription(
+      events.length
+        ? `<#${channelId}>\n\n${events.map(formatEventLine).join("\n")}`
+        : `<#${channelId}>\n\nNo events recorded for this ticket.`
+    )
+    .setFooter({ text: `Page ${page + 1} of ${pages} • ${total} events` })
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`history:${channelId}:${page - 1}`)
+      .setEmoji("◀️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`history:${channelId}:${page + 1}`)
+      .setEmoji("▶️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page + 1 >= pages)
+  );
+
+  return { embeds: [embed], components: pages > 1 ? [row] : [] };
+}
+
+async function handleHistoryButton(interaction) {
+  const guildConfig = await getGuildConfig(interaction.guild.id);
+  const config = resolveTicketConfig(guildConfig, await getChannelTicketType(guildConfig, interaction.channel));
+  if (!isStaffMember(interaction.member, config)) {
+    return interaction.reply({ 
+      content: "❌ You are not authorized to use this command.", 
+      flags: 64 
+    });
+  }
+
+  const [, channelId, page] = interaction.customId.split(":");
+  await interaction.update(await buildHistoryPage(interaction.guild.id, channelId, Number(page)));
+}
+
+// --- STATS EMBEDS ---
+function formatAverage(ms) {
+  return ms == null ? "—" : formatDuration(ms);
+}
+
+function buildStatsEmbeds(stats, period, ticketType) {
+  const { totals } = stats;
+  const alertRate = totals.ticketsOpened ? ` (${Math.round(totals.alerts / totals.ticketsOpened * 100)}%)` : "";
+
+  const breakdown = stats.buckets
+    .map(bucket => `<t:${Math.floor(bucket.start / 1000)}:d> • 🎫 ${bucket.ticketsOpened} • ⏱️ ${formatAverage(bucket.firstResponseAvg)} • 🔔 ${bucket.remindersSent} • ⚠️ ${bucket.alerts}`)
+    .join("\n");
+
+  const summary = new EmbedBuilder()
+    .setColor("Blue")
+    .setTitle(`📊 Ticket Stats (${period}${ticketType ? `, ${ticketType}` : ""})`)
+    .addFields(
+      { name: "Tickets Opened", value: `${totals.ticketsOpened}`, inline: true },
+      { name: "Avg First Response", value: formatAverage(totals.firstResponseAvg), inline: true },
+      { name: "Avg Staff Response", value: `${formatAverage(totals.responseAvg)} (${totals.responseCount} replies)`, inline: true },
+      { name: "Reminders Sent", value: `${totals.remindersSent}`, inline: true },
+      { name: "Reached Staff Alert", value: `${totals.alerts}${alertRate}`, inline: true },
+      {
+        name: "Opened by Type",
+        value: Object.entries(stats.openedByType)
+          .sort(([, a], [, b]) => b - a)
+          .map(([type, count]) => `\`${type}\` ${count}`)
+          .join(" • ") || "—",
+        inline: true
+      },
+      { name: "Breakdown", value: `🎫 opened • ⏱️ avg first response • 🔔 reminders • ⚠️ alerts\n${breakdown}` }
+    )
+    .setFooter({ text: STATS_PERIODS[period].label })
+    .setTimestamp();
+
+  const leaders = stats.leaderboard.slice(0, 10)
+    .map((member, i) => `**${i + 1}.** <@${member.staffId}> — ${member.replies} replies • ${member.firstResponses} first responses • avg ${formatAverage(member.responseAvg)}`)
+    .join("\n");
+
+  const leaderboard = new EmbedBuilder()
+    .setColor("Gold")
+    .setTitle("🏆 Staff Leaderboard")
+    .setDescription(leaders || "No staff replies in this period.")
+    .setTimestamp();
+
+  return [summary, leaderboard];
+}
+
+// --- GET TIME ELAPSED ---
+function getTimeElapsed(startTime) {
+  if (!startTime) return "Timer not started";
+  
+  const elapsed = Date.now() - startTime;
+  const hours = Math.floor(elapsed / (60 * 60 * 1000));
+  const minutes = Math.floor((elapsed % (60 * 60 * 1000)) / (60 * 1000));
+  
+  return `${hours}h ${minutes}m`;
+}
+
+// --- NEXT EVENT ---
+function describeTimerEvent(locale, event) {
+  switch (event.type) {
+    case "timer-start": return t(locale, "eventTimerStart");
+    case "reminder": return t(locale, "eventReminder", { number: event.number });
+    case "staff-alert": return t(locale, "eventStaffAlert");
+    case "escalation": return t(locale, "eventEscalation", { number: event.number });
+    case "staff-inactivity": return t(locale, "eventStaffInactivity");
+    case "autoclose-delete": return t(locale, "eventAutoCloseDelete");
+    case "ticket-purge": return t(locale, "eventTicketPurge");
+    default: return event.type;
+  }
+}
+
+// Catalog key of a participant role or pause rule, e.g. "roleWatcher"
+function labelKey(prefix, name) {
+  return `${prefix}${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+// Absolute and relative, e.g. "Monday, 26 October 2026 09:00 (in 3 days)"
+function formatEventTime(timestamp) {
+  const seconds = Math.floor(timestamp / 1000);
+  return `<t:${seconds}:F> (<t:${seconds}:R>)`;
+}
+
+// --- SCHEDULE OPTIONS ---
+function getScheduleInput(interaction) {
+  return parseScheduleInput({
+    startDelay: interaction.options.getString("start_delay"),
+    reminders: interaction.options.getString("reminders"),
+    maxReminders: interaction.options.getInteger("max_reminders"),
+    alertAfter: interaction.options.getString("alert_after")
+  });
+}
+
+function buildScheduleEmbed(title, schedule, footer) {
+  return new EmbedBuilder()
+    .setColor("Blue")
+    .setTitle(title)
+    .setDescription(describeSchedule(schedule))
+    .setFooter({ text: footer })
+    .setTimestamp();
+}
+
+// --- /TIMER SCHEDULE HANDLER ---
+async function handleTicketScheduleCommand(interaction, ticket, config) {
+  const channel = interaction.channel;
+
+  if (interaction.options.getBoolean("clear")) {
+    ticket.schedule = null;
+  } else {
+    const { values, error } = getScheduleInput(interaction);
+    if (error) {
+      return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    // No options given → just show the current schedule
+    if (Object.keys(values).length === 0) {
+      const schedule = resolveSchedule(config.schedule, ticket.schedule);
+      return interaction.reply({ 
+        embeds: [buildScheduleEmbed(
+          "📅 Ticket Schedule",
+          schedule,
+          ticket.schedule ? "This ticket overrides the server schedule" : "Using the server schedule"
+        )], 
+        flags: 64 
+      });
+    }
+
+    ticket.schedule = { ...ticket.schedule, ...values };
+  }
+
+  const schedule = resolveSchedule(config.schedule, ticket.schedule);
+  const error = validateSchedule(schedule);
+  if (error) {
+    return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+  }
+  await ticket.save();
+
+  // Re-plan a running timer so it follows the new schedule
+  await rescheduleTimers(ticket);
+
+  await interaction.reply({ 
+    embeds: [buildScheduleEmbed(
+      "📅 Ticket Schedule Updated",
+      schedule,
+      ticket.schedule ? "This ticket overrides the server schedule" : "Using the server schedule"
+    )], 
+    flags: 64 
+  });
+  recordEvent(channel.guild, {
+    type: "schedule_updated",
+    channelId: channel.id,
+    actorId: interaction.user.id,
+    metadata: { schedule: ticket.schedule ? schedule : null }
+  });
+}
+
+function describeAutoClose(autoClose) {
+  if (!autoClose.enabled) return "❌ Disabled (staff get an alert and close tickets manually)";
+  return [
+    "✅ Enabled",
+    `**Grace Period:** ${formatDuration(autoClose.gracePeriod)}`,
+    `**Archive Category:** ${autoClose.archiveCategoryId ? `<#${autoClose.archiveCategoryId}>` : "None"}`
+  ].join("\n");
+}
+
+function describeTranscripts(transcripts) {
+  if (!transcripts.enabled) return "❌ Disabled";
+  return `✅ Posted to the log channel${transcripts.dmCreator ? " and DMed to the creator" : ""}`;
+}
+
+function describeSnooze(snooze) {
+  if (snooze.maxSnoozes === 0) return "❌ Disabled";
+  return `✅ ${formatDuration(snooze.duration)}, up to ${snooze.maxSnoozes} time(s) per timer`;
+}
+
+function describeNotifications(notifications) {
+  return notifications.dmReminders
+    ? "✅ Reminders are also sent to the creator by DM"
+    : "❌ Reminders are only posted in the ticket";
+}
+
+function describeDetection(detection) {
+  return detection.adapters.map((name, i) => `**${i + 1}.** \`${name}\` — ${ADAPTERS[name]?.description ?? "unknown adapter"}`).join("\n");
+}
+
+function describeCleanup(cleanup) {
+  return cleanup.enabled
+    ? `✅ Daily at 00:00 UTC, removes tickets with ${describeCriteria(cleanup)}`
+    : "❌ Disabled (use /cleanup to clean up by hand)";
+}
+
+function describeClaims(claims) {
+  if (!claims.responseWindow) return "❌ Disabled (assignees aren't reminded to reply)";
+  return `✅ Assignees are alerted after ${formatDuration(claims.responseWindow)} without answering the creator`;
+}
+
+// --- /CONFIG HANDLER ---
+// Maps /config reset choices to GuildConfig fields
+const CONFIG_SETTINGS = {
+  categories: "ticketCategoryIds",
+  staff_roles: "staffRoleIds",
+  log_channel: "logChannelId",
+  ticket_bot: "ticketToolBotId",
+  schedule: "schedule",
+  autoclose: "autoClose",
+  transcripts: "transcripts",
+  snooze: "snooze",
+  participants: "participants",
+  activity: "activity",
+  business_hours: "businessHours",
+  escalation: "escalation",
+  claims: "claims",
+  notifications: "notifications",
+  detection: "detection",
+  cleanup: "cleanup",
+  webhooks: "webhooks",
+  templates: "templates",
+  ticket_types: "ticketTypes"
+};
+
+async function handleConfigCommand(interaction) {
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === "view") {
+    const config = await getGuildConfig(guildId);
+    const embed = new EmbedBuilder()
+      .setColor("Blue")
+      .setTitle("⚙️ Ticket Bot Configuration")
+      .addFields(
+        { name: "Ticket Categories", value: config.ticketCategoryIds.map(id => `<#${id}>`).join("\n") || "Not set" },
+        { name: "Staff Roles", value: formatStaffRoles(config) || "Not set" },
+        { name: "Log Channel", value: config.logChannelId ? `<#${config.logChannelId}>` : "Not set" },
+        { name: "Ticket Bot", value: config.ticketToolBotId ? `<@${config.ticketToolBotId}>` : "Not set" },
+        { name: "Reminder Schedule", value: describeSchedule(config.schedule) },
+        { name: "Auto-close", value: describeAutoClose(config.autoClose) },
+        { name: "Transcripts", value: describeTranscripts(config.transcripts) },
+        { name: "Snooze", value: describeSnooze(config.snooze) },
+        { name: "Timer Paused By", value: `Replies from ${PAUSE_RULES[config.participants.pauseOn]}` },
+        { name: "Activity Rules", value: describeActivity(config.activity) },
+        { name: "Business Hours", value: describeBusinessHours(config.businessHours) },
+        { name: "Escalation", value: describeEscalation(config) },
+        { name: "Staff Response Window", value: describeClaims(config.claims) },
+        { name: "Reminder DMs", value: describeNotifications(config.notifications) },
+        { name: "Creator Detection", value: describeDetection(config.detection) },
+        { name: "Automatic Cleanup", value: describeCleanup(config.cleanup) },
+        { name: "Webhooks", value: config.webhooks.map(webhook => `\`${webhook.id}\` ${webhook.url}`).join("\n") || "None (see /webhook)" },
+        { name: "Message Templates", value: Object.keys(config.templates).join(", ") || "Built-in (translated)" },
+        { name: "Ticket Types", value: config.ticketTypes.map(type => `\`${type.name}\` ${type.categoryIds.map(id => `<#${id}>`).join(" ")}`).join("\n") || "None (see /tickettype)" }
+      )
+      .setFooter({ text: "Use /config set to change or /config reset to restore defaults" })
+      .setTimestamp();
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "set") {
+    const category = interaction.options.getChannel("category");
+    const staffRole = interaction.options.getRole("staff_role");
+    const logChannel = interaction.options.getChannel("log_channel");
+    const ticketBot = interaction.options.getUser("ticket_bot");
+
+    const set = {};
+    const add = {};
+    const changes = [];
+    if (category) {
+      add.ticketCategoryIds = [category.id];
+      changes.push(`• Added ticket category ${category}`);
+    }
+    if (staffRole) {
+      add.staffRoleIds = [staffRole.id];
+      changes.push(`• Added staff role ${staffRole}`);
+    }
+    if (logChannel) {
+      set.logChannelId = logChannel.id;
+      changes.push(`• Log channel set to ${logChannel}`);
+    }
+    if (ticketBot) {
+      set.ticketToolBotId = ticketBot.id;
+      changes.push(`• Ticket bot set to ${ticketBot}`);
+    }
+
+    if (changes.length === 0) {
+      return interaction.reply({
+        content: "❌ Provide at least one setting to change.",
+        flags: 64
+      });
+    }
+
+    await updateGuildConfig(guildId, { set, add });
+    await interaction.reply({
+      content: `✅ **Configuration updated!**\n\n${changes.join("\n")}`,
+      flags: 64
+    });
+    log(`⚙️ **Configuration updated** by ${interaction.user}\n${changes.join("\n")}`, interaction.guild);
+    return;
+  }
+
+  if (subcommand === "schedule") {
+    const config = await getGuildConfig(guildId);
+    const { values, error } = getScheduleInput(interaction);
+    if (error) {
+      return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return interaction.reply({
+        embeds: [buildScheduleEmbed("📅 Server Schedule", config.schedule, "Tickets can override this with /timer schedule")],
+        flags: 64
+      });
+    }
+
+    const schedule = resolveSchedule(config.schedule, values);
+    const invalid = validateSchedule(schedule);
+    if (invalid) {
+      return interaction.reply({ content: `❌ ${invalid}`, flags: 64 });
+    }
+
+    await updateGuildConfig(guildId, { set: { schedule } });
+    await interaction.reply({
+      embeds: [buildScheduleEmbed("📅 Server Schedule Updated", schedule, "Applies to timers started from now on")],
+      flags: 64
+    });
+    log(`📅 **Server schedule updated** by ${interaction.user}`, interaction.guild);
+    return;
+  }
+
+  if (subcommand === "autoclose") {
+    const config = await getGuildConfig(guildId);
+    const enabled = interaction.options.getBoolean("enabled");
+    const gracePeriodInput = interaction.options.getString("grace_period");
+    const archiveCategory = interaction.options.getChannel("archive_category");
+    const noArchive = interaction.options.getBoolean("no_archive");
+
+    const autoClose = { ...config.autoClose };
+    if (enabled !== null) autoClose.enabled = enabled;
+    if (gracePeriodInput !== null) {
+      autoClose.gracePeriod = parseDuration(gracePeriodInput);
+      if (!autoClose.gracePeriod) {
+        return interaction.reply({
+          content: `❌ Invalid grace period \`${gracePeriodInput}\`. Use e.g. 30m, 1h or 1d.`,
+          flags: 64
+        });
+      }
+    }
+    if (archiveCategory) autoClose.archiveCategoryId = archiveCategory.id;
+    if (noArchive) autoClose.archiveCategoryId = null;
+
+    const changed = [enabled, gracePeriodInput, archiveCategory, noArchive].some(value => value !== null);
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { autoClose } });
+      log(`🔒 **Auto-close settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(autoClose.enabled ? "Green" : "Grey")
+      .setTitle(changed ? "🔒 Auto-close Updated" : "🔒 Auto-close Settings")
+      .setDescription(describeAutoClose(autoClose))
+      .setFooter({ text: "Tickets are closed when the staff alert time is reached" })
+      .setTimestamp();
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "transcripts") {
+    const config = await getGuildConfig(guildId);
+    const enabled = interaction.options.getBoolean("enabled");
+    const dmCreator = interaction.options.getBoolean("dm_creator");
+
+    const transcripts = { ...config.transcripts };
+    if (enabled !== null) transcripts.enabled = enabled;
+    if (dmCreator !== null) transcripts.dmCreator = dmCreator;
+
+    const changed = enabled !== null || dmCreator !== null;
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { transcripts } });
+      log(`📜 **Transcript settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `📜 **Transcripts${changed ? " updated" : ""}:** ${describeTranscripts(transcripts)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "snooze") {
+    const config = await getGuildConfig(guildId);
+    const durationInput = interaction.options.getString("duration");
+    const max = interaction.options.getInteger("max");
+
+    const snooze = { ...config.snooze };
+    if (durationInput !== null) {
+      snooze.duration = parseDuration(durationInput);
+      if (!snooze.duration) {
+        return interaction.reply({
+          content: `❌ Invalid snooze duration \`${durationInput}\`. Use e.g. 12h or 1d.`,
+          flags: 64
+        });
+      }
+    }
+    if (max !== null) snooze.maxSnoozes = max;
+
+    const changed = durationInput !== null || max !== null;
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { snooze } });
+      log(`😴 **Snooze settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `😴 **Snooze${changed ? " updated" : ""}:** ${describeSnooze(snooze)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "participants") {
+    const config = await getGuildConfig(guildId);
+    const pauseOn = interaction.options.getString("pause_on");
+
+    if (pauseOn !== null) {
+      await updateGuildConfig(guildId, { set: { participants: { pauseOn } } });
+      log(`👥 **Participant settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `👥 **Timer paused by${pauseOn !== null ? " (updated)" : ""}:** replies from ${PAUSE_RULES[pauseOn ?? config.participants.pauseOn]}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "activity") {
+    const config = await getGuildConfig(guildId);
+    const minLength = interaction.options.getInteger("min_length");
+    const prefixInput = interaction.options.getString("ignored_prefixes");
+    const reactions = interaction.options.getBoolean("reactions");
+
+    const activity = { ...config.activity };
+    if (minLength !== null) activity.minLength = minLength;
+    if (prefixInput !== null) {
+      activity.ignoredPrefixes = prefixInput.trim().toLowerCase() === "none"
+        ? []
+        : [...new Set(prefixInput.split(",").map(prefix => prefix.trim()).filter(Boolean))];
+    }
+    if (reactions !== null) activity.reactions = reactions;
+
+    const changed = minLength !== null || prefixInput !== null || reactions !== null;
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { activity } });
+      log(`💬 **Activity rules updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `💬 **Activity rules${changed ? " (updated)" : ""}:**\n${describeActivity(activity)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "notifications") {
+    const config = await getGuildConfig(guildId);
+    const dmReminders = interaction.options.getBoolean("dm_reminders");
+
+    const notifications = { ...config.notifications };
+    if (dmReminders !== null) {
+      notifications.dmReminders = dmReminders;
+      await updateGuildConfig(guildId, { set: { notifications } });
+      log(`🔔 **Notification settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `🔔 **Reminder delivery${dmReminders !== null ? " (updated)" : ""}:** ${describeNotifications(notifications)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "detection") {
+    const config = await getGuildConfig(guildId);
+    const input = interaction.options.getString("adapters");
+
+    const detection = { ...config.detection };
+    if (input !== null) {
+      const adapters = [...new Set(input.split(",").map(name => name.trim().toLowerCase()).filter(Boolean))];
+      const unknown = adapters.filter(name => !ADAPTERS[name]);
+      if (!adapters.length || unknown.length) {
+        return interaction.reply({
+          content: `❌ Unknown adapter(s) ${unknown.map(name => `\`${name}\``).join(", ") || "(none given)"}. Available: ${Object.keys(ADAPTERS).join(", ")}`,
+          flags: 64
+        });
+      }
+      detection.adapters = adapters;
+      await updateGuildConfig(guildId, { set: { detection } });
+      log(`🔍 **Creator detection updated** by ${interaction.user}: ${adapters.join(", ")}`, interaction.guild);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor("Blue")
+      .setTitle(input !== null ? "🔍 Creator Detection Updated" : "🔍 Creator Detection")
+      .setDescription(describeDetection(detection))
+      .setFooter({ text: "The first adapter that finds a creator wins • Check a ticket with /creator detect" })
+      .setTimestamp();
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "cleanup") {
+    const config = await getGuildConfig(guildId);
+    const enabled = interaction.options.getBoolean("enabled");
+    const inactiveDays = interaction.options.getInteger("inactive_days");
+    const orphaned = interaction.options.getBoolean("orphaned");
+    const closedDays = interaction.options.getInteger("closed_days");
+    const keepClosed = interaction.options.getBoolean("keep_closed");
+
+    const cleanup = { ...config.cleanup };
+    if (enabled !== null) cleanup.enabled = enabled;
+    if (inactiveDays !== null) cleanup.inactiveDays = inactiveDays;
+    if (orphaned !== null) cleanup.orphaned = orphaned;
+    if (closedDays !== null) cleanup.closedDays = closedDays;
+    if (keepClosed) cleanup.closedDays = null;
+
+    if (cleanup.enabled && !hasCriteria(cleanup)) {
+      return interaction.reply({ content: "❌ The automatic cleanup needs at least one of inactive_days, orphaned or closed_days.", flags: 64 });
+    }
+
+    const changed = [enabled, inactiveDays, orphaned, closedDays, keepClosed].some(value => value !== null);
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { cleanup } });
+      if (cleanup.enabled) await scheduleAutoCleanup(guildId);
+      log(`🧹 **Automatic cleanup updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `🧹 **Automatic cleanup${changed ? " (updated)" : ""}:** ${describeCleanup(cleanup)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "claims") {
+    const config = await getGuildConfig(guildId);
+    const windowInput = interaction.options.getString("response_window");
+
+    const claims = { ...config.claims };
+    if (windowInput !== null) {
+      claims.responseWindow = /^0+$/.test(windowInput.trim()) ? 0 : parseDuration(windowInput);
+      if (claims.responseWindow == null) {
+        return interaction.reply({ content: `❌ Invalid response window \`${windowInput}\`. Use e.g. 4h or 1d, or 0 to disable.`, flags: 64 });
+      }
+      await updateGuildConfig(guildId, { set: { claims } });
+      log(`👋 **Claim settings updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    return interaction.reply({
+      content: `👋 **Staff response window${windowInput !== null ? " (updated)" : ""}:** ${describeClaims(claims)}`,
+      flags: 64
+    });
+  }
+
+  if (subcommand === "escalation") {
+    const config = await getGuildConfig(guildId);
+    const afterInput = interaction.options.getString("after");
+    const role = interaction.options.getRole("role");
+    const user = interaction.options.getUser("user");
+    const removeInput = interaction.options.getString("remove");
+    const clear = interaction.options.getBoolean("clear");
+
+    let levels = clear ? [] : config.escalation.levels;
+    if (afterInput !== null) {
+      const after = parseDuration(afterInput);
+      if (!after) {
+        return interaction.reply({ content: `❌ Invalid time \`${afterInput}\`. Use e.g. 36h or 2d.`, flags: 64 });
+      }
+      if (after <= config.schedule.alertOffset) {
+        return interaction.reply({
+          content: `❌ Escalation levels must come after the staff alert (${formatDuration(config.schedule.alertOffset)}).`,
+          flags: 64
+        });
+      }
+      if (!role && !user) {
+        return interaction.reply({ content: "❌ Provide a role to ping and/or a user to DM for this level.", flags: 64 });
+      }
+      if (user?.bot) {
+        return interaction.reply({ content: "❌ Bots can't be escalation targets.", flags: 64 });
+      }
+      levels = addEscalationLevel(levels, { after, roleId: role?.id, userId: user?.id });
+      if (levels.length > MAX_ESCALATION_LEVELS) {
+        return interaction.reply({ content: `❌ At most ${MAX_ESCALATION_LEVELS} escalation levels can be added.`, flags: 64 });
+      }
+    }
+    if (removeInput !== null) {
+      const after = parseDuration(removeInput);
+      if (!levels.some(level => level.after === after)) {
+        return interaction.reply({ content: `❌ There is no escalation level at \`${removeInput}\`.`, flags: 64 });
+      }
+      levels = levels.filter(level => level.after !== after);
+    }
+
+    const changed = [afterInput, removeInput, clear].some(value => value !== null);
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { escalation: { levels } } });
+      log(`⏫ **Escalation levels updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor("DarkRed")
+      .setTitle(changed ? "⏫ Escalation Updated" : "⏫ Escalation Levels")
+      .setDescription(describeEscalation({ ...config, escalation: { levels } }))
+      .setFooter({ text: "Escalation stops once staff press \"I'm on it\" • applies to timers started from now on" })
+      .setTimestamp();
+
+    // Levels only follow a ticket's own staff alert, so a later type alert drops them
+    const skipped = describeSkippedLevels({ ...config, escalation: { levels } });
+    if (skipped) {
+      embed.addFields({
+        name: "⚠️ Skipped for these ticket types",
+        value: `${skipped}\nTickets with their own /schedule alert time skip levels the same way.`
+      });
+    }
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "hours") {
+    const config = await getGuildConfig(guildId);
+    const enabled = interaction.options.getBoolean("enabled");
+    const timezone = interaction.options.getString("timezone");
+    const daysInput = interaction.options.getString("days");
+    const hoursInput = interaction.options.getString("hours");
+    const addHoliday = interaction.options.getString("add_holiday");
+    const removeHoliday = interaction.options.getString("remove_holiday");
+
+    const businessHours = { ...config.businessHours };
+    if (enabled !== null) businessHours.enabled = enabled;
+    if (timezone !== null) {
+      if (!isValidTimezone(timezone)) {
+        return interaction.reply({ content: `❌ Unknown timezone \`${timezone}\`. Use an IANA name like Europe/Berlin.`, flags: 64 });
+      }
+      businessHours.timezone = timezone;
+    }
+    if (daysInput !== null) {
+      businessHours.days = parseDays(daysInput);
+      if (!businessHours.days) {
+        return interaction.reply({ content: `❌ Invalid days \`${daysInput}\`. Use e.g. mon-fri or mon,wed,fri.`, flags: 64 });
+      }
+    }
+    if (hoursInput !== null) {
+      const hours = parseHours(hoursInput);
+      if (!hours) {
+        return interaction.reply({ content: `❌ Invalid hours \`${hoursInput}\`. Use e.g. 09:00-17:00.`, flags: 64 });
+      }
+      Object.assign(businessHours, hours);
+    }
+    for (const date of [addHoliday, removeHoliday].filter(value => value !== null)) {
+      if (!isValidDate(date)) {
+        return interaction.reply({ content: `❌ Invalid date \`${date}\`. Use YYYY-MM-DD.`, flags: 64 });
+      }
+    }
+    if (addHoliday) businessHours.holidays = [...new Set([...businessHours.holidays, addHoliday])].sort();
+    if (removeHoliday) businessHours.holidays = businessHours.holidays.filter(date => date !== removeHoliday);
+
+    const changed = [enabled, timezone, daysInput, hoursInput, addHoliday, removeHoliday].some(value => value !== null);
+    if (changed) {
+      await updateGuildConfig(guildId, { set: { businessHours } });
+      log(`🕘 **Business hours updated** by ${interaction.user}`, interaction.guild);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(businessHours.enabled ? "Green" : "Grey")
+      .setTitle(changed ? "🕘 Business Hours Updated" : "🕘 Business Hours")
+      .setDescription(describeBusinessHours(businessHours))
+      .setFooter({ text: changed ? "Applies to timers started from now on" : "Use the options to change these settings" })
+      .setTimestamp();
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "reset") {
+    const setting = interaction.options.getString("setting");
+    const unset = setting ? [CONFIG_SETTINGS[setting]] : Object.values(CONFIG_SETTINGS);
+
+    await updateGuildConfig(guildId, { unset });
+    await interaction.reply({
+      content: `🔄 **Configuration reset** (${setting || "all settings"}) to defaults.`,
+      flags: 64
+    });
+    log(`⚙️ **Configuration reset** by ${interaction.user}`, interaction.guild);
+  }
+}
+
+// --- /TEMPLATE HANDLER ---
+// Sample values for previews, taken from the guild's own settings
+function getTemplatePreviewVars(interaction, config, locale) {
+  const offsets = getReminderOffsets(config.schedule);
+  const { businessHours } = config;
+  return {
+    creator: `${interaction.user}`,
+    mentions: `${interaction.user}`,
+    reminderNumber: 1,
+    total: offsets.length,
+    remaining: formatLocalDuration(locale, config.schedule.alertOffset - (offsets[0] ?? 0), businessHours),
+    next: offsets.length > 1 ? formatLocalDuration(locale, offsets[1] - offsets[0], businessHours) : "",
+    staffRoles: formatStaffRoles(config) || "@Staff",
+    alertAfter: formatLocalDuration(locale, config.schedule.alertOffset),
+    gracePeriod: formatLocalDuration(locale, config.autoClose.gracePeriod)
+  };
+}
+
+async function handleTemplateCommand(interaction, guildConfig) {
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+  const key = interaction.options.getString("name");
+
+  // With a type, templates are read and written on that type (falling back to the server's)
+  const typeName = interaction.options.getString("type")?.trim().toLowerCase() || null;
+  const type = typeName && guildConfig.ticketTypes.find(entry => entry.name === typeName);
+  if (typeName && !type) {
+    return interaction.reply({ content: `❌ Unknown ticket type \`${typeName}\`. See /tickettype list.`, flags: 64 });
+  }
+  const config = resolveTicketConfig(guildConfig, typeName);
+  const updateTypeTemplates = templates => updateGuildConfig(guildId, {
+    set: { ticketTypes: guildConfig.ticketTypes.map(entry => entry === type ? { ...entry, templates } : entry) }
+  });
+  const scope = type ? ` for ${type.name} tickets` : "";
+
+  if (subcommand === "list") {
+    const lines = Object.entries(TEMPLATES).map(([name, { placeholders }]) =>
+      `${type?.templates[name] ? "🏷️" : guildConfig.templates[name] ? "✏️" : "🌐"} **${name}** — ${placeholders.map(p => `{${p}}`).join(" ")}`
+    );
+    const embed = new EmbedBuilder()
+      .setColor("Blue")
+      .setTitle(`📝 Message Templates${type ? ` (${type.name})` : ""}`)
+      .setDescription(lines.join("\n"))
+      .addFields({
+        name: "Placeholders",
+        value: Object.entries(PLACEHOLDERS).map(([name, description]) => `\`{${name}}\` ${description}`).join("\n")
+      })
+      .setFooter({ text: `${type ? "🏷️ template of this type • " : ""}✏️ custom template • 🌐 built-in text in the creator's or server's language` })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  if (subcommand === "set") {
+    // Slash command options are single-line
+    const text = interaction.options.getString("text").replaceAll("\\n", "\n");
+    const error = validateTemplate(key, text);
+    if (error) {
+      return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    if (type) {
+      await updateTypeTemplates({ ...type.templates, [key]: text });
+    } else {
+      await updateGuildConfig(guildId, { set: { [`templates.${key}`]: text } });
+    }
+    await interaction.reply({
+      content: `✅ **Template ${key} updated${scope}.** It is used for every language. Check it with /template preview.`,
+      flags: 64
+    });
+    log(`📝 **Template ${key} updated${scope}** by ${interaction.user}`, interaction.guild);
+    return;
+  }
+
+  if (subcommand === "reset") {
+    if (type) {
+      const templates = { ...type.templates };
+      if (key) delete templates[key];
+      await updateTypeTemplates(key ? templates : {});
+    } else {
+      await updateGuildConfig(guildId, { unset: [key ? `templates.${key}` : "templates"] });
+    }
+    await interaction.reply({
+      content: `🔄 **Template reset${scope}** (${key || "all templates"}) to the ${type ? "server's" : "built-in"} text.`,
+      flags: 64
+    });
+    log(`📝 **Template reset${scope}** (${key || "all"}) by ${interaction.user}`, interaction.guild);
+    return;
+  }
+
+  if (subcommand === "preview") {
+    const locale = resolveLocale(interaction.options.getString("language"), interaction.locale);
+    const text = renderTemplate(config, locale, key, getTemplatePreviewVars(interaction, config, locale));
+    const { kind } = TEMPLATES[key];
+
+    const embed = new EmbedBuilder().setColor("Yellow");
+    if (kind === "title") embed.setTitle(text);
+    if (kind === "description") embed.setDescription(text);
+    if (kind === "footer") embed.setFooter({ text });
+
+    return interaction.reply({
+      content: `👀 **Preview of ${key}${scope}** (${config.templates[key] ? "custom template" : `built-in text, ${locale}`})`,
+      embeds: [embed],
+      flags: 64
+    });
+  }
+}
+
+// --- /TICKETTYPE HANDLER ---
+const MAX_TICKET_TYPES = 10;
+
+// Lowercase letters, digits, - and _; null if the name can't be used
+function normalizeTypeName(input) {
+  const name = input.trim().toLowerCase();
+  return /^[a-z0-9_-]{1,32}$/.test(name) && name !== UNTYPED ? name : null;
+}
+
+function describeTicketType(config, type) {
+  const resolved = resolveTicketConfig(config, type.name);
+  return [
+    `**Categories:** ${type.categoryIds.map(id => `<#${id}>`).join(" ") || "None"}`,
+    `**Staff Roles:** ${type.staffRoleIds.length ? formatStaffRoles(resolved) : "Server staff roles"}`,
+    type.schedule ? describeSchedule(resolved.schedule) : "**Schedule:** Server schedule",
+    `**Templates:** ${Object.keys(type.templates).join(", ") || "Server templates"}`
+  ].join("\n");
+}
+
+async function handleTicketTypeCommand(interaction, config) {
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === "list") {
+    const embed = new EmbedBuilder()
+      .setColor("Blue")
+      .setTitle("🏷️ Ticket Types")
+      .setDescription(config.ticketTypes.length ? null : "No ticket types yet. Tickets in the categories from /config set use the server settings.")
+      .addFields(config.ticketTypes.map(type => ({ name: type.name, value: describeTicketType(config, type) })))
+      .setFooter({ text: "Create or change types with /tickettype set" })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
+
+  const name = normalizeTypeName(interaction.options.getString("type"));
+  if (!name) {
+    return interaction.reply({
+      content: `❌ Type names can only use letters, digits, - and _ (up to 32 characters), and \`${UNTYPED}\` is reserved.`,
+      flags: 64
+    });
+  }
+  const existing = config.ticketTypes.find(type => type.name === name);
+  const category = interaction.options.getChannel("category");
+
+  if (subcommand === "set") {
+    if (!existing && config.ticketTypes.length >= MAX_TICKET_TYPES) {
+      return interaction.reply({ content: `❌ A server can have at most ${MAX_TICKET_TYPES} ticket types.`, flags: 64 });
+    }
+
+    const { values, error } = getScheduleInput(interaction);
+    if (error) {
+      return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
 
-// --- CLEAR TIMERS ---
-function clearAllTimers(channelId) {
-  const timer = timers.get(channelId);
-  if (!timer) return;
-  if (timer.start) clearTimeout(timer.start);
-  if (timer.repeat) clearInterval(timer.repeat);
-  if (timer.staff) clearTimeout(timer.staff);
-  timers.delete(channelId);
-}
+    const type = existing
+      ? { ...existing, categoryIds: [...existing.categoryIds], staffRoleIds: [...existing.staffRoleIds] }
+      : { name, categoryIds: [], staffRoleIds: [], schedule: null, templates: {} };
+    const staffRole = interaction.options.getRole("staff_role");
+    const changes = [];
 
-// --- START TIMERS ---
-async function startTimers(channel) {
-  const channelId = channel.id;
-  const ticket = await Ticket.findOne({ channelId });
-  if (!ticket) return;
+    if (category && !type.categoryIds.includes(category.id)) {
+      type.categoryIds.push(category.id);
+      changes.push(`• Category: ${category}`);
+    }
+    if (interaction.options.getBoolean("clear_staff_roles")) {
+      type.staffRoleIds = [];
+      changes.push("• Staff roles: server staff roles");
+    }
+    if (staffRole && !type.staffRoleIds.includes(staffRole.id)) {
+      type.staffRoleIds.push(staffRole.id);
+      changes.push(`• Staff role: ${staffRole}`);
+    }
+    if (interaction.options.getBoolean("clear_schedule")) {
+      type.schedule = null;
+      changes.push("• Schedule: server schedule");
+    }
+    if (Object.keys(values).length) {
+      type.schedule = { ...type.schedule, ...values };
+      const invalid = validateSchedule(resolveSchedule(config.schedule, type.schedule));
+      if (invalid) {
+        return interaction.reply({ content: `❌ ${invalid}`, flags: 64 });
+      }
+      changes.push("• Schedule updated");
+    }
 
-  // Clear any existing timers first
-  clearAllTimers(channelId);
+    // A category belongs to one type at most
+    const ticketTypes = config.ticketTypes
+      .filter(entry => entry !== existing)
+      .map(entry => category ? { ...entry, categoryIds: entry.categoryIds.filter(id => id !== category.id) } : entry);
+    await updateGuildConfig(guildId, { set: { ticketTypes: [...ticketTypes, type] } });
 
-  const timer = {};
-  timer.start = setTimeout(async () => {
-    // Mark when timer actually started
-    ticket.timerStartTime = Date.now();
-    ticket.reminderCount = 0;
-    await ticket.save();
-    
-    log(`⏱️ **Timer started** in ${channel}`, channel.guild);
+    await interaction.reply({
+      content: `✅ **Ticket type ${name} ${existing ? "updated" : "created"}!**\n\n${changes.join("\n") || "No changes."}\n\nNew tickets in its categories use it; existing tickets keep their type.`,
+      flags: 64
+    });
+    log(`🏷️ **Ticket type ${name} ${existing ? "updated" : "created"}** by ${interaction.user}\n${changes.join("\n")}`, interaction.guild);
+    return;
+  }
 
-    // Set up reminder interval (first reminder at 6 hours, then every 6 hours)
-    timer.repeat = setInterval(() => {
-      sendReminder(channel);
-    }, REMINDER_INTERVAL);
+  if (subcommand === "remove") {
+    if (!existing) {
+      return interaction.reply({ content: `❌ Unknown ticket type \`${name}\`. See /tickettype list.`, flags: 64 });
+    }
 
-    // Set up staff alert (24 hours from when timer started)
-    timer.staff = setTimeout(() => {
-      sendStaffAlert(channel);
-    }, STAFF_ALERT_TIME);
+    const ticketTypes = category
+      ? config.ticketTypes.map(entry => entry === existing ? { ...entry, categoryIds: entry.categoryIds.filter(id => id !== category.id) } : entry)
+      : config.ticketTypes.filter(entry => entry !== existing);
+    await updateGuildConfig(guildId, { set: { ticketTypes } });
 
-  }, START_DELAY);
+    const what = category ? `${category} unmapped from ${name}` : `Ticket type ${name} removed`;
+    await interaction.reply({
+      content: `🗑️ **${what}.** ${category ? "New tickets in that category" : "Tickets of this type"} use the server settings from now on.`,
+      flags: 64
+    });
+    log(`🏷️ **${what}** by ${interaction.user}`, interaction.guild);
+  }
+}
 
-  timers.set(channelId, timer);
+// --- /WEBHOOK HANDLER ---
+function describeWebhook(webhook) {
+  return [
+    `**URL:** ${webhook.url}`,
+    `**Events:** ${webhook.events.length ? webhook.events.map(type => `\`${type}\``).join(", ") : "all"}`,
+    webhook.createdBy && `**Added by:** <@${webhook.createdBy}> <t:${Math.floor(webhook.createdAt / 1000)}:R>`
+  ].filter(Boolean).join("\n");
 }
 
-// --- SEND REMINDER ---
-async function sendReminder(channel) {
-  const ticket = await Ticket.findOne({ channelId: channel.id });
-  if (!ticket) return;
-  
-  ticket.reminderCount = (ticket.reminderCount || 0) + 1;
-  await ticket.save();
-  
-  // Stop sending reminders after 3
-  if (ticket.reminderCount > 3) {
-    const timer = timers.get(channel.id);
-    if (timer?.repeat) {
-      clearInterval(timer.repeat);
+async function handleWebhookCommand(interaction, config) {
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === "add") {
+    const url = interaction.options.getString("url").trim();
+    const eventsInput = interaction.options.getString("events");
+    const blocked = await checkWebhookUrl(url);
+    if (blocked) {
+      return interaction.reply({ content: `❌ The URL ${blocked}.`, flags: 64 });
+    }
+    if (config.webhooks.length >= MAX_WEBHOOKS) {
+      return interaction.reply({ content: `❌ A server can have at most ${MAX_WEBHOOKS} webhooks.`, flags: 64 });
+    }
+
+    const events = [...new Set((eventsInput ?? "").split(",").map(type => type.trim().toLowerCase()).filter(Boolean))];
+    const unknown = events.filter(type => !EVENT_TYPE_NAMES.includes(type));
+    if (unknown.length) {
+      return interaction.reply({
+        content: `❌ Unknown event type(s) ${unknown.map(type => `\`${type}\``).join(", ")}. Available: ${EVENT_TYPE_NAMES.join(", ")}`,
+        flags: 64
+      });
     }
+
+    const webhook = createWebhook({ url, events, createdBy: interaction.user.id });
+    await updateGuildConfig(guildId, { set: { webhooks: [...config.webhooks, webhook] } });
+    await interaction.reply({
+      content: `✅ **Webhook \`${webhook.id}\` added.**\n\n${describeWebhook(webhook)}\n\n🔑 **Signing secret** (shown only now):\n\`${webhook.secret}\`\n\nCheck it with /webhook test id:${webhook.id}`,
+      flags: 64
+    });
+    log(`🪝 **Webhook ${webhook.id} added** by ${interaction.user}`, interaction.guild);
     return;
   }
-  
-  // Different message for final reminder (3rd one)
-  const isFinalReminder = ticket.reminderCount === 3;
-  
-  const embed = new EmbedBuilder()
-    .setColor(isFinalReminder ? "Red" : "Yellow")
-    .setTitle(isFinalReminder ? "🔔 Final Ticket Reminder ⚠️" : "🔔 Ticket Reminder")
-    .setDescription(
-      isFinalReminder 
-        ? `<@${ticket.creatorId}>, please respond to this ticket immediately.\n\n• If you have any questions or need help, reply now\n• If your issue is solved, click the 🔒 button to close the ticket\n• ⚠️ This is your last chance - our team will close this ticket in 6 hours if you don't respond`
-        : `<@${ticket.creatorId}>, please respond to this ticket.\n\n• If you have any questions or need help, reply here\n• If your issue is solved, click the 🔒 button to close the ticket\n• If we don't hear from you within 24 hours, our team may close this ticket`
-    )
-    .setFooter({ 
-      text: isFinalReminder 
-        ? "Reminder 3 of 3 • Final warning - 6 hours remaining" 
-        : `Reminder ${ticket.reminderCount} of 3 • Next reminder in 6 hours` 
-    })
-    .setTimestamp();
-  
-  channel.send({ embeds: [embed] }).catch(() => {});
-  log(`🔔 Reminder #${ticket.reminderCount} sent in ${channel}`, channel.guild);
-  
-  // After 3rd reminder, stop the interval
-  if (ticket.reminderCount === 3) {
-    const timer = timers.get(channel.id);
-    if (timer?.repeat) {
-      clearInterval(timer.repeat);
-    }
+
+  if (subcommand === "list") {
+    const embed = new EmbedBuilder()
+      .setColor("Blue")
+      .setTitle("🪝 Webhooks")
+      .setDescription(config.webhooks.length ? null : "No webhooks yet. Add one with /webhook add.")
+      .addFields(config.webhooks.map(webhook => ({ name: webhook.id, value: describeWebhook(webhook) })))
+      .setFooter({ text: "Requests are signed with X-Webhook-Signature (HMAC-SHA256) • Failed deliveries: /webhook failures" })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], flags: 64 });
   }
-}
 
-// --- SEND STAFF ALERT ---
-async function sendStaffAlert(channel) {
-  const ticket = await Ticket.findOne({ channelId: channel.id });
-  const embed = new EmbedBuilder()
-    .setColor("Red")
-    .setTitle("⏰ 24-Hour Inactivity Alert")
-    .setDescription(`<@&${STAFF_ROLE_ID}> <@&${KING_ROLE_ID}>\n\n🚨 **No response from ticket creator** <@${ticket?.creatorId}> **for 24 hours.**\n\nPlease **close and delete** this ticket manually.`)
-    .setFooter({ text: "Ticket has been inactive for 24 hours" })
-    .setTimestamp();
-  
-  channel.send({ embeds: [embed] }).catch(() => {});
-  log(`⚠️ **24-hour staff alert** sent for ${channel}`, channel.guild);
-}
+  if (subcommand === "failures") {
+    const { letters, total } = await getDeadLetters(guildId);
+    const lines = letters.map(letter =>
+      `<t:${Math.floor(letter.createdAt.getTime() / 1000)}:f> \`${letter.webhookId}\` **${letter.eventType}** — ${letter.attempts} attempt(s), ${letter.lastError}`
+    );
+    const embed = new EmbedBuilder()
+      .setColor(total ? "Orange" : "Green")
+      .setTitle("🪝 Undelivered Events")
+      .setDescription(lines.join("\n") || "✅ Every event was delivered.")
+      .setFooter({ text: `${total} undelivered events (kept for 30 days)` })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], flags: 64 });
+  }
 
-// --- GET TIME ELAPSED ---
-function getTimeElapsed(startTime) {
-  if (!startTime) return "Timer not started";
-  
-  const elapsed = Date.now() - startTime;
-  const hours = Math.floor(elapsed / (60 * 60 * 1000));
-  const minutes = Math.floor((elapsed % (60 * 60 * 1000)) / (60 * 1000));
-  
-  return `${hours}h ${minutes}m`;
+  const id = interaction.options.getString("id").trim();
+  const webhook = config.webhooks.find(entry => entry.id === id);
+  if (!webhook) {
+    return interaction.reply({ content: `❌ Unknown webhook \`${id}\`. See /webhook list.`, flags: 64 });
+  }
+
+  if (subcommand === "remove") {
+    await updateGuildConfig(guildId, { set: { webhooks: config.webhooks.filter(entry => entry !== webhook) } });
+    await interaction.reply({ content: `🗑️ **Webhook \`${webhook.id}\` removed.** Pending deliveries to it are dropped.`, flags: 64 });
+    log(`🪝 **Webhook ${webhook.id} removed** by ${interaction.user}`, interaction.guild);
+    return;
+  }
+
+  if (subcommand === "test") {
+    await interaction.deferReply({ flags: 64 });
+    // Delivered once, right away; test events aren't retried or dead-lettered
+    const payload = buildPayload({
+      type: "webhook_test",
+      guildId,
+      channelId: interaction.channelId,
+      actorId: interaction.user.id,
+      createdAt: Date.now(),
+      metadata: { webhookId: webhook.id }
+    });
+    const result = await deliverWebhook(webhook, payload.type, JSON.stringify(payload));
+    await interaction.editReply({
+      content: result.ok
+        ? `✅ **Test event delivered** to \`${webhook.id}\` (HTTP ${result.status}).`
+        : `❌ **Test event failed** for \`${webhook.id}\`: ${result.error}`
+    });
+  }
 }
 
 // --- READY EVENT ---
@@ -214,59 +2081,32 @@ client.once(Events.ClientReady, async () => {
   try {
     console.log(`✅ Logged in as ${client.user.tag}`);
 
-    // Load all tickets from MongoDB
-    const tickets = await Ticket.find({});
+    // Load all tickets from storage
+    const tickets = await getTickets();
     console.log(`✅ Loaded ${tickets.length} tickets from database`);
 
-  // Restore active timers for tickets that had timers running
-  for (const ticket of tickets) {
-    if (ticket.timerStartTime) {
-      const channel = await client.channels.fetch(ticket.channelId).catch(() => null);
-      if (channel) {
-        const elapsed = Date.now() - ticket.timerStartTime;
-        
-        // If less than 24 hours elapsed, restore the timer
-        if (elapsed < STAFF_ALERT_TIME) {
-          const remainingTime = STAFF_ALERT_TIME - elapsed;
-          
-          // Calculate when next reminder should be
-          const timeSinceLastReminder = elapsed % REMINDER_INTERVAL;
-          const timeToNextReminder = REMINDER_INTERVAL - timeSinceLastReminder;
-          
-          const timer = {};
-          
-          // Set up next reminder
-          timer.repeat = setInterval(() => {
-            sendReminder(channel);
-          }, REMINDER_INTERVAL);
-          
-          // Send reminder if it's time
-          if (timeToNextReminder <= 1000) {
-            sendReminder(channel);
-          } else {
-            setTimeout(() => {
-              sendReminder(channel);
-            }, timeToNextReminder);
-          }
-          
-          // Set up staff alert for remaining time
-          timer.staff = setTimeout(() => {
-            sendStaffAlert(channel);
-          }, remainingTime);
-          
-          timers.set(ticket.channelId, timer);
-          
-          console.log(`🔄 Restored timer for ticket ${ticket.channelId} (${Math.floor(elapsed / 60000)} minutes elapsed)`);
-        } else {
-          // Timer expired during downtime, send staff alert now
-          sendStaffAlert(channel);
+    for (const ticket of tickets) {
+      // Tickets stored before per-guild config don't know their guild yet
+      if (!ticket.guildId) {
+        const channel = await client.channels.fetch(ticket.channelId).catch(() => null);
+        if (channel?.guild) {
+          ticket.guildId = channel.guild.id;
+          await ticket.save();
         }
+      }
+
+      // Make sure every running timer / pending auto-close has its jobs queued.
+      // Idempotent, and picks up tickets from before the job scheduler existed.
+      if (ticket.autoClose) {
+        await ensureAutoCloseJob(ticket);
       } else {
-        // Channel doesn't exist anymore, clean up
-        await Ticket.deleteOne({ channelId: ticket.channelId });
+        await restoreTimers(ticket);
       }
     }
-  }
+
+    await ensureAutoCleanupJobs();
+    startScheduler();
+    console.log("✅ Job scheduler started");
   
   } catch (error) {
     console.error("❌ READY EVENT ERROR:", error);
@@ -274,190 +2114,363 @@ client.once(Events.ClientReady, async () => {
 });
 
 // --- MESSAGE HANDLER ---
-client.on("messageCreate", async message => {
-  if (!message.guild) return;
-  if (message.author.bot && message.author.id !== TICKET_TOOL_BOT_ID) return;
-  
+client.on("messageCreate", trackErrors("messageCreate", async message => {
+  if (!message.guild || message.author.id === client.user.id) return;
+
+  const guildConfig = await getGuildConfig(message.guild.id);
   const channel = message.channel;
-  if (channel.parentId !== TICKET_CATEGORY_ID) return;
+  const categoryId = getTicketCategoryId(channel);
+  if (!isTicketCategory(guildConfig, categoryId)) return;
 
-  const member = message.member;
-  const isStaff = member?.roles.cache.has(STAFF_ROLE_ID) || member?.roles.cache.has(KING_ROLE_ID);
+  // The type is fixed when the ticket is stored, even if the channel moves later
+  const ticket = await getTicket(channel.id);
+  const type = ticket ? ticket.type : getTicketTypeForCategory(guildConfig, categoryId)?.name ?? null;
+  const config = resolveTicketConfig(guildConfig, type);
 
   // === TICKET CREATOR DETECTION (Only once when ticket is created) ===
-  let ticket = await Ticket.findOne({ channelId: channel.id });
-  
+  // The guild's adapters decide who the creator is (see lib/detection.js)
   if (!ticket) {
-    let creatorId = null;
-
-    // If message is from the ticket tool bot, find the first mentioned user (not staff/king)
-    if (message.author.id === TICKET_TOOL_BOT_ID) {
-      for (const [id, user] of message.mentions.users) {
-        const mentionedMember = await message.guild.members.fetch(id).catch(() => null);
-        if (mentionedMember) {
-          const isMentionedStaff = mentionedMember.roles.cache.has(STAFF_ROLE_ID) || 
-                                   mentionedMember.roles.cache.has(KING_ROLE_ID);
-          if (!isMentionedStaff && !user.bot) {
-            creatorId = id;
-            break;
-          }
-        }
-      }
-    } 
-    // If first message is from a regular user (not staff), they are the creator
-    else if (!isStaff && !message.author.bot) {
-      creatorId = message.author.id;
-    }
-
-    if (creatorId) {
-      ticket = await Ticket.create({
-        channelId: channel.id,
-        creatorId,
-        timerStartTime: null,
-        reminderCount: 0
+    const detected = await detectCreator(channel, config, { message });
+    if (detected) {
+      await createTicket(message.guild, channel.id, {
+        creatorId: detected.creatorId,
+        participantIds: detected.participantIds,
+        type,
+        metadata: { adapter: detected.adapter }
       });
-      log(`🎫 **Ticket creator stored:** <@${creatorId}> in ${channel}`, message.guild);
     }
     return;
   }
 
-  // === CREATOR REPLY → STOP TIMERS ===
-  if (!isStaff && message.author.id === ticket.creatorId) {
-    const wasActive = ticket.timerStartTime !== null;
-    clearAllTimers(channel.id);
-    ticket.timerStartTime = null;
-    ticket.reminderCount = 0;
-    await ticket.save();
-    if (wasActive) {
-      log(`🛑 **Timer stopped** (creator replied) in ${channel}`, message.guild);
+  // === CLOSE/REOPEN DETECTION (e.g. the ticket bot's close message) ===
+  if (message.author.bot) {
+    if (ticket.closedAt) {
+      const reopened = await detectReopen(ticket, config, { message });
+      if (reopened) await reopenTicket(message.guild, ticket, reopened);
+    } else {
+      const closed = await detectClose(ticket, config, { message });
+      if (closed) await closeTicket(message.guild, ticket, closed);
     }
     return;
   }
 
+  await handleTicketActivity(message, ticket, config);
+}));
+
+// === TICKET ACTIVITY (new and edited messages) ===
+// What counts is set with /config activity (see lib/activity.js); the rule
+// that decided goes into the event metadata
+async function handleTicketActivity(message, ticket, config, { edited = false } = {}) {
+  // Closing and closed tickets ignore activity; staff use the cancel button instead
+  if (ticket.autoClose || ticket.closedAt) return;
+
+  const isStaff = isStaffMember(message.member, config);
+  // Which participants count is configured with /config participants
+  const isReply = !isStaff && pausesTimer(ticket, message.author.id, config.participants.pauseOn);
+  if (!isStaff && !isReply) return;
+
+  const { counts, ...rule } = evaluateMessage(message, config.activity, { isStaff });
+  const metadata = { messageId: message.id, ...rule, ...(edited && { edited }) };
+  const actor = { channelId: message.channel.id, actorId: message.author.id };
+  if (!counts) {
+    // An edit that still doesn't count was logged when the message was sent
+    if (!edited) recordEvent(message.guild, { type: "activity_ignored", ...actor, metadata });
+    return;
+  }
+
+  // === CREATOR/PARTICIPANT REPLY → STOP TIMERS ===
+  if (isReply) {
+    return handleCreatorReply(message.guild, ticket, message.author.id, { channelId: message.channel.id, metadata });
+  }
+
   // === STAFF/KING MESSAGE → RESTART TIMERS ===
-  if (isStaff) {
-    clearAllTimers(channel.id);
-    startTimers(channel);
+  await dispatchTicketEvent(ticket, { type: "staff_message" });
+  await markStaffReplied(ticket, message.author.id);
+  recordEvent(message.guild, { type: "staff_replied", ...actor, metadata });
+}
+
+// Shared by replies, edits that made a reply count and reactions to reminders
+async function handleCreatorReply(guild, ticket, userId, { channelId, metadata }) {
+  const wasActive = ticket.timerStartTime !== null;
+  const replyType = replyEventType(ticket, userId);
+  await dispatchTicketEvent(ticket, { type: "creator_message" });
+  await markAwaitingStaff(ticket);
+  recordEvent(guild, { type: replyType, channelId, actorId: userId, metadata });
+  if (wasActive) {
+    creatorStops.inc();
+    recordEvent(guild, {
+      type: "timer_stopped",
+      channelId,
+      actorId: userId,
+      metadata: { reason: replyType === "creator_replied" ? "creator_reply" : "participant_reply", ...metadata }
+    });
+  }
+}
+
+// --- MESSAGE EDIT HANDLER ---
+// An edit is judged like a new message, but only if the message didn't count
+// yet (too short, a note): a padded "ok" counts from the edit, and editing a
+// message that already counted changes nothing
+client.on("messageUpdate", trackErrors("messageUpdate", async (oldMessage, newMessage) => {
+  if (!newMessage.guild) return;
+  const message = newMessage.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+  if (!message || message.author.bot) return;
+  // Link previews arrive as edits too
+  if (!oldMessage.partial && oldMessage.content === message.content && oldMessage.attachments.size === message.attachments.size) return;
+
+  const ticket = await getTicket(message.channel.id);
+  if (!ticket || await findActivityEvent(message.channel.id, message.id)) return;
+  await handleTicketActivity(message, ticket, await getTicketConfig(ticket, message.guild.id), { edited: true });
+}));
+
+// --- MESSAGE DELETE HANDLER ---
+// A deleted message keeps the effect it had on the timer, so deleting a reply
+// can't be used to undo or repeat anything; deleting one that counted is logged
+client.on("messageDelete", trackErrors("messageDelete", async message => {
+  if (!message.guild) return;
+  const counted = await findActivityEvent(message.channelId, message.id);
+  if (!counted) return;
+
+  recordEvent(message.guild, {
+    type: "activity_deleted",
+    channelId: message.channelId,
+    actorId: counted.actorId,
+    metadata: { ...counted.metadata, replyType: counted.type }
+  });
+}));
+
+// --- REACTION HANDLER ---
+// With /config activity reactions, a reaction to a reminder of a running
+// timer counts as the creator's (or a participant's) reply
+client.on("messageReactionAdd", trackErrors("messageReactionAdd", async (reaction, user) => {
+  const { message } = reaction;
+  if (!message.guild || user.bot) return;
+  const ticket = await getTicket(message.channelId);
+  if (!ticket || ticket.autoClose || ticket.closedAt || !ticket.timerStartTime) return;
+
+  const config = await getTicketConfig(ticket, message.guild.id);
+  if (!config.activity.reactions || !pausesTimer(ticket, user.id, config.participants.pauseOn)) return;
+  if (!await isReminderMessage(message.channelId, message.id)) return;
+  const member = await message.guild.members.fetch(user.id).catch(() => null);
+  if (isStaffMember(member, config)) return;
+
+  await handleCreatorReply(message.guild, ticket, user.id, {
+    channelId: message.channelId,
+    metadata: { rule: "reaction", reminderId: message.id, emoji: reaction.emoji.toString() }
+  });
+}));
+
+// --- INTERACTION HANDLER ---
+client.on("interactionCreate", trackErrors("interactionCreate", async interaction => {
+  if (!interaction.guild) return;
+
+  // === BUTTONS ===
+  if (interaction.isButton()) {
+    if (interaction.customId === "autoclose-cancel") return handleCancelAutoCloseButton(interaction);
+    if (interaction.customId.startsWith("history:")) return handleHistoryButton(interaction);
+    if (interaction.customId.startsWith("tickets:")) return handleTicketsButton(interaction);
+    if (interaction.customId.startsWith("cleanup:")) return handleCleanupButton(interaction);
+    if (interaction.customId.startsWith("reminder:")) return handleReminderButton(interaction);
+    if (interaction.customId === "escalation:claim") return handleClaimButton(interaction);
+    return;
   }
-});
 
-// --- SLASH COMMAND HANDLER ---
-client.on("interactionCreate", async interaction => {
   if (!interaction.isCommand()) return;
-  
+  await trackCommand(interaction.commandName, () => handleCommand(interaction));
+}));
+
+// How far into a ticket /creator detect looks for the ticket bot's messages
+const DETECT_MESSAGE_LIMIT = 20;
+
+// --- SLASH COMMAND HANDLER ---
+// Returns "denied" when the user may not run the command (counted in /metrics)
+async function handleCommand(interaction) {
   const channel = interaction.channel;
   const member = interaction.member;
-  const isStaff = member.roles.cache.has(STAFF_ROLE_ID) || member.roles.cache.has(KING_ROLE_ID);
+  const guildConfig = await getGuildConfig(interaction.guild.id);
+  const locale = resolveLocale(interaction.locale);
+
+  // === /CONFIG, /TEMPLATE, /TICKETTYPE AND /WEBHOOK COMMANDS (server managers, work before any staff role is set) ===
+  if (["config", "template", "tickettype", "webhook"].includes(interaction.commandName)) {
+    if (!member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ 
+        content: t(locale, "needManageServer"), 
+        flags: 64
+      });
+      return "denied";
+    }
+    if (interaction.commandName === "config") return handleConfigCommand(interaction);
+    if (interaction.commandName === "template") return handleTemplateCommand(interaction, guildConfig);
+    if (interaction.commandName === "webhook") return handleWebhookCommand(interaction, guildConfig);
+    return handleTicketTypeCommand(interaction, guildConfig);
+  }
+
+  // === /NOTIFICATIONS COMMAND (everyone, for their own DMs) ===
+  if (interaction.commandName === "notifications") {
+    const dmReminders = interaction.options.getBoolean("dm_reminders");
+    if (dmReminders !== null) await setDmReminders(interaction.user.id, dmReminders);
+
+    const enabled = dmReminders ?? (await getNotificationPreferences(interaction.user.id)).dmReminders;
+    return interaction.reply({
+      content: t(locale, dmReminders !== null ? "notificationsUpdated" : "notificationsStatus", {
+        status: t(locale, enabled ? "notificationsOn" : "notificationsOff")
+      }),
+      flags: 64
+    });
+  }
+
+  // Staff roles, schedule and templates of the ticket type this channel belongs to
+  const config = resolveTicketConfig(guildConfig, await getChannelTicketType(guildConfig, channel));
+  const isStaff = isStaffMember(member, config);
   
   if (!isStaff) {
-    return interaction.reply({ 
-      content: "❌ You are not authorized to use this command.", 
+    await interaction.reply({ 
+      content: t(locale, "notAuthorized"), 
       flags: 64
     });
+    return "denied";
   }
 
   // === /TIMER COMMAND ===
   if (interaction.commandName === "timer") {
-    const action = interaction.options.getString("action");
-    const ticket = await Ticket.findOne({ channelId: channel.id });
+    const action = interaction.options.getSubcommand();
+    const ticket = await getTicket(channel.id);
+    const schedule = ticket ? resolveSchedule(config.schedule, ticket.schedule) : config.schedule;
+    const firstReminder = getReminderOffsets(schedule)[0];
+    const pendingStart = ticket && !ticket.timerStartTime
+      ? await getNextJob(channel.id, ["timer-start"])
+      : null;
 
     switch(action) {
       case "stop":
-        if (!ticket || !ticket.timerStartTime) {
+        if (!ticket || (!ticket.timerStartTime && !pendingStart)) {
           return interaction.reply({ 
-            content: "⏹️ No active timer to stop.", 
+            content: t(locale, "timerNothingToStop"), 
             flags: 64 
           });
         }
-        clearAllTimers(channel.id);
-        ticket.timerStartTime = null;
-        ticket.reminderCount = 0;
-        await ticket.save();
-        await interaction.reply({ content: "⏹️ **Timer stopped immediately.**", flags: 64 });
-        log(`⏹️ **Timer manually stopped** in ${channel}`, channel.guild);
+        await stopTimers(ticket);
+        await interaction.reply({ content: t(locale, "timerStopped"), flags: 64 });
+        recordEvent(channel.guild, {
+          type: "timer_stopped",
+          channelId: channel.id,
+          actorId: interaction.user.id,
+          metadata: { reason: "manual" }
+        });
         break;
 
       case "restart":
         if (!ticket) {
           return interaction.reply({ 
-            content: "❌ No ticket data found. Please assign a creator first.", 
+            content: t(locale, "noTicketDataAssignFirst"), 
             flags: 64 
           });
         }
-        clearAllTimers(channel.id);
-        
-        // Restart timer immediately without 10min delay and WITHOUT sending reminder
-        ticket.timerStartTime = Date.now();
-        ticket.reminderCount = 0;
-        await ticket.save();
-        
-        const timer = {};
-        
-        // First reminder will come after 6 hours
-        timer.repeat = setInterval(() => {
-          sendReminder(channel);
-        }, REMINDER_INTERVAL);
-        
-        // Staff alert after 24 hours
-        timer.staff = setTimeout(() => {
-          sendStaffAlert(channel);
-        }, STAFF_ALERT_TIME);
-        
-        timers.set(channel.id, timer);
+        if (ticket.closedAt) {
+          return interaction.reply({ content: t(locale, "ticketClosed"), flags: 64 });
+        }
+        // Restart timer immediately without the start delay and WITHOUT sending reminder
+        await restartTimers(ticket);
         
         await interaction.reply({ 
-          content: "🔄 **Timer restarted immediately.** First reminder will be sent in 6 hours.", 
+          content: firstReminder
+            ? t(locale, "timerRestartedReminder", { duration: formatLocalDuration(locale, firstReminder, config.businessHours) })
+            : t(locale, "timerRestartedAlert", { duration: formatLocalDuration(locale, schedule.alertOffset, config.businessHours) }), 
           flags: 64 
         });
-        log(`🔄 **Timer manually restarted** in ${channel}`, channel.guild);
+        recordEvent(channel.guild, { type: "timer_restarted", channelId: channel.id, actorId: interaction.user.id });
         break;
 
-      case "status":
+      case "status": {
         if (!ticket) {
           return interaction.reply({ 
-            content: "❌ No ticket data found.", 
+            content: t(locale, "noTicketFound"), 
             flags: 64 
           });
         }
+
+        const timer = await getTimerState(ticket, schedule);
         
-        if (!ticket.timerStartTime) {
+        if (timer.state === "starting") {
+          return interaction.reply({ 
+            content: t(locale, "statusStarting", { time: formatEventTime(timer.nextEvent.runAt) }), 
+            flags: 64 
+          });
+        }
+
+        if (timer.state === "closed") {
+          return interaction.reply({ 
+            content: t(locale, "statusClosed", { time: formatEventTime(ticket.closedAt) }), 
+            flags: 64 
+          });
+        }
+
+        if (timer.state === "closing") {
           return interaction.reply({ 
-            content: "⏱️ **Timer Status:** Inactive\n\n❌ Timer is not currently running.", 
+            content: t(locale, "statusClosing", { time: formatEventTime(timer.nextEvent.runAt) }), 
+            flags: 64 
+          });
+        }
+
+        if (timer.state === "stopped") {
+          return interaction.reply({ 
+            content: t(locale, "statusInactive"), 
             flags: 64 
           });
         }
         
-        const elapsed = getTimeElapsed(ticket.timerStartTime);
+        const { businessHours } = config;
+        const lines = [
+          `**${t(locale, "statusLabelStatus")}:** ${t(locale, timer.state === "alerted" ? "statusAlerted" : "statusActive")}`,
+          `**${t(locale, "statusLabelElapsed")}:** ${getTimeElapsed(ticket.timerStartTime)}`,
+          businessHours.enabled && `**${t(locale, "statusLabelBusinessElapsed")}:** ${formatLocalDuration(locale, getBusinessTimeBetween(ticket.timerStartTime, Date.now(), businessHours))}`,
+          `**${t(locale, "statusLabelReminders")}:** ${t(locale, "statusReminderCount", { count: ticket.reminderCount, total: timer.reminderTotal })}`,
+          `**${t(locale, "statusLabelNextEvent")}:** ${timer.nextEvent ? `${describeTimerEvent(locale, timer.nextEvent)} ${formatEventTime(timer.nextEvent.runAt)}` : t(locale, "statusNone")}`,
+          `**${t(locale, "statusLabelCreator")}:** <@${ticket.creatorId}>`,
+          ticket.type && `**${t(locale, "statusLabelType")}:** ${ticket.type}`,
+          `**${t(locale, "statusLabelAssignee")}:** ${ticket.claimedBy ? `<@${ticket.claimedBy}>` : t(locale, "statusUnassigned")}`,
+          ticket.participants.length && `**${t(locale, "statusLabelParticipants")}:** ${ticket.participants.map(p => `<@${p.userId}>`).join(" ")}`
+        ];
         const embed = new EmbedBuilder()
           .setColor("Blue")
-          .setTitle("⏱️ Timer Status")
-          .setDescription(`**Status:** ✅ Active\n**Time Elapsed:** ${elapsed}\n**Reminders Sent:** ${ticket.reminderCount}\n**Creator:** <@${ticket.creatorId}>`)
-          .setFooter({ text: "Staff alert will trigger at 24 hours" })
+          .setTitle(t(locale, "statusTitle"))
+          .setDescription(lines.filter(Boolean).join("\n"))
+          .setFooter({ text: t(locale, "statusFooter", { duration: formatLocalDuration(locale, schedule.alertOffset, businessHours) }) })
           .setTimestamp();
         
         await interaction.reply({ embeds: [embed], flags: 64 });
         break;
+      }
+
+      case "schedule":
+        if (!ticket) {
+          return interaction.reply({ 
+            content: t(locale, "noTicketDataAssignFirst"), 
+            flags: 64 
+          });
+        }
+        return handleTicketScheduleCommand(interaction, ticket, config);
     }
   }
 
   // === /CREATOR COMMAND ===
   if (interaction.commandName === "creator") {
     const action = interaction.options.getString("action");
-    const ticket = await Ticket.findOne({ channelId: channel.id });
+    const ticket = await getTicket(channel.id);
 
     if (action === "check") {
       if (!ticket) {
         return interaction.reply({ 
-          content: "❌ No creator assigned yet.", 
+          content: t(locale, "creatorNotAssigned"), 
           flags: 64 
         });
       }
       
       const embed = new EmbedBuilder()
         .setColor("Green")
-        .setTitle("🎫 Ticket Creator")
-        .setDescription(`**Creator:** <@${ticket.creatorId}>\n**User ID:** ${ticket.creatorId}`)
-        .setFooter({ text: "Use /creator assign to change if incorrect" })
+        .setTitle(t(locale, "creatorTitle"))
+        .setDescription(t(locale, "creatorDescription", { creator: `<@${ticket.creatorId}>`, userId: ticket.creatorId }))
+        .setFooter({ text: t(locale, "creatorFooter") })
         .setTimestamp();
       
       await interaction.reply({ embeds: [embed], flags: 64 });
@@ -467,99 +2480,285 @@ client.on("interactionCreate", async interaction => {
       
       if (!user) {
         return interaction.reply({ 
-          content: "❌ You must provide a user to assign.", 
+          content: t(locale, "creatorUserRequired"), 
           flags: 64 
         });
       }
       
-      // Create or update ticket creator
-      if (!ticket) {
-        await Ticket.create({
-          channelId: channel.id,
-          creatorId: user.id,
-          timerStartTime: null,
-          reminderCount: 0
-        });
-      } else {
-        ticket.creatorId = user.id;
-        await ticket.save();
-      }
-      
+      await assignCreator(channel.guild, channel.id, user.id, { actorId: interaction.user.id });
       await interaction.reply({ 
-        content: `✅ **Ticket creator manually assigned to** <@${user.id}>`, 
+        content: t(locale, "creatorAssigned", { user: `<@${user.id}>` }), 
         flags: 64 
       });
-      log(`✏️ **Ticket creator manually assigned** to <@${user.id}> in ${channel}`, channel.guild);
+
+    } else if (action === "detect") {
+      await interaction.deferReply({ flags: 64 });
+
+      // The oldest messages, where ticket bots post their welcome message
+      const fetched = await channel.messages.fetch({ after: "0", limit: DETECT_MESSAGE_LIMIT }).catch(() => null);
+      const messages = [...(fetched?.values() ?? [])]
+        .filter(message => message.author.id !== client.user.id)
+        .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+
+      const results = await detectWithEachAdapter(channel, config, messages);
+      const [winner = null] = results
+        .filter(entry => entry.priority >= 0 && entry.result)
+        .sort((a, b) => a.priority - b.priority);
+
+      const lines = results.map(({ adapter, priority, result }) => {
+        const participants = result?.participantIds.length
+          ? ` (${t(locale, "creatorDetectParticipants", { participants: result.participantIds.map(id => `<@${id}>`).join(" ") })})`
+          : "";
+        return `${priority >= 0 ? `**${priority + 1}.**` : "➖"} \`${adapter}\` — ${result ? `<@${result.creatorId}>${participants}` : t(locale, "creatorDetectNothing")}`;
+      });
+      lines.push("", winner
+        ? t(locale, "creatorDetectResult", { creator: `<@${winner.result.creatorId}>`, adapter: winner.adapter })
+        : t(locale, "creatorDetectNoResult"));
+      if (ticket) lines.push(t(locale, "creatorDetectStored", { creator: `<@${ticket.creatorId}>` }));
+
+      if (interaction.options.getBoolean("apply") && winner && winner.result.creatorId !== ticket?.creatorId) {
+        const metadata = { adapter: winner.adapter };
+        if (ticket) {
+          await assignCreator(channel.guild, channel.id, winner.result.creatorId, { actorId: interaction.user.id, metadata });
+        } else {
+          await createTicket(channel.guild, channel.id, { ...winner.result, type: config.ticketType ?? null, metadata });
+        }
+        lines.push("", t(locale, "creatorDetectApplied", { creator: `<@${winner.result.creatorId}>` }));
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(winner ? "Green" : "Orange")
+        .setTitle(t(locale, "creatorDetectTitle"))
+        .setDescription(lines.join("\n"))
+        .setFooter({ text: t(locale, "creatorDetectFooter") })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    }
+  }
+
+  // === /PARTICIPANT COMMAND ===
+  if (interaction.commandName === "participant") {
+    const subcommand = interaction.options.getSubcommand();
+    const ticket = await getTicket(channel.id);
+
+    if (!ticket) {
+      return interaction.reply({
+        content: t(locale, "noTicketDataAssignFirst"),
+        flags: 64
+      });
+    }
+
+    if (subcommand === "list") {
+      const lines = getParticipants(ticket).map(({ userId, role }) =>
+        `${PARTICIPANT_ROLES[role].emoji} <@${userId}> — ${t(locale, labelKey("role", role))}`
+      );
+      const embed = new EmbedBuilder()
+        .setColor("Blue")
+        .setTitle(t(locale, "participantsTitle"))
+        .setDescription(lines.join("\n"))
+        .setFooter({ text: t(locale, "participantsFooter", { rule: t(locale, labelKey("pauseRule", config.participants.pauseOn)) }) })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    const user = interaction.options.getUser("user");
+    if (user.id === ticket.creatorId) {
+      return interaction.reply({
+        content: t(locale, "participantIsCreator", { user: `${user}` }),
+        flags: 64
+      });
+    }
+
+    if (subcommand === "add") {
+      if (user.bot) {
+        return interaction.reply({ content: t(locale, "participantIsBot"), flags: 64 });
+      }
+      const role = interaction.options.getString("role") ?? "participant";
+      await addParticipant(channel.guild, ticket, user.id, role, { actorId: interaction.user.id });
+      return interaction.reply({
+        content: t(locale, "participantAdded", { user: `${user}`, role: t(locale, labelKey("role", role)) }),
+        flags: 64
+      });
     }
+
+    if (subcommand === "remove") {
+      const removed = await removeParticipant(channel.guild, ticket, user.id, { actorId: interaction.user.id });
+      return interaction.reply({
+        content: t(locale, removed ? "participantRemoved" : "participantNotFound", { user: `${user}` }),
+        flags: 64
+      });
+    }
+  }
+
+  // === /CLAIM, /UNCLAIM, /TRANSFER COMMANDS ===
+  // Answered publicly so the creator sees who takes care of the ticket
+  if (["claim", "unclaim", "transfer"].includes(interaction.commandName)) {
+    const ticket = await getTicket(channel.id);
+    if (!ticket) {
+      return interaction.reply({ content: t(locale, "noTicketDataAssignFirst"), flags: 64 });
+    }
+
+    if (interaction.commandName === "claim") {
+      if (ticket.claimedBy === interaction.user.id) {
+        return interaction.reply({ content: t(locale, "claimAlreadyYours"), flags: 64 });
+      }
+      if (ticket.claimedBy) {
+        return interaction.reply({ content: t(locale, "claimTakenBy", { user: `<@${ticket.claimedBy}>` }), flags: 64 });
+      }
+      await claimTicket(channel.guild, ticket, interaction.user.id);
+      return interaction.reply({ content: t(locale, "ticketClaimedBy", { user: `${interaction.user}` }) });
+    }
+
+    if (interaction.commandName === "unclaim") {
+      if (!ticket.claimedBy) {
+        return interaction.reply({ content: t(locale, "unclaimNotClaimed"), flags: 64 });
+      }
+      await unclaimTicket(channel.guild, ticket, { actorId: interaction.user.id });
+      return interaction.reply({ content: t(locale, "ticketUnclaimed", { user: `${interaction.user}` }) });
+    }
+
+    const user = interaction.options.getUser("user");
+    const target = await interaction.guild.members.fetch(user.id).catch(() => null);
+    if (user.bot || !isStaffMember(target, config)) {
+      return interaction.reply({ content: t(locale, "transferNotStaff", { user: `${user}` }), flags: 64 });
+    }
+    if (ticket.claimedBy === user.id) {
+      return interaction.reply({ content: t(locale, "transferSameUser", { user: `${user}` }), flags: 64 });
+    }
+    await claimTicket(channel.guild, ticket, user.id, { actorId: interaction.user.id });
+    return interaction.reply({ content: t(locale, "ticketTransferred", { from: `${interaction.user}`, to: `${user}` }) });
   }
 
   // === /RESET COMMAND ===
   if (interaction.commandName === "reset") {
-    const ticket = await Ticket.findOne({ channelId: channel.id });
+    const ticket = await getTicket(channel.id);
     
     if (!ticket) {
       return interaction.reply({ 
-        content: "❌ No ticket data found in this channel.", 
+        content: t(locale, "noTicketData"), 
         flags: 64 
       });
     }
 
-    // Clear all timers
-    clearAllTimers(channel.id);
-
-    // Reset ticket data
-    ticket.reminderCount = 0;
-    ticket.timerStartTime = null;
-    await ticket.save();
+    // Clear all timers and reset ticket data
+    await stopTimers(ticket);
 
     await interaction.reply({ 
-      content: "🔄 **Ticket reset successfully!**\n\n• Reminder count: 0\n• Timer: Stopped\n• Creator: Unchanged\n\nStaff can now restart the timer.", 
+      content: t(locale, "ticketReset"), 
       flags: 64 
     });
     
-    log(`🔄 **Ticket reset** in ${channel}`, channel.guild);
+    recordEvent(channel.guild, { type: "ticket_reset", channelId: channel.id, actorId: interaction.user.id });
   }
 
-  // === /CLEANUP COMMAND ===
-  if (interaction.commandName === "cleanup") {
-    const days = interaction.options.getInteger("days");
-    const cutoffDate = Date.now() - (days * 24 * 60 * 60 * 1000);
+  // === /TICKETS COMMAND ===
+  if (interaction.commandName === "tickets") {
+    const filter = interaction.options.getString("filter") || "all";
+    const sort = interaction.options.getString("sort") || "waiting";
+    await interaction.deferReply({ flags: 64 });
+    await interaction.editReply(await buildTicketsPage(interaction.guild.id, filter, sort, 0));
+  }
 
-    // Find tickets older than cutoff date
-    const oldTickets = await Ticket.find({
-      timerStartTime: { $lt: cutoffDate, $ne: null }
-    });
+  // === /HISTORY COMMAND ===
+  if (interaction.commandName === "history") {
+    const channelId = interaction.options.getString("channel_id")?.trim() || channel.id;
+    await interaction.reply({ ...await buildHistoryPage(interaction.guild.id, channelId, 0), flags: 64 });
+  }
 
-    if (oldTickets.length === 0) {
+  // === /STATS COMMAND ===
+  if (interaction.commandName === "stats") {
+    const period = interaction.options.getString("period") || "weekly";
+    const ticketType = interaction.options.getString("type")?.trim().toLowerCase() || null;
+    await interaction.deferReply({ flags: 64 });
+    const stats = await getStats(interaction.guild.id, period, Date.now(), { ticketType });
+    await interaction.editReply({ embeds: buildStatsEmbeds(stats, period, ticketType) });
+  }
+
+  // === /TRANSCRIPT COMMAND ===
+  if (interaction.commandName === "transcript") {
+    const ticket = await getTicket(channel.id);
+    if (!ticket) {
       return interaction.reply({ 
-        content: `✅ No tickets found older than ${days} days.`, 
+        content: "❌ No ticket data found in this channel.", 
         flags: 64 
       });
     }
 
-    // Delete old tickets
-    const result = await Ticket.deleteMany({
-      timerStartTime: { $lt: cutoffDate, $ne: null }
+    await interaction.deferReply({ flags: 64 });
+    const { transcript, files } = await generateTranscript(channel, ticket);
+    await interaction.editReply({ 
+      content: `📜 **Transcript generated** (${transcript.messageCount} messages)`, 
+      files 
     });
-
-    await interaction.reply({ 
-      content: `🗑️ **Cleanup complete!**\n\n• Deleted ${result.deletedCount} tickets older than ${days} days\n• Database storage freed up`, 
-      flags: 64 
+    recordEvent(channel.guild, {
+      type: "transcript_generated",
+      channelId: channel.id,
+      actorId: interaction.user.id,
+      metadata: { messageCount: transcript.messageCount }
     });
+  }
 
-    log(`🗑️ **Cleanup:** Deleted ${result.deletedCount} tickets older than ${days} days`, channel.guild);
+  // === /CLEANUP COMMAND (dry run; deleting needs the confirm button) ===
+  if (interaction.commandName === "cleanup") {
+    const criteria = {
+      inactiveDays: interaction.options.getInteger("inactive_days"),
+      orphaned: interaction.options.getBoolean("orphaned") ?? false,
+      closedDays: interaction.options.getInteger("closed_days")
+    };
+    if (!hasCriteria(criteria)) {
+      return interaction.reply({ 
+        content: "❌ Choose what to clean up: inactive_days, orphaned and/or closed_days.", 
+        flags: 64 
+      });
+    }
+
+    await interaction.deferReply({ flags: 64 });
+    await interaction.editReply(await buildCleanupPreview(channel.guild, criteria));
   }
-});
+}
 
-// === CHANNEL DELETE HANDLER (Clean up database) ===
-client.on("channelDelete", async channel => {
-  const ticket = await Ticket.findOne({ channelId: channel.id });
+// === CHANNEL/THREAD UPDATE HANDLER (close/reopen detection, see lib/detection.js) ===
+// Auto-close locks the channel itself, so those tickets are left alone
+async function handleChannelUpdate(oldChannel, newChannel) {
+  if (!newChannel.guild) return;
+  const ticket = await getTicket(newChannel.id);
+  if (!ticket || ticket.autoClose) return;
+
+  const config = await getTicketConfig(ticket, newChannel.guild.id);
+  if (ticket.closedAt) {
+    const reopened = await detectReopen(ticket, config, { oldChannel, newChannel });
+    if (reopened) await reopenTicket(newChannel.guild, ticket, reopened);
+    return;
+  }
+  const closed = await detectClose(ticket, config, { oldChannel, newChannel });
+  if (closed) await closeTicket(newChannel.guild, ticket, closed);
+}
+
+client.on("channelUpdate", trackErrors("channelUpdate", handleChannelUpdate));
+client.on("threadUpdate", trackErrors("threadUpdate", handleChannelUpdate));
+
+// === CHANNEL DELETE HANDLER (Retain closed ticket data) ===
+client.on("channelDelete", trackErrors("channelDelete", async channel => {
+  const ticket = await getTicket(channel.id);
   if (ticket) {
-    clearAllTimers(channel.id);
-    await Ticket.deleteOne({ channelId: channel.id });
-    console.log(`🗑️ Cleaned up ticket data for deleted channel ${channel.id}`);
+    // The channel is gone, so only messages still in the bot's cache can be saved
+    if (!ticket.transcriptAt) {
+      const messages = [...channel.messages.cache.values()]
+        .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+      await archiveTranscript(channel, ticket, { reason: "Channel deleted", messages, partial: true })
+        .catch(error => console.error(`❌ Transcript for ${channel.id} failed:`, error));
+    }
+
+    await retainTicketData(channel.id);
+    recordEvent(channel.guild, {
+      type: "ticket_deleted",
+      channelId: channel.id,
+      metadata: { channelName: channel.name, reason: "channel deleted" }
+    });
+    console.log(`🔐 Closed ticket for deleted channel ${channel.id}, data kept for retention`);
   }
-});
+}));
 
 // --- LOGIN ---
 if (!DISCORD_BOT_TOKEN) {
@@ -567,32 +2766,32 @@ if (!DISCORD_BOT_TOKEN) {
   process.exit(1);
 }
 
-// Validate environment variables
-if (!TICKET_CATEGORY_ID || !STAFF_ROLE_ID || !KING_ROLE_ID || !LOG_CHANNEL_ID || !TICKET_TOOL_BOT_ID) {
-  console.error("❌ Missing required environment variables. Please check your .env file.");
+if (!STORAGE_TYPES.includes(STORAGE)) {
+  console.error(`❌ STORAGE must be one of: ${STORAGE_TYPES.join(", ")}`);
   process.exit(1);
 }
 
-if (!MONGODB_URI) {
+if (STORAGE === "mongodb" && !MONGODB_URI) {
   console.error("❌ MONGODB_URI missing in .env file");
   process.exit(1);
 }
 
-// === CONNECT TO MONGODB FIRST ===
-async function connectMongo() {
+// === CONNECT TO STORAGE FIRST ===
+async function connectToStorage() {
   try {
-    mongoose.set("strictQuery", true);
-    await mongoose.connect(MONGODB_URI, {
-      serverSelectionTimeoutMS: 15000
-    });
-    console.log("✅ Connected to MongoDB");
+    await connectStorage(STORAGE, { uri: MONGODB_URI, file: STORAGE_FILE });
+    console.log({
+      mongodb: "✅ Connected to MongoDB",
+      memory: "✅ Using in-memory storage, nothing is kept after a restart",
+      file: `✅ Using file storage at ${STORAGE_FILE}`
+    }[STORAGE]);
   } catch (err) {
-    console.error("❌ MongoDB connection failed:", err.message);
+    console.error("❌ Storage connection failed:", err.message);
     process.exit(1);
   }
 }
 
-await connectMongo();
+await connectToStorage();
 
 client.login(DISCORD_BOT_TOKEN);
 
@@ -619,29 +2818,50 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(200, { "Content-Type": "text/plain" });
     res.end("Bot is alive! 🤖");
   } else if (req.url === "/status") {
-    const ticketCount = await Ticket.countDocuments();
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({
-      status: "online",
-      tickets: ticketCount,
-      uptime: process.uptime(),
-      timestamp: new Date().toISOString()
-    }));
+    try {
+      const ticketCount = await storage.tickets.count();
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        status: "online",
+        tickets: ticketCount,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error("❌ /status failed:", error);
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "error", error: error.message }));
+    }
+  } else if (req.url === "/metrics") {
+    try {
+      const metrics = await renderMetrics(client);
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      res.end(metrics);
+    } catch (error) {
+      console.error("❌ /metrics failed:", error);
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("Metrics unavailable");
+    }
+  } else if (req.url.startsWith("/api/")) {
+    await handleApiRequest(req, res, client);
   } else if (req.url === "/test-db") {
-    if (mongoose.connection.readyState !== 1) {
+    // Exposes ticket data, so it sits behind the admin API token
+    if (!authorize(req, res)) return;
+
+    if (!isStorageConnected()) {
       res.writeHead(503, { "Content-Type": "application/json" });
       return res.end(JSON.stringify({
-        error: "MongoDB not connected",
-        readyState: mongoose.connection.readyState
+        error: "Storage not connected",
+        storage: getStorageType()
       }));
     }
 
     try {
-      const ticketCount = await Ticket.countDocuments();
-      const tickets = await Ticket.find().limit(5);
+      const ticketCount = await storage.tickets.count();
+      const tickets = await storage.tickets.find({}, { limit: 5 });
       res.writeHead(200, { "Content-Type": "application/json" });
       res.end(JSON.stringify({
-        mongooseState: "connected",
+        storage: getStorageType(),
         ticketCount,
         tickets,
         uptime: process.uptime(),
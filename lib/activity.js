@@ -0,0 +1,74 @@
+import { storage } from "./storage.js";
+
+// What counts as activity for the inactivity timer. Guilds set the rules
+// with /config activity; the rule that decided is stored with the reply (or
+// `activity_ignored`) event and shows up in the log:
+//   any         no minimum length set, every message counts
+//   length      a creator/participant reply with enough meaningful text
+//   attachment  a shorter reply that has a file attached
+//   reaction    a reaction to a reminder (if enabled)
+//   prefix      ignored: a note starting with an ignored prefix, e.g. "// checked logs"
+//   too_short   ignored: a creator/participant reply below the minimum length
+export const ACTIVITY_RULES = {
+  any: "any message",
+  length: "long enough",
+  attachment: "attachment",
+  reaction: "reaction to a reminder",
+  prefix: "ignored prefix",
+  too_short: "too short"
+};
+
+// Emoji, mentions, punctuation and whitespace don't count, so "👍" or "ok!!" can't pass for a reply
+export function getMeaningfulLength(text) {
+  return text
+    .replace(/<a?:\w+:\d+>|<(?:@[!&]?|#)\d+>/g, "")
+    .replace(/[^\p{L}\p{N}]/gu, "")
+    .length;
+}
+
+// --- EVALUATE ---
+// → { counts, rule, ... } with what the log shows for the rule. Notes are
+// ignored for everyone; the minimum length only applies to creator and
+// participant replies, staff messages always count.
+export function evaluateMessage(message, activity, { isStaff = false } = {}) {
+  const content = message.content.trim();
+  const prefix = activity.ignoredPrefixes.find(prefix => content.startsWith(prefix));
+  if (prefix) return { counts: false, rule: "prefix", prefix };
+  if (isStaff || !activity.minLength) return { counts: true, rule: "any" };
+  if (message.attachments.size) return { counts: true, rule: "attachment" };
+
+  const length = getMeaningfulLength(content);
+  const rule = length >= activity.minLength ? "length" : "too_short";
+  return { counts: rule === "length", rule, length, minLength: activity.minLength };
+}
+
+// Short text for the log, e.g. "too short (2/10 characters), edited"
+export function describeActivityRule({ rule, prefix = null, length = null, minLength = null, edited = false }) {
+  const detail = prefix ? ` \`${prefix}\`` : length != null ? ` (${length}/${minLength} characters)` : "";
+  return `${ACTIVITY_RULES[rule] ?? rule}${detail}${edited ? ", edited" : ""}`;
+}
+
+export function describeActivity(activity) {
+  return [
+    activity.minLength
+      ? `💬 Replies need ${activity.minLength} meaningful characters or an attachment`
+      : "💬 Every reply counts",
+    activity.ignoredPrefixes.length
+      ? `🙈 Ignored notes: ${activity.ignoredPrefixes.map(prefix => `\`${prefix}\``).join(", ")}`
+      : "🙈 No ignored prefixes",
+    activity.reactions ? "👍 Reactions to reminders count as a reply" : "👍 Reactions don't count"
+  ].join("\n");
+}
+
+// --- COUNTED MESSAGES ---
+// Reply events carry the message ID, so edits and deletions can tell whether
+// a message already counted without the message being cached
+const ACTIVITY_EVENTS = ["creator_replied", "participant_replied", "staff_replied"];
+
+export function findActivityEvent(channelId, messageId) {
+  return storage.events.findOne({ channelId, type: { $in: ACTIVITY_EVENTS }, "metadata.messageId": messageId });
+}
+
+export async function isReminderMessage(channelId, messageId) {
+  return Boolean(await storage.events.findOne({ channelId, type: "reminder_sent", "metadata.messageId": messageId }));
+}
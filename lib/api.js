@@ -0,0 +1,315 @@
+import crypto from "crypto";
+import { storage } from "./storage.js";
+import { getTicketSchedule, getTimerState, restartTimers, stopTimers } from "./timers.js";
+import { getTicket, assignCreator } from "./tickets.js";
+import { cleanupTickets, findCleanupCandidates, hasCriteria } from "./cleanup.js";
+import { recordEvent } from "./events.js";
+
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_PAGE_SIZE = 100;
+const SNOWFLAKE = /^\d{17,20}$/;
+const TICKET_STATES = ["starting", "running", "alerted", "closing", "stopped", "closed"];
+
+// Marks events caused through the API (there is no Discord user behind them)
+const API_ACTOR = { actorId: null, metadata: { via: "api" } };
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// --- AUTH ---
+// `Authorization: Bearer <ADMIN_API_TOKEN>`. Without a usable token the admin
+// endpoints stay disabled: unset, still the .env.example placeholder, or too
+// short to resist guessing.
+const MIN_TOKEN_LENGTH = 32;
+const PLACEHOLDER_TOKEN = "YOUR_ADMIN_API_TOKEN_HERE";
+let loggedTokenProblem = null;
+
+function getTokenProblem(token) {
+  if (!token) return "ADMIN_API_TOKEN not set";
+  if (token === PLACEHOLDER_TOKEN) return "ADMIN_API_TOKEN is still the example placeholder";
+  if (token.length < MIN_TOKEN_LENGTH) return `ADMIN_API_TOKEN is shorter than ${MIN_TOKEN_LENGTH} characters`;
+  return null;
+}
+
+// Writes the error response and returns false if the request may not continue
+export function authorize(req, res) {
+  const token = process.env.ADMIN_API_TOKEN;
+  const problem = getTokenProblem(token);
+  if (problem) {
+    // Logged once per cause rather than on every request
+    if (problem !== loggedTokenProblem) {
+      console.warn(`⚠️ Admin API is disabled: ${problem}`);
+      loggedTokenProblem = problem;
+    }
+    sendJson(res, 503, { error: `Admin API is disabled (${problem})` });
+    return false;
+  }
+
+  const [scheme, provided] = (req.headers.authorization || "").split(" ");
+  // Compare digests so the check takes the same time whatever the input length
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  if (scheme !== "Bearer" || !provided || !crypto.timingSafeEqual(digest(provided), digest(token))) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    sendJson(res, 401, { error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+async function readJsonBody(req) {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) throw new ApiError(413, "Request body too large");
+  }
+  if (!body) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    throw new ApiError(400, "Request body must be valid JSON");
+  }
+  // Handlers destructure the body, so null, numbers and arrays are rejected here
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ApiError(400, "Invalid body: expected a JSON object");
+  }
+  return parsed;
+}
+
+function parseLimit(value, fallback, max) {
+  if (value == null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new ApiError(400, `Invalid number: ${value}`);
+  return Math.min(number, max);
+}
+
+function serializeTicket(ticket) {
+  return {
+    channelId: ticket.channelId,
+    guildId: ticket.guildId,
+    creatorId: ticket.creatorId,
+    type: ticket.type,
+    participants: ticket.participants,
+    timerStartTime: ticket.timerStartTime,
+    reminderCount: ticket.reminderCount,
+    alertedAt: ticket.alertedAt,
+    escalationLevel: ticket.escalationLevel,
+    claimedBy: ticket.claimedBy,
+    claimedAt: ticket.claimedAt,
+    awaitingStaffSince: ticket.awaitingStaffSince,
+    snoozeCount: ticket.snoozeCount,
+    schedule: ticket.schedule,
+    autoClose: ticket.autoClose,
+    closedAt: ticket.closedAt,
+    closedBy: ticket.closedBy,
+    transcriptAt: ticket.transcriptAt
+  };
+}
+
+// --- LIST TICKETS ---
+// Filters: guildId, creatorId, state; paged with limit/skip
+async function listTickets(query) {
+  const filter = {};
+  if (query.get("guildId")) filter.guildId = query.get("guildId");
+  if (query.get("creatorId")) filter.creatorId = query.get("creatorId");
+
+  const state = query.get("state");
+  if (state && !TICKET_STATES.includes(state)) {
+    throw new ApiError(400, `state must be one of: ${TICKET_STATES.join(", ")}`);
+  }
+
+  // "starting" vs "stopped" only differs by a pending timer-start job
+  const startingIds = await storage.jobs.distinct("channelId", { type: "timer-start", status: "pending" });
+  switch (state) {
+    case "starting":
+      Object.assign(filter, { timerStartTime: null, autoClose: null, closedAt: null, channelId: { $in: startingIds } });
+      break;
+    case "stopped":
+      Object.assign(filter, { timerStartTime: null, autoClose: null, closedAt: null, channelId: { $nin: startingIds } });
+      break;
+    case "running":
+      Object.assign(filter, { timerStartTime: { $ne: null }, alertedAt: null, autoClose: null, closedAt: null });
+      break;
+    case "alerted":
+      Object.assign(filter, { timerStartTime: { $ne: null }, alertedAt: { $ne: null }, autoClose: null, closedAt: null });
+      break;
+    case "closing":
+      Object.assign(filter, { autoClose: { $ne: null }, closedAt: null });
+      break;
+    case "closed":
+      filter.closedAt = { $ne: null };
+      break;
+  }
+
+  const limit = parseLimit(query.get("limit"), 50, MAX_PAGE_SIZE);
+  const skip = parseLimit(query.get("skip"), 0, Infinity);
+  const [tickets, total] = await Promise.all([
+    storage.tickets.find(filter, { sort: { _id: -1 }, skip, limit }),
+    storage.tickets.count(filter)
+  ]);
+
+  const starting = new Set(startingIds);
+  return {
+    total,
+    limit,
+    skip,
+    tickets: tickets.map(ticket => ({
+      ...serializeTicket(ticket),
+      state: ticket.closedAt ? "closed"
+        : ticket.autoClose ? "closing"
+        : ticket.timerStartTime ? (ticket.alertedAt ? "alerted" : "running")
+        : starting.has(ticket.channelId) ? "starting" : "stopped"
+    }))
+  };
+}
+
+async function findTicket(channelId) {
+  const ticket = await getTicket(channelId);
+  if (!ticket) throw new ApiError(404, "Ticket not found");
+  return ticket;
+}
+
+async function describeTicket(ticket) {
+  const schedule = await getTicketSchedule(ticket, ticket.guildId);
+  return { ...serializeTicket(ticket), schedule, timer: await getTimerState(ticket, schedule) };
+}
+
+function getGuild(client, guildId) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) throw new ApiError(404, "The bot is not in this guild");
+  return guild;
+}
+
+// Timer changes would fight the auto-close, which staff cancel in Discord
+function assertNotClosing(ticket) {
+  if (ticket.autoClose) throw new ApiError(409, "Ticket is being auto-closed; cancel the auto-close in Discord first");
+}
+
+// A closed ticket's timer only resumes when the ticket bot reopens it
+function assertNotClosed(ticket) {
+  if (ticket.closedAt) throw new ApiError(409, "Ticket is closed; its timer resumes when it's reopened");
+}
+
+// --- TICKET ACTIONS ---
+// Same effect and events as the matching slash commands
+const TICKET_ACTIONS = {
+  async "timer/stop"(client, ticket) {
+    const guild = getGuild(client, ticket.guildId);
+    assertNotClosing(ticket);
+    await stopTimers(ticket);
+    recordEvent(guild, {
+      type: "timer_stopped",
+      channelId: ticket.channelId,
+      ...API_ACTOR,
+      metadata: { reason: "manual", ...API_ACTOR.metadata }
+    });
+  },
+
+  async "timer/restart"(client, ticket) {
+    const guild = getGuild(client, ticket.guildId);
+    assertNotClosing(ticket);
+    assertNotClosed(ticket);
+    await restartTimers(ticket);
+    recordEvent(guild, { type: "timer_restarted", channelId: ticket.channelId, ...API_ACTOR });
+  },
+
+  async reset(client, ticket) {
+    const guild = getGuild(client, ticket.guildId);
+    assertNotClosing(ticket);
+    await stopTimers(ticket);
+    recordEvent(guild, { type: "ticket_reset", channelId: ticket.channelId, ...API_ACTOR });
+  }
+};
+
+// PUT /api/tickets/:channelId/creator also works for channels without ticket data yet
+async function setCreator(client, channelId, body) {
+  if (!SNOWFLAKE.test(body.userId ?? "")) throw new ApiError(400, "userId must be a Discord user ID");
+
+  const existing = await storage.tickets.findOne({ channelId });
+  let guildId = existing?.guildId;
+  if (!guildId) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel?.guild) throw new ApiError(404, "Channel not found");
+    guildId = channel.guild.id;
+  }
+
+  return assignCreator(getGuild(client, guildId), channelId, body.userId, API_ACTOR);
+}
+
+// `days` is the inactivity age, as before the other criteria existed
+async function runCleanup(client, body) {
+  const isDays = value => value == null || (Number.isInteger(value) && value >= 0 && value <= 365);
+  if (!isDays(body.days) || !isDays(body.closedDays)) throw new ApiError(400, "days and closedDays must be integers from 0 to 365");
+  if (body.orphaned != null && typeof body.orphaned !== "boolean") throw new ApiError(400, "orphaned must be a boolean");
+  if (!body.guildId) throw new ApiError(400, "guildId is required");
+
+  const criteria = { inactiveDays: body.days ?? null, orphaned: body.orphaned ?? false, closedDays: body.closedDays ?? null };
+  if (!hasCriteria(criteria)) throw new ApiError(400, "Give at least one of days, orphaned or closedDays");
+
+  const guild = getGuild(client, body.guildId);
+  if (body.dryRun) {
+    const candidates = await findCleanupCandidates(guild, criteria);
+    return { dryRun: true, count: candidates.length, tickets: candidates, ...criteria };
+  }
+  const deleted = await cleanupTickets(guild, criteria, API_ACTOR);
+  return { deleted, ...criteria };
+}
+
+// --- ROUTER ---
+// Handles everything under /api/. Routes:
+//   GET  /api/tickets                          ?guildId=&creatorId=&state=&limit=&skip=
+//   GET  /api/tickets/:channelId               ticket with its timer state
+//   POST /api/tickets/:channelId/timer/stop
+//   POST /api/tickets/:channelId/timer/restart
+//   POST /api/tickets/:channelId/reset
+//   PUT  /api/tickets/:channelId/creator       { "userId": "..." }
+//   POST /api/cleanup                          { "guildId": "...", "days": 30, "orphaned": true, "closedDays": 7, "dryRun": true }
+export async function handleApiRequest(req, res, client) {
+  if (!authorize(req, res)) return;
+
+  const url = new URL(req.url, "http://localhost");
+  const [, , resource, channelId, ...rest] = url.pathname.replace(/\/+$/, "").split("/");
+  const action = rest.join("/");
+  const route = `${req.method} ${resource}${channelId ? "/:channelId" : ""}${action ? `/${action}` : ""}`;
+
+  try {
+    if (route === "GET tickets") {
+      return sendJson(res, 200, await listTickets(url.searchParams));
+    }
+
+    if (route === "GET tickets/:channelId") {
+      return sendJson(res, 200, await describeTicket(await findTicket(channelId)));
+    }
+
+    if (req.method === "POST" && resource === "tickets" && channelId && Object.hasOwn(TICKET_ACTIONS, action)) {
+      const ticket = await findTicket(channelId);
+      await TICKET_ACTIONS[action](client, ticket);
+      return sendJson(res, 200, await describeTicket(ticket));
+    }
+
+    if (route === "PUT tickets/:channelId/creator") {
+      const ticket = await setCreator(client, channelId, await readJsonBody(req));
+      return sendJson(res, 200, await describeTicket(ticket));
+    }
+
+    if (route === "POST cleanup") {
+      return sendJson(res, 200, await runCleanup(client, await readJsonBody(req)));
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  } catch (error) {
+    if (error instanceof ApiError) return sendJson(res, error.status, { error: error.message });
+    console.error(`❌ Admin API ${req.method} ${url.pathname} failed:`, error);
+    sendJson(res, 500, { error: "Internal server error" });
+  }
+}
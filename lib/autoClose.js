@@ -0,0 +1,164 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } from "discord.js";
+import { scheduleJob, cancelJobs, registerJobHandler } from "./scheduler.js";
+import { getTicket, fetchTicketChannel } from "./tickets.js";
+import { archiveTranscript } from "./transcript.js";
+import { recordEvent } from "./events.js";
+import { getResponsibleIds, formatMentions } from "./participants.js";
+import { log } from "./log.js";
+import { t, getTicketLocale, formatLocalDuration, renderTemplate, DEFAULT_LOCALE } from "./i18n.js";
+
+// --- CANCEL BUTTON ---
+export function buildCancelCloseRow(locale = DEFAULT_LOCALE) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("autoclose-cancel")
+      .setLabel(t(locale, "buttonCancelAutoClose"))
+      .setEmoji("✋")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function deleteJobKey(ticket) {
+  return `${ticket.channelId}:autoclose:${ticket.autoClose.deleteAt}`;
+}
+
+// --- LOCK / UNLOCK ---
+// Threads have no permission overwrites or category: they're locked instead,
+// which leaves only staff with Manage Threads able to write. Channels deny the
+// creator Send Messages and optionally move to the archive category.
+// Returns what cancelAutoClose needs to put things back.
+async function lockTicket(channel, ticket, config) {
+  const reason = "Ticket auto-closed after inactivity";
+  if (channel.isThread()) {
+    const previousLocked = Boolean(channel.locked);
+    await channel.setLocked(true, reason)
+      .catch(err => log(`⚠️ Couldn't lock ${channel}: ${err.message}`, channel.guild));
+    return { previousLocked };
+  }
+
+  const { archiveCategoryId } = config.autoClose;
+  const creatorOverwrite = channel.permissionOverwrites.cache.get(ticket.creatorId);
+  let previousSendMessages = null;
+  if (creatorOverwrite?.allow.has(PermissionFlagsBits.SendMessages)) previousSendMessages = true;
+  if (creatorOverwrite?.deny.has(PermissionFlagsBits.SendMessages)) previousSendMessages = false;
+  const previousParentId = channel.parentId;
+
+  await channel.permissionOverwrites
+    .edit(ticket.creatorId, { SendMessages: false }, { reason })
+    .catch(err => log(`⚠️ Couldn't lock ${channel} for the creator: ${err.message}`, channel.guild));
+
+  if (archiveCategoryId && archiveCategoryId !== channel.parentId) {
+    await channel
+      .setParent(archiveCategoryId, { lockPermissions: false, reason })
+      .catch(err => log(`⚠️ Couldn't move ${channel} to the archive category: ${err.message}`, channel.guild));
+  }
+  return { previousParentId, previousSendMessages };
+}
+
+async function unlockTicket(channel, ticket) {
+  const reason = "Auto-close cancelled";
+  const { previousParentId, previousSendMessages, previousLocked } = ticket.autoClose;
+  if (channel.isThread()) {
+    if (!previousLocked) await channel.setLocked(false, reason).catch(() => {});
+    return;
+  }
+
+  if (previousParentId && channel.parentId !== previousParentId) {
+    await channel.setParent(previousParentId, { lockPermissions: false, reason }).catch(() => {});
+  }
+  await channel.permissionOverwrites
+    .edit(ticket.creatorId, { SendMessages: previousSendMessages }, { reason })
+    .catch(() => {});
+}
+
+// --- START AUTO-CLOSE ---
+// Locks the ticket for the creator, optionally archives it and deletes it
+// after the grace period unless staff press the cancel button.
+// Triggered either by inactivity (`inactiveMs`) or by the creator marking it solved.
+export async function startAutoClose(channel, ticket, config, { inactiveMs = null, solved = false } = {}) {
+  const { gracePeriod } = config.autoClose;
+
+  // Saved before locking, so the lock isn't taken for a close (see handleChannelUpdate)
+  const deleteAt = Date.now() + gracePeriod;
+  ticket.autoClose = { deleteAt };
+  await ticket.save();
+  ticket.autoClose = { deleteAt, ...await lockTicket(channel, ticket, config) };
+  await ticket.save();
+
+  // Addressed to the creator, so in their language
+  const locale = getTicketLocale(ticket, channel.guild);
+  const reason = solved ? "Solved" : "Inactive";
+  const vars = {
+    creator: `<@${ticket.creatorId}>`,
+    mentions: formatMentions(getResponsibleIds(ticket)),
+    remaining: inactiveMs == null ? "" : formatLocalDuration(locale, inactiveMs, config.businessHours),
+    gracePeriod: formatLocalDuration(locale, gracePeriod)
+  };
+
+  const embed = new EmbedBuilder()
+    .setColor("Red")
+    .setTitle(t(locale, "autoCloseTitle"))
+    .setDescription(renderTemplate(config, locale, `autoClose${reason}Description`, vars))
+    .setFooter({ text: t(locale, `autoClose${reason}Footer`) })
+    .setTimestamp();
+
+  channel.send({ embeds: [embed], components: [buildCancelCloseRow(locale)] }).catch(() => {});
+  recordEvent(channel.guild, {
+    type: "auto_close_started",
+    channelId: channel.id,
+    metadata: { reason: solved ? "solved" : "inactivity", inactiveFor: inactiveMs, gracePeriod }
+  });
+
+  await ensureAutoCloseJob(ticket);
+}
+
+// --- ENSURE DELETE JOB ---
+// Idempotent, also used on startup for tickets closed before jobs existed
+export async function ensureAutoCloseJob(ticket) {
+  await scheduleJob({
+    key: deleteJobKey(ticket),
+    type: "autoclose-delete",
+    channelId: ticket.channelId,
+    guildId: ticket.guildId,
+    runAt: ticket.autoClose.deleteAt
+  });
+}
+
+// --- CANCEL AUTO-CLOSE ---
+// Puts the channel back the way it was and leaves the timer stopped
+export async function cancelAutoClose(channel, ticket) {
+  await cancelJobs(channel.id, ["autoclose-delete"]);
+  await unlockTicket(channel, ticket);
+
+  ticket.autoClose = null;
+  ticket.timerStartTime = null;
+  ticket.reminderCount = 0;
+  await ticket.save();
+}
+
+// --- JOB HANDLER ---
+export function registerAutoCloseJobs(client) {
+  registerJobHandler("autoclose-delete", async job => {
+    // Cancelled in the meantime
+    const ticket = await getTicket(job.channelId);
+    if (!ticket?.autoClose) return;
+
+    const channel = await fetchTicketChannel(client, job.channelId);
+    if (!channel) return;
+
+    // Transcript problems shouldn't keep the ticket around forever
+    if (!ticket.transcriptAt) {
+      await archiveTranscript(channel, ticket, { reason: "Auto-closed after inactivity" })
+        .catch(error => console.error(`❌ Transcript for ${channel.id} failed:`, error));
+      ticket.transcriptAt = Date.now();
+      await ticket.save();
+    }
+
+    await recordEvent(channel.guild, {
+      type: "ticket_deleted",
+      channelId: channel.id,
+      metadata: { channelName: channel.name, reason: "auto-closed" }
+    });
+    await channel.delete("Ticket auto-closed after inactivity");
+  });
+}
@@ -0,0 +1,164 @@
+// --- DEFAULTS ---
+// Business-time clocks are off unless a guild enables them with /config hours
+export const DEFAULT_BUSINESS_HOURS = {
+  enabled: false,
+  timezone: "UTC",
+  days: [1, 2, 3, 4, 5], // Monday to Friday (0 = Sunday)
+  start: 9 * 60, // minutes after local midnight
+  end: 17 * 60,
+  holidays: [] // local dates, YYYY-MM-DD
+};
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_DAYS = 400; // how far ahead to look for business time before giving up
+
+// --- LOCAL TIME ---
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getLocalParts(timestamp, timezone) {
+  return Object.fromEntries(
+    getFormatter(timezone).formatToParts(timestamp).map(({ type, value }) => [type, Number(value)])
+  );
+}
+
+// Local time minus UTC at `timestamp`, in ms
+function getOffset(timestamp, timezone) {
+  const { year, month, day, hour, minute, second } = getLocalParts(timestamp, timezone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+function getLocalDate(timestamp, timezone) {
+  const { year, month, day } = getLocalParts(timestamp, timezone);
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// UTC timestamp of `minutes` after midnight on a local date. The offset is
+// checked twice so days with a DST switch still land on the right hour.
+function zonedTimeToUtc(date, minutes, timezone) {
+  const local = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  let timestamp = local - getOffset(local, timezone);
+  const offset = getOffset(timestamp, timezone);
+  if (local - offset !== timestamp) timestamp = local - offset;
+  return timestamp;
+}
+
+function isBusinessDay(date, calendar) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return calendar.days.includes(weekday) && !calendar.holidays.includes(date);
+}
+
+// --- BUSINESS SEGMENTS ---
+// Yields the [start, end) UTC ranges of business time from `from` onwards
+function* businessSegments(from, calendar) {
+  let date = getLocalDate(from, calendar.timezone);
+  for (let i = 0; i < MAX_DAYS; i++, date = addDays(date, 1)) {
+    if (!isBusinessDay(date, calendar)) continue;
+    const start = Math.max(from, zonedTimeToUtc(date, calendar.start, calendar.timezone));
+    const end = zonedTimeToUtc(date, calendar.end, calendar.timezone);
+    if (end > start) yield [start, end];
+  }
+}
+
+// --- CLOCKS ---
+// When `duration` of business time has passed after `from`.
+// With business hours disabled this is plain wall-clock time.
+export function addBusinessTime(from, duration, calendar) {
+  if (!calendar?.enabled) return from + duration;
+
+  let remaining = duration;
+  for (const [start, end] of businessSegments(from, calendar)) {
+    if (remaining <= end - start) return start + remaining;
+    remaining -= end - start;
+  }
+  // No business days configured in reach (e.g. everything is a holiday)
+  return from + duration;
+}
+
+// Business time between two timestamps
+export function getBusinessTimeBetween(from, to, calendar) {
+  if (!calendar?.enabled) return Math.max(to - from, 0);
+
+  let total = 0;
+  for (const [start, end] of businessSegments(from, calendar)) {
+    if (start >= to) break;
+    total += Math.min(end, to) - start;
+  }
+  return total;
+}
+
+// --- INPUT PARSING ---
+// "mon-fri", "mon,wed,fri" or a mix like "mon-wed,sat"; null if invalid
+export function parseDays(input) {
+  const days = new Set();
+  for (const part of input.toLowerCase().split(",").map(p => p.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split("-").map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+    if (from < 0 || to < 0) return null;
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+// "09:00-17:30" → { start, end } in minutes; null if invalid
+export function parseHours(input) {
+  const match = input.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]]
+    .map(([hours, minutes]) => Number(hours) * 60 + Number(minutes));
+  if (Number(match[2]) > 59 || Number(match[4]) > 59 || end > 24 * 60 || start >= end) return null;
+  return { start, end };
+}
+
+export function isValidDate(input) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(input)) return false;
+  const date = new Date(`${input}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === input;
+}
+
+// --- DESCRIBE ---
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+export function describeBusinessHours(calendar) {
+  const days = calendar.days.map(day => DAY_NAMES[day][0].toUpperCase() + DAY_NAMES[day].slice(1)).join(", ");
+  return [
+    calendar.enabled ? "✅ Reminders and alerts count business time only" : "❌ Disabled (timers count around the clock)",
+    `**Hours:** ${days}, ${formatMinutes(calendar.start)}-${formatMinutes(calendar.end)} (${calendar.timezone})`,
+    `**Holidays:** ${calendar.holidays.length ? calendar.holidays.join(", ") : "None"}`
+  ].join("\n");
+}
@@ -0,0 +1,119 @@
+import { EmbedBuilder } from "discord.js";
+import { getGuildConfig, formatStaffRoles } from "./guildConfig.js";
+import { scheduleJob, cancelJobs, registerJobHandler } from "./scheduler.js";
+import { getTicket, fetchTicketChannel } from "./tickets.js";
+import { recordEvent } from "./events.js";
+import { rescheduleTimers } from "./timers.js";
+import { addBusinessTime } from "./businessHours.js";
+import { t, resolveLocale, formatLocalDuration } from "./i18n.js";
+
+// A claimed ticket has one staff member responsible for it (`claimedBy`).
+// Staff pings go to them instead of the staff roles, escalation stops, and a
+// separate timer watches whether they answer the creator in time.
+
+// --- STAFF PING ---
+// Who staff-facing notices (staff alert, "issue solved") are addressed to
+export function getStaffPing(config, ticket) {
+  return ticket.claimedBy ? `<@${ticket.claimedBy}>` : formatStaffRoles(config);
+}
+
+// --- CLAIM / UNCLAIM / TRANSFER ---
+// Shared by /claim, /unclaim, /transfer and the "I'm on it" button
+export async function claimTicket(guild, ticket, userId, { actorId = userId } = {}) {
+  const previousId = ticket.claimedBy;
+  ticket.claimedBy = userId;
+  ticket.claimedAt = Date.now();
+  await ticket.save();
+
+  // The new assignee gets the full response window
+  await cancelJobs(ticket.channelId, ["escalation", "staff-inactivity"]);
+  await scheduleStaffInactivity(ticket);
+
+  recordEvent(guild, previousId
+    ? { type: "ticket_transferred", channelId: ticket.channelId, actorId, metadata: { fromId: previousId, toId: userId } }
+    : { type: "ticket_claimed", channelId: ticket.channelId, actorId, metadata: { escalationLevel: ticket.escalationLevel } });
+}
+
+export async function unclaimTicket(guild, ticket, { actorId = null } = {}) {
+  const previousId = ticket.claimedBy;
+  ticket.claimedBy = null;
+  ticket.claimedAt = null;
+  await ticket.save();
+  await cancelJobs(ticket.channelId, ["staff-inactivity"]);
+  // claimTicket dropped the escalation levels; queue them again
+  await rescheduleTimers(ticket);
+
+  recordEvent(guild, { type: "ticket_unclaimed", channelId: ticket.channelId, actorId, metadata: { previousId } });
+}
+
+// --- STAFF INACTIVITY ---
+// `awaitingStaffSince` marks the first creator/participant message that staff
+// haven't answered yet. While the ticket is claimed, the assignee has the
+// guild's response window (business time, if enabled) to reply.
+async function scheduleStaffInactivity(ticket) {
+  if (!ticket.claimedBy || !ticket.awaitingStaffSince) return;
+  const { claims, businessHours } = await getGuildConfig(ticket.guildId);
+  if (!claims.responseWindow) return;
+
+  // Counted from the claim if the creator was already waiting before it
+  const since = Math.max(ticket.awaitingStaffSince, ticket.claimedAt);
+  await scheduleJob({
+    key: `${ticket.channelId}:staff-inactivity:${ticket.claimedBy}:${since}`,
+    type: "staff-inactivity",
+    channelId: ticket.channelId,
+    guildId: ticket.guildId,
+    runAt: addBusinessTime(since, claims.responseWindow, businessHours),
+    payload: { assigneeId: ticket.claimedBy, since: ticket.awaitingStaffSince }
+  });
+}
+
+// Creator/participant message: starts waiting for staff unless already waiting
+export async function markAwaitingStaff(ticket) {
+  if (ticket.awaitingStaffSince) return;
+  ticket.awaitingStaffSince = Date.now();
+  await ticket.save();
+  await scheduleStaffInactivity(ticket);
+}
+
+// Staff message: only the assignee's reply counts on a claimed ticket
+export async function markStaffReplied(ticket, userId) {
+  if (!ticket.awaitingStaffSince) return;
+  if (ticket.claimedBy && ticket.claimedBy !== userId) return;
+  ticket.awaitingStaffSince = null;
+  await ticket.save();
+  await cancelJobs(ticket.channelId, ["staff-inactivity"]);
+}
+
+// --- JOB HANDLER ---
+export function registerClaimJobs(client) {
+  registerJobHandler("staff-inactivity", async job => {
+    const { assigneeId, since } = job.payload;
+    const ticket = await getTicket(job.channelId);
+    // Answered, handed over or closing in the meantime
+    if (!ticket || ticket.autoClose || ticket.claimedBy !== assigneeId || ticket.awaitingStaffSince !== since) return;
+
+    const channel = await fetchTicketChannel(client, job.channelId);
+    if (!channel) return;
+
+    const config = await getGuildConfig(channel.guild.id);
+    const locale = resolveLocale(channel.guild.preferredLocale);
+
+    const embed = new EmbedBuilder()
+      .setColor("Orange")
+      .setTitle(t(locale, "staffInactiveTitle"))
+      .setDescription(t(locale, "staffInactiveDescription", {
+        assignee: `<@${assigneeId}>`,
+        creator: `<@${ticket.creatorId}>`,
+        duration: formatLocalDuration(locale, config.claims.responseWindow, config.businessHours)
+      }))
+      .setFooter({ text: t(locale, "staffInactiveFooter") })
+      .setTimestamp();
+
+    await channel.send({ content: `<@${assigneeId}>`, embeds: [embed] });
+    recordEvent(channel.guild, {
+      type: "staff_inactive",
+      channelId: channel.id,
+      metadata: { assigneeId, waitingFor: config.claims.responseWindow }
+    });
+  });
+}
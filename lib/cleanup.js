@@ -0,0 +1,153 @@
+import { RESTJSONErrorCodes } from "discord.js";
+import { storage } from "./storage.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { scheduleJob, registerJobHandler } from "./scheduler.js";
+import { deleteTicketData } from "./tickets.js";
+import { recordEvent } from "./events.js";
+import { log } from "./log.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Why a ticket is up for cleanup. A ticket is removed if it matches any of
+// the selected criteria:
+//   inactiveDays  nothing happened in the ticket for that many days
+//   orphaned      the channel can't be fetched anymore
+//   closedDays    closed (see lib/detection.js) at least that many days ago, 0 = any
+export const CLEANUP_REASONS = {
+  inactive: "no activity",
+  orphaned: "channel gone",
+  closed: "closed"
+};
+
+export function describeCriteria({ inactiveDays = null, orphaned = false, closedDays = null }) {
+  return [
+    inactiveDays && `no activity for ${inactiveDays} days`,
+    orphaned && "channel deleted",
+    closedDays != null && (closedDays ? `closed for ${closedDays} days` : "closed")
+  ].filter(Boolean).join(" or ") || "nothing";
+}
+
+export function hasCriteria({ inactiveDays = null, orphaned = false, closedDays = null }) {
+  return Boolean(inactiveDays) || orphaned || closedDays != null;
+}
+
+// --- LAST ACTIVITY ---
+// Newest event of each ticket; tickets without events count from their creation
+async function getLastActivity(guildId, tickets) {
+  const last = await storage.events.maxBy("channelId", "createdAt", {
+    guildId,
+    channelId: { $in: tickets.map(ticket => ticket.channelId) }
+  });
+  return ticket => last.get(ticket.channelId) ?? ticket._id.getTimestamp().getTime();
+}
+
+// Only "Unknown Channel" means the channel is gone; other errors (rate limits,
+// outages) must not get tickets deleted
+async function isOrphaned(guild, channelId) {
+  if (guild.channels.cache.has(channelId)) return false;
+  try {
+    await guild.client.channels.fetch(channelId);
+    return false;
+  } catch (error) {
+    if (error.code === RESTJSONErrorCodes.UnknownChannel) return true;
+    throw error;
+  }
+}
+
+// --- FIND CANDIDATES ---
+// What a cleanup with `criteria` would remove, oldest activity first.
+// Nothing is changed, so this doubles as the dry run.
+export async function findCleanupCandidates(guild, criteria, now = Date.now()) {
+  const { inactiveDays = null, orphaned = false, closedDays = null } = criteria;
+  const tickets = await storage.tickets.find({ guildId: guild.id });
+  if (!tickets.length) return [];
+
+  const lastActivityOf = await getLastActivity(guild.id, tickets);
+  const candidates = [];
+  for (const ticket of tickets) {
+    const lastActivity = lastActivityOf(ticket);
+    const reasons = [];
+    if (inactiveDays && lastActivity < now - inactiveDays * DAY) reasons.push("inactive");
+    if (closedDays != null && ticket.closedAt && ticket.closedAt <= now - closedDays * DAY) reasons.push("closed");
+    if (orphaned && await isOrphaned(guild, ticket.channelId)) reasons.push("orphaned");
+    if (reasons.length) candidates.push({ channelId: ticket.channelId, creatorId: ticket.creatorId, lastActivity, reasons });
+  }
+  return candidates.sort((a, b) => a.lastActivity - b.lastActivity);
+}
+
+// --- DELETE ---
+// Removes the candidates' ticket data (and pending jobs). Returns how many were removed.
+export async function deleteCleanupCandidates(guild, candidates, { actorId = null, metadata = {} } = {}) {
+  for (const candidate of candidates) {
+    await deleteTicketData(candidate.channelId);
+    await recordEvent(guild, {
+      type: "ticket_deleted",
+      channelId: candidate.channelId,
+      actorId,
+      metadata: {
+        channelName: guild.channels.cache.get(candidate.channelId)?.name ?? candidate.channelId,
+        reason: "cleanup",
+        criteria: candidate.reasons,
+        ...metadata
+      }
+    }, { notify: false });
+  }
+  return candidates.length;
+}
+
+// Shared by the confirm button, the admin API and the automatic cleanup
+export async function cleanupTickets(guild, criteria, { actorId = null, metadata = {} } = {}) {
+  const candidates = await findCleanupCandidates(guild, criteria);
+  if (!candidates.length) return 0;
+
+  await deleteCleanupCandidates(guild, candidates, { actorId, metadata });
+  log(`🗑️ **Cleanup:** Deleted ${candidates.length} tickets (${describeCriteria(criteria)})`, guild);
+  return candidates.length;
+}
+
+// --- AUTOMATIC CLEANUP ---
+// Runs once a day at midnight UTC for guilds that enabled it with
+// /config cleanup. Guild-level jobs use the guild ID as their channel.
+function getNextRun(now = Date.now()) {
+  return Math.floor(now / DAY) * DAY + DAY;
+}
+
+export async function scheduleAutoCleanup(guildId) {
+  const runAt = getNextRun();
+  await scheduleJob({
+    key: `${guildId}:auto-cleanup:${new Date(runAt).toISOString().slice(0, 10)}`,
+    type: "auto-cleanup",
+    channelId: guildId,
+    guildId,
+    runAt
+  });
+}
+
+// On startup, for guilds that enabled it before the job existed or whose job got lost
+export async function ensureAutoCleanupJobs() {
+  const guildIds = await storage.guildConfigs.distinct("guildId", { "cleanup.enabled": true });
+  for (const guildId of guildIds) await scheduleAutoCleanup(guildId);
+}
+
+export function registerCleanupJobs(client) {
+  // End of the retention period of a ticket whose channel was deleted
+  registerJobHandler("ticket-purge", async job => {
+    const ticket = await storage.tickets.findOne({ channelId: job.channelId });
+    if (!ticket?.closedAt) return;
+
+    await deleteTicketData(job.channelId);
+    console.log(`🗑️ Purged ticket data for deleted channel ${job.channelId} after its retention period`);
+  });
+
+  registerJobHandler("auto-cleanup", async job => {
+    const { cleanup } = await getGuildConfig(job.guildId);
+    // Turned off since; the next /config cleanup schedules it again
+    if (!cleanup.enabled) return;
+
+    const guild = client.guilds.cache.get(job.guildId);
+    if (!guild) return;
+
+    await cleanupTickets(guild, cleanup, { metadata: { automatic: true } });
+    await scheduleAutoCleanup(job.guildId);
+  });
+}
@@ -0,0 +1,265 @@
+import { PermissionFlagsBits, OverwriteType } from "discord.js";
+import { isStaffMember } from "./guildConfig.js";
+import { cancelJobs } from "./scheduler.js";
+import { dispatchTicketEvent } from "./timers.js";
+import { recordEvent } from "./events.js";
+
+// Ticket bots differ in how they tell who opened a ticket and when it was
+// closed or reopened. Each adapter knows one of these ways; guilds pick theirs, in order
+// of priority, with /config detection. Adapter hooks return null when they
+// can't tell:
+//   creatorFromMessage(message, context) / creatorFromChannel(channel, context)
+//     → { creatorId, participantIds }
+//   closeFromMessage(message, context) / closeFromUpdate(oldChannel, newChannel, context)
+//     → { closedBy } (null if the adapter can't see who closed it)
+//   reopenFromMessage(message, context) / reopenFromUpdate(oldChannel, newChannel, context)
+//     → { reopenedBy } (likewise)
+
+// --- HELPERS ---
+const SNOWFLAKE = /<@!?(\d{17,20})>|\b(\d{17,20})\b/g;
+
+function getMessageText(message) {
+  return [message.content, ...message.embeds.flatMap(embed => [embed.title, embed.description])]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// "Closed by @user" as posted by most ticket bots
+function getClosedBy(text) {
+  return text.match(/closed by\s*<@!?(\d+)>/i)?.[1] ?? null;
+}
+
+// "Reopened by @user", or Ticket Tool's "Ticket Opened by @user"
+function getReopenedBy(text) {
+  return text.match(/(?:re)?opened by\s*<@!?(\d+)>/i)?.[1] ?? null;
+}
+
+// Ticket Tool renames closed tickets to closed-0001 and back on reopen
+function isClosedName(channel) {
+  return /^closed-/i.test(channel.name ?? "");
+}
+
+function renamedTo(oldChannel, newChannel, closed) {
+  return isClosedName(oldChannel) !== closed && isClosedName(newChannel) === closed;
+}
+
+// Whether the creator's own overwrite lets them read and write; ticket bots
+// lock a closed ticket by removing it or denying Send Messages
+function creatorHasAccess(channel, ticket) {
+  const overwrite = channel.permissionOverwrites.cache.get(ticket.creatorId);
+  return Boolean(overwrite?.allow.has(PermissionFlagsBits.ViewChannel)) && !overwrite.deny.has(PermissionFlagsBits.SendMessages);
+}
+
+function accessChangedTo(oldChannel, newChannel, ticket, access) {
+  if (!oldChannel.permissionOverwrites || !newChannel.permissionOverwrites) return false;
+  return creatorHasAccess(oldChannel, ticket) !== access && creatorHasAccess(newChannel, ticket) === access;
+}
+
+// The first user is the creator, any further ones participants
+function toCreator(userIds) {
+  const [creatorId, ...participantIds] = userIds;
+  return creatorId ? { creatorId, participantIds } : null;
+}
+
+async function filterCandidates(userIds, context) {
+  const candidates = [];
+  for (const userId of new Set(userIds)) {
+    if (await context.isCandidate(userId)) candidates.push(userId);
+  }
+  return candidates;
+}
+
+// --- ADAPTERS ---
+export const ADAPTERS = {
+  ticket_tool: {
+    description: "Mentions in the first message of the Ticket Tool bot (/config set ticket_bot); closed and reopened by its embeds, the closed- name or locking out the creator",
+    creatorFromMessage: async (message, context) => {
+      if (message.author.id !== context.config.ticketToolBotId) return null;
+      return toCreator(await filterCandidates(message.mentions.users.map(user => user.id), context));
+    },
+    closeFromMessage: (message, context) => {
+      if (message.author.id !== context.config.ticketToolBotId) return null;
+      const closedBy = getClosedBy(getMessageText(message));
+      return closedBy ? { closedBy } : null;
+    },
+    closeFromUpdate: (oldChannel, newChannel, { ticket }) => {
+      const closed = renamedTo(oldChannel, newChannel, true) || accessChangedTo(oldChannel, newChannel, ticket, false);
+      return closed ? { closedBy: null } : null;
+    },
+    reopenFromMessage: (message, context) => {
+      if (message.author.id !== context.config.ticketToolBotId) return null;
+      const reopenedBy = getReopenedBy(getMessageText(message));
+      return reopenedBy ? { reopenedBy } : null;
+    },
+    reopenFromUpdate: (oldChannel, newChannel, { ticket }) => {
+      const reopened = renamedTo(oldChannel, newChannel, false) || accessChangedTo(oldChannel, newChannel, ticket, true);
+      return reopened ? { reopenedBy: null } : null;
+    }
+  },
+  mention: {
+    description: "Mentions in a message from any bot, e.g. another ticket bot's welcome message",
+    creatorFromMessage: async (message, context) => {
+      if (!message.author.bot) return null;
+      return toCreator(await filterCandidates(message.mentions.users.map(user => user.id), context));
+    },
+    // Only the "Closed by"/"Reopened by" notices, not any bot text that says "closed"
+    closeFromMessage: message => {
+      if (!message.author.bot) return null;
+      const text = getMessageText(message);
+      return /\bclosed by\b/i.test(text) ? { closedBy: getClosedBy(text) } : null;
+    },
+    reopenFromMessage: message => {
+      if (!message.author.bot) return null;
+      const text = getMessageText(message);
+      return /\breopened by\b/i.test(text) ? { reopenedBy: getReopenedBy(text) } : null;
+    }
+  },
+  first_message: {
+    description: "The first message from a non-staff member",
+    creatorFromMessage: async (message, context) => {
+      if (message.author.bot || !await context.isCandidate(message.author.id)) return null;
+      return { creatorId: message.author.id, participantIds: [] };
+    }
+  },
+  topic: {
+    description: "A user mention or ID in the channel topic",
+    creatorFromChannel: async (channel, context) => {
+      const userIds = [...(channel.topic ?? "").matchAll(SNOWFLAKE)].map(match => match[1] ?? match[2]);
+      const [creatorId] = await filterCandidates(userIds, context);
+      return creatorId ? { creatorId, participantIds: [] } : null;
+    }
+  },
+  permissions: {
+    description: "Members the channel was opened to with a permission overwrite; closed while the creator is locked out",
+    creatorFromChannel: async (channel, context) => {
+      if (!channel.permissionOverwrites) return null;
+      const userIds = channel.permissionOverwrites.cache
+        .filter(overwrite => overwrite.type === OverwriteType.Member && overwrite.allow.has(PermissionFlagsBits.ViewChannel))
+        .map(overwrite => overwrite.id);
+      return toCreator(await filterCandidates(userIds, context));
+    },
+    closeFromUpdate: (oldChannel, newChannel, { ticket }) =>
+      accessChangedTo(oldChannel, newChannel, ticket, false) ? { closedBy: null } : null,
+    reopenFromUpdate: (oldChannel, newChannel, { ticket }) =>
+      accessChangedTo(oldChannel, newChannel, ticket, true) ? { reopenedBy: null } : null
+  },
+  thread: {
+    description: "The owner of a thread ticket; closed while the thread is locked",
+    creatorFromChannel: async (channel, context) => {
+      if (!channel.isThread() || !channel.ownerId || !await context.isCandidate(channel.ownerId)) return null;
+      return { creatorId: channel.ownerId, participantIds: [] };
+    },
+    // Not on archiving: Discord auto-archives threads nobody wrote in, which
+    // is exactly the inactivity the reminders are for
+    closeFromUpdate: (oldChannel, newChannel) => {
+      if (!newChannel.isThread()) return null;
+      return !oldChannel.locked && newChannel.locked ? { closedBy: null } : null;
+    },
+    reopenFromUpdate: (oldChannel, newChannel) => {
+      if (!newChannel.isThread()) return null;
+      return oldChannel.locked && !newChannel.locked ? { reopenedBy: null } : null;
+    }
+  }
+};
+
+// Possible creators are members of the guild that aren't bots or staff
+function createContext(guild, config, ticket = null) {
+  const members = new Map();
+  return {
+    config,
+    ticket,
+    isCandidate: async userId => {
+      if (!members.has(userId)) members.set(userId, await guild.members.fetch(userId).catch(() => null));
+      const member = members.get(userId);
+      return Boolean(member) && !member.user.bot && !isStaffMember(member, config);
+    }
+  };
+}
+
+async function detectWith(adapter, channel, messages, context) {
+  for (const message of messages) {
+    const result = await adapter.creatorFromMessage?.(message, context);
+    if (result) return result;
+  }
+  return await adapter.creatorFromChannel?.(channel, context) ?? null;
+}
+
+// --- DETECT CREATOR ---
+// Runs the guild's adapters in order on a new message (or the channel alone)
+// and returns the first result with the adapter's name
+export async function detectCreator(channel, config, { message = null } = {}) {
+  const context = createContext(channel.guild, config);
+  for (const name of config.detection.adapters) {
+    const adapter = ADAPTERS[name];
+    if (!adapter) continue;
+    const result = await detectWith(adapter, channel, message ? [message] : [], context);
+    if (result) return { adapter: name, ...result };
+  }
+  return null;
+}
+
+// What every adapter finds in the channel and its first messages (oldest
+// first), for /creator detect. Disabled adapters are run too, so staff can
+// see which one would work for their ticket bot.
+export async function detectWithEachAdapter(channel, config, messages) {
+  const context = createContext(channel.guild, config);
+  const results = [];
+  for (const [name, adapter] of Object.entries(ADAPTERS)) {
+    results.push({
+      adapter: name,
+      priority: config.detection.adapters.indexOf(name),
+      result: await detectWith(adapter, channel, messages, context)
+    });
+  }
+  return results;
+}
+
+// --- DETECT CLOSE/REOPEN ---
+// From a (bot) message in the ticket or a channel/thread update; `kind` is
+// "close" or "reopen" and picks the adapter hooks
+async function detectChange(kind, ticket, config, { message = null, oldChannel = null, newChannel = null }) {
+  const guild = (message?.channel ?? newChannel).guild;
+  const context = createContext(guild, config, ticket);
+  for (const name of config.detection.adapters) {
+    const adapter = ADAPTERS[name];
+    const result = message
+      ? await adapter?.[`${kind}FromMessage`]?.(message, context)
+      : await adapter?.[`${kind}FromUpdate`]?.(oldChannel, newChannel, context);
+    if (result) return { adapter: name, ...result };
+  }
+  return null;
+}
+
+export function detectClose(ticket, config, source) {
+  return detectChange("close", ticket, config, source);
+}
+
+export function detectReopen(ticket, config, source) {
+  return detectChange("reopen", ticket, config, source);
+}
+
+// --- CLOSE TICKET ---
+// Pauses the timer and stops everything else that would still post into the
+// closed ticket. The document is kept; when the channel is deleted it's
+// retained for a while (see retainTicketData).
+export async function closeTicket(guild, ticket, { adapter, closedBy = null }) {
+  ticket.awaitingStaffSince = null;
+  await dispatchTicketEvent(ticket, { type: "close", closedBy });
+  await cancelJobs(ticket.channelId, ["staff-inactivity"]);
+
+  recordEvent(guild, { type: "ticket_closed", channelId: ticket.channelId, actorId: closedBy, metadata: { adapter } });
+}
+
+// --- REOPEN TICKET ---
+// Resumes the timer where it was paused on close
+export async function reopenTicket(guild, ticket, { adapter, reopenedBy = null }) {
+  const closedAt = ticket.closedAt;
+  await dispatchTicketEvent(ticket, { type: "reopen" });
+
+  recordEvent(guild, {
+    type: "ticket_reopened",
+    channelId: ticket.channelId,
+    actorId: reopenedBy,
+    metadata: { adapter, closedFor: Date.now() - closedAt }
+  });
+}
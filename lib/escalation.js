@@ -0,0 +1,119 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { recordEvent } from "./events.js";
+import { log } from "./log.js";
+import { escalations } from "./metrics.js";
+import { formatDuration, resolveSchedule } from "./schedule.js";
+import { getResponsibleIds, formatMentions } from "./participants.js";
+import { t, resolveLocale, formatLocalDuration, DEFAULT_LOCALE } from "./i18n.js";
+
+// The staff alert is level 1 of the ladder; guilds can add more levels after
+// it with /config escalation. Each level pings roles in the ticket and/or
+// DMs users, until a staff member claims the ticket (see lib/claims.js).
+export const MAX_ESCALATION_LEVELS = 5;
+
+// --- LEVELS ---
+// Configured levels that come after the staff alert of `schedule`, each with
+// its ladder number (2, 3, ...). Levels at or before the alert are skipped,
+// which can happen when a ticket overrides the alert time.
+export function getEscalationLevels(config, schedule) {
+  return config.escalation.levels
+    .filter(level => level.after > schedule.alertOffset)
+    .map((level, i) => ({ ...level, number: i + 2 }));
+}
+
+// Adds roles/users to the level at `after`, creating it if needed.
+// Returns the new list, sorted by time.
+export function addEscalationLevel(levels, { after, roleId = null, userId = null }) {
+  const existing = levels.find(level => level.after === after);
+  const level = existing
+    ? { ...existing, roleIds: [...existing.roleIds], userIds: [...existing.userIds] }
+    : { after, roleIds: [], userIds: [] };
+
+  if (roleId && !level.roleIds.includes(roleId)) level.roleIds.push(roleId);
+  if (userId && !level.userIds.includes(userId)) level.userIds.push(userId);
+
+  return [...levels.filter(other => other.after !== after), level].sort((a, b) => a.after - b.after);
+}
+
+export function describeEscalation(config) {
+  const lines = [`**1.** ${formatDuration(config.schedule.alertOffset)} — staff alert to ${formatRoles(config.staffRoleIds) || "staff roles"}`];
+  for (const [i, level] of config.escalation.levels.entries()) {
+    const targets = [
+      level.roleIds.length && formatRoles(level.roleIds),
+      level.userIds.length && `DM ${formatMentions(level.userIds)}`
+    ].filter(Boolean);
+    lines.push(`**${i + 2}.** ${formatDuration(level.after)} — ${targets.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+// Ticket types whose own staff alert comes at or after some of the levels, and
+// so skip them (see getEscalationLevels). Empty if every type gets every level.
+export function describeSkippedLevels(config) {
+  return config.ticketTypes.flatMap(type => {
+    const { alertOffset } = resolveSchedule(config.schedule, type.schedule);
+    const skipped = config.escalation.levels.filter(level => level.after <= alertOffset);
+    if (!skipped.length) return [];
+    const levels = skipped.map(level => formatDuration(level.after)).join(", ");
+    return [`**${type.name}** (staff alert at ${formatDuration(alertOffset)}): ${levels}`];
+  }).join("\n");
+}
+
+function formatRoles(roleIds) {
+  return roleIds.map(roleId => `<@&${roleId}>`).join(" ");
+}
+
+// --- CLAIM BUTTON ---
+// Shown on the staff alert and every escalation level
+export function buildClaimRow(locale = DEFAULT_LOCALE) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("escalation:claim")
+      .setLabel(t(locale, "buttonClaim"))
+      .setEmoji("👋")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+// --- SEND ESCALATION ---
+// Pings the level's roles in the ticket and DMs its users. A DM that can't be
+// delivered is logged; the other targets are still notified.
+export async function sendEscalation(channel, ticket, level) {
+  const guild = channel.guild;
+  const locale = resolveLocale(guild.preferredLocale);
+  const inactiveFor = formatLocalDuration(locale, level.after);
+
+  const embed = new EmbedBuilder()
+    .setColor("DarkRed")
+    .setTitle(t(locale, "escalationTitle", { level: level.number }))
+    .setDescription(t(locale, "escalationDescription", {
+      mentions: formatMentions(getResponsibleIds(ticket)),
+      inactiveFor
+    }))
+    .setFooter({ text: t(locale, "escalationFooter") })
+    .setTimestamp();
+
+  await channel.send({
+    content: formatRoles(level.roleIds) || undefined,
+    embeds: [embed],
+    components: [buildClaimRow(locale)]
+  });
+
+  const dm = new EmbedBuilder()
+    .setColor("DarkRed")
+    .setTitle(t(locale, "escalationDmTitle"))
+    .setDescription(t(locale, "escalationDmDescription", { guild: guild.name, channel: `${channel}`, inactiveFor }))
+    .setTimestamp();
+
+  for (const userId of level.userIds) {
+    await guild.client.users.send(userId, { embeds: [dm] })
+      .catch(err => log(`⚠️ Couldn't DM <@${userId}> about the escalation of ${channel}: ${err.message}`, guild));
+  }
+
+  escalations.inc({ level: level.number });
+  recordEvent(guild, {
+    type: "escalated",
+    channelId: channel.id,
+    metadata: { level: level.number, inactiveFor: level.after, roleIds: level.roleIds, userIds: level.userIds }
+  });
+}
@@ -0,0 +1,118 @@
+import { storage } from "./storage.js";
+import { formatDuration } from "./schedule.js";
+import { log } from "./log.js";
+import { queueWebhooks } from "./webhooks.js";
+import { describeActivityRule } from "./activity.js";
+
+// --- EVENT TYPES ---
+// `details` turns an event's metadata into a short text; `quiet` types are
+// recorded for history/analytics but not posted to the log channel
+const EVENT_TYPES = {
+  creator_stored: { emoji: "🎫", title: "Ticket creator stored", details: m => `<@${m.creatorId}>${m.adapter ? ` via ${m.adapter}` : ""}` },
+  creator_assigned: { emoji: "✏️", title: "Ticket creator manually assigned", details: m => `<@${m.creatorId}>` },
+  creator_replied: { emoji: "💬", title: "Creator replied", quiet: true, details: m => m.rule && describeActivityRule(m) },
+  participant_replied: { emoji: "💬", title: "Participant replied", quiet: true, details: m => m.rule && describeActivityRule(m) },
+  staff_replied: { emoji: "🛠️", title: "Staff replied", quiet: true, details: m => m.rule && describeActivityRule(m) },
+  activity_ignored: { emoji: "🙈", title: "Message ignored by the timer", details: m => describeActivityRule(m) },
+  activity_deleted: { emoji: "✂️", title: "Counted message deleted", details: m => `${{ creator_replied: "creator", participant_replied: "participant", staff_replied: "staff" }[m.replyType]}, counted as ${describeActivityRule(m)}` },
+  participant_added: { emoji: "➕", title: "Participant added", details: m => `<@${m.userId}> as ${m.role}` },
+  participant_removed: { emoji: "➖", title: "Participant removed", details: m => `<@${m.userId}>` },
+  creator_needs_help: { emoji: "🙋", title: "Creator still needs help" },
+  creator_solved: { emoji: "✅", title: "Creator marked the issue as solved" },
+  reminders_snoozed: { emoji: "😴", title: "Reminders snoozed", details: m => `for ${formatDuration(m.duration)} (${m.count} of ${m.max})` },
+  timer_started: { emoji: "⏱️", title: "Timer started" },
+  timer_restarted: { emoji: "🔄", title: "Timer manually restarted" },
+  timer_stopped: {
+    emoji: "🛑",
+    title: "Timer stopped",
+    details: m => (({
+      creator_reply: "creator replied",
+      participant_reply: "participant replied",
+      creator_button: "creator still needs help",
+      solved: "issue solved",
+      manual: "manually",
+      reset: "ticket reset"
+    })[m.reason] ?? m.reason) + (m.rule ? `, ${describeActivityRule(m)}` : "")
+  },
+  reminder_sent: {
+    emoji: "🔔",
+    title: "Reminder sent",
+    details: m => `#${m.number} of ${m.total}${{ sent: ", also by DM", failed: ", DM failed" }[m.dm] ?? ""}`
+  },
+  staff_alert: { emoji: "⚠️", title: "Staff alert sent", details: m => `inactive for ${formatDuration(m.inactiveFor)}` },
+  escalated: { emoji: "⏫", title: "Ticket escalated", details: m => `level ${m.level}, inactive for ${formatDuration(m.inactiveFor)}` },
+  ticket_claimed: { emoji: "👋", title: "Ticket claimed" },
+  ticket_unclaimed: { emoji: "↩️", title: "Ticket unclaimed", details: m => m.previousId && `was <@${m.previousId}>` },
+  ticket_transferred: { emoji: "🔀", title: "Ticket transferred", details: m => `<@${m.fromId}> → <@${m.toId}>` },
+  staff_inactive: { emoji: "⏰", title: "Assignee hasn't replied", details: m => `<@${m.assigneeId}>, waiting for ${formatDuration(m.waitingFor)}` },
+  schedule_updated: { emoji: "📅", title: "Ticket schedule updated" },
+  ticket_reset: { emoji: "🔄", title: "Ticket reset" },
+  auto_close_started: {
+    emoji: "🔒",
+    title: "Ticket auto-closed",
+    details: m => `${m.reason === "solved" ? "marked solved" : `inactive for ${formatDuration(m.inactiveFor)}`}, deleting in ${formatDuration(m.gracePeriod)}`
+  },
+  auto_close_cancelled: { emoji: "✋", title: "Auto-close cancelled" },
+  ticket_closed: { emoji: "🔐", title: "Ticket closed", details: m => `detected by ${m.adapter}` },
+  ticket_reopened: { emoji: "🔓", title: "Ticket reopened", details: m => `detected by ${m.adapter}, closed for ${formatDuration(m.closedFor)}` },
+  transcript_generated: { emoji: "📜", title: "Transcript generated" },
+  ticket_deleted: { emoji: "🗑️", title: "Ticket deleted", details: m => `#${m.channelName} (${m.reason})` }
+};
+
+export const EVENT_TYPE_NAMES = Object.keys(EVENT_TYPES);
+
+function getEventType(type) {
+  return EVENT_TYPES[type] ?? { emoji: "•", title: type };
+}
+
+// Events triggered through the admin API have no Discord user behind them
+function formatActor(event, format) {
+  if (event.actorId) return format(`<@${event.actorId}>`);
+  return event.metadata?.via === "api" ? format("admin API") : "";
+}
+
+// --- FORMAT ---
+// One line for the Discord log channel
+export function formatEventLog(event) {
+  const { emoji, title, details } = getEventType(event.type);
+  const detail = details?.(event.metadata ?? {});
+  return `${emoji} **${title}**${detail ? ` (${detail})` : ""} in <#${event.channelId}>${formatActor(event, actor => ` by ${actor}`)}`;
+}
+
+// One line of a ticket's timeline (the channel is implied)
+export function formatEventLine(event) {
+  const { emoji, title, details } = getEventType(event.type);
+  const detail = details?.(event.metadata ?? {});
+  const time = `<t:${Math.floor(event.createdAt / 1000)}:f>`;
+  return `${time} ${emoji} ${title}${detail ? ` — ${detail}` : ""}${formatActor(event, actor => ` (by ${actor})`)}`;
+}
+
+// --- RECORD EVENT ---
+// Stores the event and feeds it to the guild's log channel and webhooks.
+// Never throws: a failed write is reported but still reaches the log channel.
+export async function recordEvent(guild, { type, channelId, actorId = null, metadata = {} }, { notify = true } = {}) {
+  let event = { guildId: guild.id, channelId, type, actorId, metadata, createdAt: Date.now() };
+  try {
+    event = await storage.events.insert(event);
+  } catch (error) {
+    console.error(`❌ Failed to record ${type} event for ${channelId}:`, error);
+  }
+
+  if (notify && !getEventType(type).quiet) {
+    log(formatEventLog(event), guild);
+  }
+  // Sent even for quiet events; never holds up or breaks the caller
+  queueWebhooks(event).catch(error => console.error(`❌ Failed to queue webhooks for ${type} event in ${channelId}:`, error));
+  return event;
+}
+
+// --- HISTORY ---
+// Scoped to the guild so a channel ID from another server shows nothing
+export async function getTicketHistory(guildId, channelId, { page = 0, pageSize = 10 } = {}) {
+  const filter = { guildId, channelId };
+  const [events, total] = await Promise.all([
+    storage.events.find(filter, { sort: { createdAt: 1 }, skip: page * pageSize, limit: pageSize }),
+    storage.events.count(filter)
+  ]);
+  return { events, total, pages: Math.max(Math.ceil(total / pageSize), 1) };
+}
@@ -0,0 +1,182 @@
+import { storage } from "./storage.js";
+import { resolveSchedule } from "./schedule.js";
+import { DEFAULT_BUSINESS_HOURS } from "./businessHours.js";
+
+export const DEFAULT_AUTO_CLOSE_GRACE = 60 * 60 * 1000; // 1h before the channel is deleted
+export const DEFAULT_SNOOZE_DURATION = 24 * 60 * 60 * 1000;
+export const DEFAULT_MAX_SNOOZES = 1;
+export const DEFAULT_PAUSE_RULE = "responsible";
+// Any reply counts and no message is ignored, as before activity rules existed
+export const DEFAULT_MIN_REPLY_LENGTH = 0;
+export const DEFAULT_STAFF_RESPONSE_WINDOW = 4 * 60 * 60 * 1000;
+export const DEFAULT_CLEANUP_INACTIVE_DAYS = 30;
+// Same as before adapters existed: the ticket bot's mentions, else the first non-staff message
+export const DEFAULT_DETECTION_ADAPTERS = ["ticket_tool", "first_message"];
+
+// Resolved configs are cached per guild and dropped whenever they change
+const cache = new Map();
+
+// --- ENV DEFAULTS ---
+// The old single-server env vars still work as defaults for any guild
+// that hasn't configured a value through /config
+function getEnvDefaults() {
+  const {
+    TICKET_CATEGORY_ID,
+    STAFF_ROLE_ID,
+    KING_ROLE_ID,
+    LOG_CHANNEL_ID,
+    TICKET_TOOL_BOT_ID
+  } = process.env;
+
+  return {
+    ticketCategoryIds: [TICKET_CATEGORY_ID].filter(Boolean),
+    staffRoleIds: [STAFF_ROLE_ID, KING_ROLE_ID].filter(Boolean),
+    logChannelId: LOG_CHANNEL_ID || null,
+    ticketToolBotId: TICKET_TOOL_BOT_ID || null
+  };
+}
+
+// --- RESOLVE CONFIG ---
+function resolveConfig(guildId, doc) {
+  const defaults = getEnvDefaults();
+  return {
+    guildId,
+    ticketCategoryIds: doc?.ticketCategoryIds?.length ? doc.ticketCategoryIds : defaults.ticketCategoryIds,
+    staffRoleIds: doc?.staffRoleIds?.length ? doc.staffRoleIds : defaults.staffRoleIds,
+    logChannelId: doc?.logChannelId || defaults.logChannelId,
+    ticketToolBotId: doc?.ticketToolBotId || defaults.ticketToolBotId,
+    schedule: resolveSchedule(doc?.schedule),
+    autoClose: {
+      enabled: doc?.autoClose?.enabled ?? false,
+      gracePeriod: doc?.autoClose?.gracePeriod ?? DEFAULT_AUTO_CLOSE_GRACE,
+      archiveCategoryId: doc?.autoClose?.archiveCategoryId ?? null
+    },
+    transcripts: {
+      enabled: doc?.transcripts?.enabled ?? true,
+      dmCreator: doc?.transcripts?.dmCreator ?? false
+    },
+    snooze: {
+      duration: doc?.snooze?.duration ?? DEFAULT_SNOOZE_DURATION,
+      maxSnoozes: doc?.snooze?.maxSnoozes ?? DEFAULT_MAX_SNOOZES
+    },
+    participants: {
+      pauseOn: doc?.participants?.pauseOn ?? DEFAULT_PAUSE_RULE
+    },
+    activity: {
+      minLength: doc?.activity?.minLength ?? DEFAULT_MIN_REPLY_LENGTH,
+      ignoredPrefixes: doc?.activity?.ignoredPrefixes ?? [],
+      reactions: doc?.activity?.reactions ?? false
+    },
+    businessHours: {
+      enabled: doc?.businessHours?.enabled ?? DEFAULT_BUSINESS_HOURS.enabled,
+      timezone: doc?.businessHours?.timezone ?? DEFAULT_BUSINESS_HOURS.timezone,
+      days: doc?.businessHours?.days?.length ? doc.businessHours.days : DEFAULT_BUSINESS_HOURS.days,
+      start: doc?.businessHours?.start ?? DEFAULT_BUSINESS_HOURS.start,
+      end: doc?.businessHours?.end ?? DEFAULT_BUSINESS_HOURS.end,
+      holidays: doc?.businessHours?.holidays ?? DEFAULT_BUSINESS_HOURS.holidays
+    },
+    escalation: {
+      levels: [...(doc?.escalation?.levels ?? [])].sort((a, b) => a.after - b.after)
+    },
+    claims: {
+      responseWindow: doc?.claims?.responseWindow ?? DEFAULT_STAFF_RESPONSE_WINDOW
+    },
+    notifications: {
+      dmReminders: doc?.notifications?.dmReminders ?? false
+    },
+    detection: {
+      adapters: doc?.detection?.adapters?.length ? doc.detection.adapters : DEFAULT_DETECTION_ADAPTERS
+    },
+    cleanup: {
+      enabled: doc?.cleanup?.enabled ?? false,
+      inactiveDays: doc?.cleanup?.inactiveDays ?? DEFAULT_CLEANUP_INACTIVE_DAYS,
+      orphaned: doc?.cleanup?.orphaned ?? true,
+      closedDays: doc?.cleanup?.closedDays ?? null
+    },
+    webhooks: (doc?.webhooks ?? []).map(webhook => ({
+      id: webhook.id,
+      url: webhook.url,
+      secret: webhook.secret,
+      events: webhook.events ?? [],
+      createdBy: webhook.createdBy ?? null,
+      createdAt: webhook.createdAt ?? null
+    })),
+    templates: doc?.templates ?? {},
+    ticketTypes: (doc?.ticketTypes ?? []).map(type => ({
+      name: type.name,
+      categoryIds: type.categoryIds ?? [],
+      staffRoleIds: type.staffRoleIds ?? [],
+      schedule: type.schedule ?? null,
+      templates: type.templates ?? {}
+    }))
+  };
+}
+
+// --- GET GUILD CONFIG ---
+export async function getGuildConfig(guildId) {
+  if (cache.has(guildId)) return cache.get(guildId);
+
+  const doc = await storage.guildConfigs.findOne({ guildId });
+  const config = resolveConfig(guildId, doc);
+  cache.set(guildId, config);
+  return config;
+}
+
+// --- UPDATE GUILD CONFIG ---
+// `set` overwrites fields, `add` appends to list fields without duplicates,
+// `unset` clears fields so they fall back to the defaults again
+export async function updateGuildConfig(guildId, { set = {}, add = {}, unset = [] } = {}) {
+  const update = {};
+  if (Object.keys(set).length) update.$set = set;
+  if (Object.keys(add).length) {
+    update.$addToSet = Object.fromEntries(
+      Object.entries(add).map(([key, values]) => [key, { $each: values }])
+    );
+  }
+  if (unset.length) update.$unset = Object.fromEntries(unset.map(key => [key, ""]));
+
+  const doc = await storage.guildConfigs.findOneAndUpdate({ guildId }, update, { upsert: true });
+
+  cache.delete(guildId);
+  return resolveConfig(guildId, doc);
+}
+
+// --- TICKET TYPES ---
+export function getTicketTypeForCategory(config, categoryId) {
+  return config.ticketTypes.find(type => type.categoryIds.includes(categoryId)) ?? null;
+}
+
+// Categories listed with /config set or mapped to a ticket type are watched
+export function isTicketCategory(config, categoryId) {
+  return config.ticketCategoryIds.includes(categoryId) || Boolean(getTicketTypeForCategory(config, categoryId));
+}
+
+// The guild config as one ticket type sees it: the type's staff roles,
+// schedule and templates layered over the guild's. Unknown or removed types
+// (and untyped tickets) just get the guild config.
+export function resolveTicketConfig(config, typeName) {
+  const type = typeName && config.ticketTypes.find(entry => entry.name === typeName);
+  if (!type) return config;
+  return {
+    ...config,
+    ticketType: type.name,
+    staffRoleIds: type.staffRoleIds.length ? type.staffRoleIds : config.staffRoleIds,
+    schedule: resolveSchedule(config.schedule, type.schedule),
+    templates: { ...config.templates, ...type.templates }
+  };
+}
+
+export async function getTicketConfig(ticket, guildId = ticket?.guildId) {
+  return resolveTicketConfig(await getGuildConfig(guildId), ticket?.type);
+}
+
+// --- STAFF CHECK ---
+export function isStaffMember(member, config) {
+  if (!member?.roles) return false;
+  return config.staffRoleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+// --- STAFF ROLE MENTIONS ---
+export function formatStaffRoles(config) {
+  return config.staffRoleIds.map(roleId => `<@&${roleId}>`).join(" ");
+}
@@ -0,0 +1,110 @@
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+
+export const LOCALES = { en, de };
+export const DEFAULT_LOCALE = "en";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// --- LOCALE DETECTION ---
+// Takes Discord locales ("en-US", "de", "pt-BR"...) in order of preference,
+// e.g. the creator's locale before the guild's, and returns the first one we
+// have a catalog for
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const base = candidate?.split("-")[0].toLowerCase();
+    if (base && LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Creator-facing messages: the creator's locale (remembered from their last
+// button press), then the guild's
+export function getTicketLocale(ticket, guild) {
+  return resolveLocale(ticket?.locale, guild.preferredLocale);
+}
+
+// --- TRANSLATE ---
+// Unknown placeholders are left as they are so typos stay visible
+export function interpolate(text, vars = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+}
+
+export function t(locale, key, vars = {}) {
+  return interpolate(LOCALES[locale]?.[key] ?? en[key] ?? key, vars);
+}
+
+// Same output as formatDuration(), in the given language. With an enabled
+// business-hours calendar the duration is marked as business time.
+export function formatLocalDuration(locale, ms, calendar = null) {
+  let text;
+  if (ms < MINUTE) {
+    text = t(locale, "durationLessThanMinute");
+  } else {
+    const hours = Math.floor(ms / HOUR);
+    const minutes = Math.floor((ms % HOUR) / MINUTE);
+    const parts = [];
+    if (hours) parts.push(t(locale, hours === 1 ? "durationHour" : "durationHours", { count: hours }));
+    if (minutes) parts.push(t(locale, minutes === 1 ? "durationMinute" : "durationMinutes", { count: minutes }));
+    text = parts.join(" ");
+  }
+  return calendar?.enabled ? t(locale, "durationBusinessTime", { duration: text }) : text;
+}
+
+// --- GUILD TEMPLATES ---
+// Messages a guild can replace with /template, with the placeholders each one
+// gets. Custom templates are used as-is for every locale.
+const REMINDER_PLACEHOLDERS = ["creator", "mentions", "reminderNumber", "total", "remaining", "next"];
+const ALERT_PLACEHOLDERS = ["creator", "mentions", "staffRoles", "remaining", "alertAfter"];
+const AUTO_CLOSE_PLACEHOLDERS = ["creator", "mentions", "remaining", "gracePeriod"];
+
+export const TEMPLATES = {
+  reminderTitle: { kind: "title", placeholders: REMINDER_PLACEHOLDERS },
+  reminderDescription: { kind: "description", placeholders: REMINDER_PLACEHOLDERS },
+  reminderFooter: { kind: "footer", placeholders: REMINDER_PLACEHOLDERS },
+  finalReminderTitle: { kind: "title", placeholders: REMINDER_PLACEHOLDERS },
+  finalReminderDescription: { kind: "description", placeholders: REMINDER_PLACEHOLDERS },
+  finalReminderFooter: { kind: "footer", placeholders: REMINDER_PLACEHOLDERS },
+  staffAlertTitle: { kind: "title", placeholders: ALERT_PLACEHOLDERS },
+  staffAlertDescription: { kind: "description", placeholders: ALERT_PLACEHOLDERS },
+  staffAlertFooter: { kind: "footer", placeholders: ALERT_PLACEHOLDERS },
+  autoCloseInactiveDescription: { kind: "description", placeholders: AUTO_CLOSE_PLACEHOLDERS },
+  autoCloseSolvedDescription: { kind: "description", placeholders: AUTO_CLOSE_PLACEHOLDERS }
+};
+
+export const PLACEHOLDERS = {
+  creator: "mention of the ticket creator",
+  mentions: "mentions of the creator and participants",
+  reminderNumber: "number of this reminder",
+  total: "total number of reminders",
+  remaining: "time left until the next step (or time inactive, for alerts)",
+  next: "time until the next reminder",
+  staffRoles: "mentions of the staff roles",
+  alertAfter: "configured staff alert time",
+  gracePeriod: "time until the closed channel is deleted"
+};
+
+// Discord embed limits per template kind
+const TEMPLATE_LIMITS = { title: 256, description: 4096, footer: 2048 };
+
+// Returns an error message, or null if the text can be used for `key`
+export function validateTemplate(key, text) {
+  const { kind, placeholders } = TEMPLATES[key];
+  if (text.length > TEMPLATE_LIMITS[kind]) {
+    return `Templates for a ${kind} can be at most ${TEMPLATE_LIMITS[kind]} characters.`;
+  }
+  const unknown = [...text.matchAll(/\{(\w+)\}/g)]
+    .map(([, name]) => name)
+    .filter(name => !placeholders.includes(name));
+  if (unknown.length) {
+    return `Unknown placeholder(s) ${[...new Set(unknown)].map(name => `{${name}}`).join(", ")}. Available: ${placeholders.map(name => `{${name}}`).join(", ")}`;
+  }
+  return null;
+}
+
+// The guild's template if it set one, otherwise the catalog text
+export function renderTemplate(config, locale, key, vars) {
+  const custom = config.templates?.[key];
+  return custom ? interpolate(custom, vars) : t(locale, key, vars);
+}
@@ -0,0 +1,300 @@
+import { resolveSchedule, getReminderOffsets } from "./schedule.js";
+import { addBusinessTime } from "./businessHours.js";
+import { getEscalationLevels } from "./escalation.js";
+
+// The inactivity timer of a ticket as a state machine. Messages, buttons,
+// commands and due jobs are turned into events; the machine updates the
+// ticket and does everything else through `effects`, with all times taken
+// from `clock`, so it runs the same against Discord (lib/timers.js) and in tests.
+//
+// States are derived from the ticket and its pending jobs, never stored:
+//   awaiting-creator  no ticket yet; it's stored once the creator is detected
+//   pending-start     staff replied, counting starts after the start delay
+//   counting          reminders go out until the creator replies
+//   alerted           the staff alert went out; escalation levels may follow
+//   stopped           nothing running, e.g. the creator replied
+//   closed            the ticket bot closed the ticket; the timer is paused
+//                     and resumes where it was if the ticket is reopened
+//
+// Effects:
+//   save(ticket)
+//   getConfig(ticket)                                 the ticket's config (see getTicketConfig)
+//   scheduleJob(job) / cancelJobs(channelId, types) / getNextJob(channelId, types)
+//                                                     as in lib/scheduler.js
+//   fetchChannel(ticket)                              null if the channel is gone
+//   sendReminder(channel, ticket, number, schedule)
+//   sendStaffAlert(channel, ticket)
+//   sendEscalation(channel, ticket, level)
+//   recordEvent(channel, { type, ... })
+export const LIFECYCLE_STATES = ["awaiting-creator", "pending-start", "counting", "alerted", "stopped", "closed"];
+
+// Job types of a running timer, and together with the start delay the whole
+// inactivity timer of a ticket
+export const RUNNING_JOBS = ["reminder", "staff-alert", "escalation"];
+export const TIMER_JOBS = ["timer-start", ...RUNNING_JOBS];
+
+// --- STATE ---
+// `startJob` is the pending timer-start job of the ticket, if any
+export function getLifecycleState(ticket, startJob = null) {
+  if (!ticket) return "awaiting-creator";
+  if (ticket.closedAt) return "closed";
+  if (ticket.timerStartTime) return ticket.alertedAt ? "alerted" : "counting";
+  return startJob ? "pending-start" : "stopped";
+}
+
+// Every start/stop bumps `timerCycle`, so keys from an older run never collide
+// and jobs left over from it are recognised as stale
+function jobKey(ticket, suffix) {
+  return `${ticket.channelId}:${ticket.timerCycle}:${suffix}`;
+}
+
+function jobBase(ticket) {
+  return { channelId: ticket.channelId, guildId: ticket.guildId };
+}
+
+function resetTimerState(ticket, timerStartTime) {
+  ticket.timerCycle = (ticket.timerCycle || 0) + 1;
+  ticket.timerStartTime = timerStartTime;
+  ticket.reminderCount = 0;
+  ticket.alertedAt = null;
+  ticket.escalationLevel = 0;
+  ticket.snoozeCount = 0;
+  // A new or stopped timer leaves nothing to resume on reopen
+  ticket.closedTimerState = null;
+}
+
+// --- MACHINE ---
+export function createLifecycle({ effects, clock = Date }) {
+  async function getSchedule(ticket) {
+    const config = await effects.getConfig(ticket);
+    return { config, schedule: resolveSchedule(config.schedule, ticket.schedule) };
+  }
+
+  async function getState(ticket) {
+    if (!ticket || ticket.closedAt || ticket.timerStartTime) return getLifecycleState(ticket);
+    return getLifecycleState(ticket, await effects.getNextJob(ticket.channelId, ["timer-start"]));
+  }
+
+  // Queues the reminders, staff alert and escalation levels of a running timer.
+  // Safe to call repeatedly: jobs that already exist for this cycle are left alone.
+  // Offsets count business time only if the guild has business hours enabled.
+  async function scheduleRunningJobs(ticket) {
+    const { config, schedule } = await getSchedule(ticket);
+    const dueAt = offset => addBusinessTime(ticket.timerStartTime, offset, config.businessHours);
+
+    for (const [i, offset] of getReminderOffsets(schedule).entries()) {
+      const number = i + 1;
+      if (number <= ticket.reminderCount) continue;
+      await effects.scheduleJob({
+        ...jobBase(ticket),
+        key: jobKey(ticket, `reminder:${number}`),
+        type: "reminder",
+        runAt: dueAt(offset),
+        payload: { cycle: ticket.timerCycle, number }
+      });
+    }
+
+    if (!ticket.alertedAt) {
+      await effects.scheduleJob({
+        ...jobBase(ticket),
+        key: jobKey(ticket, "staff-alert"),
+        type: "staff-alert",
+        runAt: dueAt(schedule.alertOffset),
+        payload: { cycle: ticket.timerCycle }
+      });
+    }
+
+    // Auto-close replaces the staff alert, and a claimed ticket has an owner
+    if (config.autoClose.enabled || ticket.claimedBy) return;
+    for (const level of getEscalationLevels(config, schedule)) {
+      if (level.number <= ticket.escalationLevel) continue;
+      await effects.scheduleJob({
+        ...jobBase(ticket),
+        key: jobKey(ticket, `escalation:${level.after}`),
+        type: "escalation",
+        runAt: dueAt(level.after),
+        payload: { cycle: ticket.timerCycle, after: level.after, number: level.number }
+      });
+    }
+  }
+
+  async function stop(ticket) {
+    await effects.cancelJobs(ticket.channelId, TIMER_JOBS);
+    resetTimerState(ticket, null);
+    await effects.save(ticket);
+  }
+
+  async function startAfterDelay(ticket) {
+    await effects.cancelJobs(ticket.channelId, TIMER_JOBS);
+    const { schedule } = await getSchedule(ticket);
+
+    resetTimerState(ticket, null);
+    await effects.save(ticket);
+
+    await effects.scheduleJob({
+      ...jobBase(ticket),
+      key: jobKey(ticket, "start"),
+      type: "timer-start",
+      runAt: clock.now() + schedule.startDelay,
+      payload: { cycle: ticket.timerCycle }
+    });
+  }
+
+  async function reschedule(ticket) {
+    if (!ticket.timerStartTime) return;
+    await effects.cancelJobs(ticket.channelId, RUNNING_JOBS);
+    await scheduleRunningJobs(ticket);
+  }
+
+  // Each handler gets the ticket and the event; job events carry the job's
+  // payload (`cycle`, `number`, `after`) and `runAt`
+  const TRANSITIONS = {
+    // → pending-start
+    staff_message: startAfterDelay,
+
+    // → stopped
+    creator_message: stop,
+    stop,
+
+    // → counting right away, without the start delay
+    async restart(ticket) {
+      await effects.cancelJobs(ticket.channelId, TIMER_JOBS);
+      resetTimerState(ticket, clock.now());
+      await effects.save(ticket);
+      await scheduleRunningJobs(ticket);
+    },
+
+    // pending-start → counting. Counts from when the timer was due, so
+    // downtime doesn't push reminders back.
+    async start_due(ticket, { runAt }) {
+      if (ticket.timerStartTime) return;
+      const channel = await effects.fetchChannel(ticket);
+      if (!channel) return;
+
+      ticket.timerStartTime = runAt;
+      ticket.reminderCount = 0;
+      await effects.save(ticket);
+
+      await effects.recordEvent(channel, { type: "timer_started" });
+      await scheduleRunningJobs(ticket);
+    },
+
+    // counting → counting
+    async reminder_due(ticket, { number }) {
+      if (!ticket.timerStartTime || ticket.reminderCount >= number) return;
+
+      const { schedule } = await getSchedule(ticket);
+      if (number > getReminderOffsets(schedule).length) return;
+
+      // After downtime several events can be due at once; only the latest one is sent
+      const next = await effects.getNextJob(ticket.channelId, ["reminder", "staff-alert"]);
+      if (next && clock.now() >= next.runAt) return;
+
+      const channel = await effects.fetchChannel(ticket);
+      if (!channel) return;
+
+      await effects.sendReminder(channel, ticket, number, schedule);
+      // Saved after sending so a failed send is retried by the scheduler
+      ticket.reminderCount = number;
+      await effects.save(ticket);
+    },
+
+    // counting → alerted
+    async alert_due(ticket) {
+      if (!ticket.timerStartTime || ticket.alertedAt) return;
+
+      const channel = await effects.fetchChannel(ticket);
+      if (!channel) return;
+
+      await effects.sendStaffAlert(channel, ticket);
+      ticket.alertedAt = clock.now();
+      ticket.escalationLevel = 1;
+      await effects.save(ticket);
+    },
+
+    // alerted → alerted. Only escalates an alert nobody picked up
+    // (auto-closing tickets never get one).
+    async escalation_due(ticket, { after }) {
+      if (!ticket.alertedAt || ticket.autoClose || ticket.claimedBy) return;
+
+      const { config, schedule } = await getSchedule(ticket);
+      // The level may have been removed since the job was queued
+      const level = getEscalationLevels(config, schedule).find(level => level.after === after);
+      if (!level || level.number <= ticket.escalationLevel) return;
+
+      // After downtime only the highest due level is sent
+      const next = await effects.getNextJob(ticket.channelId, ["escalation"]);
+      if (next && clock.now() >= next.runAt) return;
+
+      const channel = await effects.fetchChannel(ticket);
+      if (!channel) return;
+
+      await effects.sendEscalation(channel, ticket, level);
+      ticket.escalationLevel = level.number;
+      await effects.save(ticket);
+    },
+
+    // Pushes every remaining reminder, the staff alert and escalation back by `duration`
+    async snooze(ticket, { duration }) {
+      ticket.timerStartTime += duration;
+      ticket.snoozeCount = (ticket.snoozeCount || 0) + 1;
+      await effects.save(ticket);
+      await reschedule(ticket);
+    },
+
+    // Re-plans a running timer after its schedule changed
+    reschedule,
+
+    // → closed. The timer's jobs are dropped but its state is kept, so a
+    // reopen can pick up where it left off.
+    async close(ticket, { closedBy = null }) {
+      const state = await getState(ticket);
+      await effects.cancelJobs(ticket.channelId, TIMER_JOBS);
+      ticket.closedAt = clock.now();
+      ticket.closedBy = closedBy;
+      ticket.closedTimerState = state;
+      await effects.save(ticket);
+    },
+
+    // closed → the state it was closed in. Time spent closed doesn't count,
+    // like a snooze; a pending start waits the full start delay again.
+    async reopen(ticket) {
+      const pausedFor = clock.now() - ticket.closedAt;
+      const state = ticket.closedTimerState;
+      ticket.closedAt = null;
+      ticket.closedBy = null;
+      ticket.closedTimerState = null;
+
+      if (state === "pending-start") return startAfterDelay(ticket);
+      if (ticket.timerStartTime) ticket.timerStartTime += pausedFor;
+      await effects.save(ticket);
+      if (ticket.timerStartTime) await scheduleRunningJobs(ticket);
+    },
+
+    // On startup: makes sure a counting timer has its jobs queued. Idempotent,
+    // and picks up tickets from before the job scheduler existed.
+    async restore(ticket) {
+      if (ticket.autoClose || !ticket.timerStartTime || ticket.alertedAt) return;
+      await scheduleRunningJobs(ticket);
+    }
+  };
+
+  // Jobs carry the timer cycle they were queued in; older ones are stale
+  const JOB_EVENTS = ["start_due", "reminder_due", "alert_due", "escalation_due"];
+  // A closed ticket can only be reopened or have its paused timer dropped
+  const CLOSED_EVENTS = ["reopen", "stop"];
+
+  return {
+    getState,
+
+    // Events for a ticket that isn't stored yet (awaiting-creator) are ignored
+    async dispatch(ticket, event) {
+      const transition = TRANSITIONS[event.type];
+      if (!transition) throw new Error(`Unknown lifecycle event "${event.type}"`);
+      if (!ticket) return;
+      if (ticket.closedAt ? !CLOSED_EVENTS.includes(event.type) : event.type === "reopen") return;
+      if (JOB_EVENTS.includes(event.type) && event.cycle !== ticket.timerCycle) return;
+      await transition(ticket, event);
+    }
+  };
+}
@@ -0,0 +1,154 @@
+// German message catalog. Missing keys fall back to English.
+export default {
+  // === REMINDERS ===
+  reminderTitle: "🔔 Ticket-Erinnerung",
+  reminderDescription: "{mentions}, bitte antworte auf dieses Ticket.\n\n• Wenn du Fragen hast oder Hilfe brauchst, antworte hier oder klicke auf **Brauche noch Hilfe**\n• Wenn dein Problem gelöst ist, klicke auf **Problem gelöst**\n• Wenn wir innerhalb von {remaining} nichts von dir hören, kann unser Team dieses Ticket schließen",
+  reminderFooter: "Erinnerung {reminderNumber} von {total} • Nächste Erinnerung in {next}",
+  finalReminderTitle: "🔔 Letzte Ticket-Erinnerung ⚠️",
+  finalReminderDescription: "{mentions}, bitte antworte sofort auf dieses Ticket.\n\n• Wenn du Fragen hast oder Hilfe brauchst, antworte jetzt oder klicke auf **Brauche noch Hilfe**\n• Wenn dein Problem gelöst ist, klicke auf **Problem gelöst**\n• ⚠️ Das ist deine letzte Chance - unser Team schließt dieses Ticket in {remaining}, wenn du nicht antwortest",
+  finalReminderFooter: "Erinnerung {reminderNumber} von {total} • Letzte Warnung - noch {remaining}",
+  buttonStillNeedHelp: "Brauche noch Hilfe",
+  buttonIssueSolved: "Problem gelöst",
+  buttonSnooze: "{duration} pausieren",
+  reminderDmDescription: "Dein Ticket {channel} auf **{guild}** wartet auf deine Antwort.\n\nWenn wir innerhalb von {remaining} nichts von dir hören, kann unser Team es schließen. Öffne das Ticket, um zu antworten oder die Erinnerungs-Buttons zu benutzen.",
+  reminderDmFooter: "Keine DMs mehr? Benutze /notifications auf dem Server",
+  buttonOpenTicket: "Ticket öffnen",
+
+  // === STAFF ALERT ===
+  staffAlertTitle: "⏰ Inaktivitätsalarm nach {alertAfter}",
+  staffAlertDescription: "{staffRoles}\n\n🚨 **Keine Antwort von** {mentions} **seit {remaining}.**\n\nBitte **schließt und löscht** dieses Ticket manuell.",
+  staffAlertFooter: "Ticket ist seit {remaining} inaktiv",
+
+  // === AUTO-CLOSE ===
+  autoCloseTitle: "🔒 Ticket geschlossen",
+  autoCloseInactiveDescription: "{creator}, dieses Ticket wurde geschlossen, weil seit {remaining} keine Antwort kam.\n\n• Dieser Kanal wird in {gracePeriod} gelöscht\n• Das Team kann das automatische Schließen mit dem Button unten abbrechen",
+  autoCloseInactiveFooter: "Automatisch wegen Inaktivität geschlossen",
+  autoCloseSolvedDescription: "{creator} hat dieses Ticket als gelöst markiert, daher wurde es geschlossen.\n\n• Dieser Kanal wird in {gracePeriod} gelöscht\n• Das Team kann das automatische Schließen mit dem Button unten abbrechen",
+  autoCloseSolvedFooter: "Automatisch geschlossen - Problem gelöst",
+  buttonCancelAutoClose: "Schließen abbrechen",
+  autoCloseOnlyStaff: "❌ Nur das Team kann das automatische Schließen abbrechen.",
+  autoCloseCancelledTitle: "✅ Automatisches Schließen abgebrochen",
+  autoCloseCancelledDescription: "{user} hat das automatische Schließen abgebrochen. {creator} kann wieder antworten.\n\nDer Timer ist gestoppt, bis das Team eine Nachricht schreibt.",
+
+  // === ESCALATION ===
+  escalationTitle: "⏫ Eskalationsstufe {level}",
+  escalationDescription: "🚨 **Keine Antwort von** {mentions} **seit {inactiveFor}** und niemand hat den Team-Alarm übernommen.\n\nKlicke auf **Ich kümmere mich**, um dieses Ticket zu übernehmen und die Eskalation zu stoppen.",
+  escalationFooter: "Eskaliert weiter, bis jemand das Ticket übernimmt",
+  escalationDmTitle: "⏫ Ein Ticket braucht Aufmerksamkeit",
+  escalationDmDescription: "Ein Ticket auf **{guild}** ist seit {inactiveFor} ohne Antwort und niemand hat es übernommen: {channel}\n\nÖffne es und klicke auf **Ich kümmere mich**, um es zu übernehmen.",
+  buttonClaim: "Ich kümmere mich",
+  claimOnlyStaff: "❌ Nur das Team kann Tickets übernehmen.",
+  ticketAlreadyClaimed: "👋 {user} kümmert sich bereits darum.",
+  ticketClaimed: "👋 {user} kümmert sich darum. Eskalation gestoppt.",
+
+  // === CLAIMS ===
+  ticketClaimedBy: "👋 {user} hat dieses Ticket übernommen und kümmert sich darum.",
+  ticketUnclaimed: "↩️ {user} hat dieses Ticket freigegeben.",
+  ticketTransferred: "🔀 {from} hat dieses Ticket an {to} übergeben.",
+  claimAlreadyYours: "❌ Du hast dieses Ticket bereits übernommen.",
+  claimTakenBy: "❌ Dieses Ticket wurde bereits von {user} übernommen. Benutze /transfer, um es zu übergeben.",
+  unclaimNotClaimed: "❌ Dieses Ticket hat niemand übernommen.",
+  transferNotStaff: "❌ {user} gehört nicht zum Team.",
+  transferSameUser: "❌ {user} ist bereits für dieses Ticket zuständig.",
+  staffInactiveTitle: "⏰ Warten auf das Team",
+  staffInactiveDescription: "{assignee}, {creator} wartet seit {duration} auf deine Antwort.",
+  staffInactiveFooter: "Antworte in diesem Ticket oder übergib es mit /transfer",
+
+  // === /NOTIFICATIONS ===
+  notificationsStatus: "🔔 **Erinnerungs-DMs:** {status}",
+  notificationsUpdated: "🔔 **Erinnerungs-DMs geändert:** {status}",
+  notificationsOn: "an — Erinnerungen zu deinen Tickets bekommst du auch per DM (wenn der Server das aktiviert hat)",
+  notificationsOff: "aus — du bekommst Erinnerungen nur im Ticket-Kanal",
+
+  // === REMINDER BUTTONS ===
+  buttonOnlyParticipants: "❌ Nur der Ticket-Ersteller und die Teilnehmer können diese Buttons benutzen.",
+  ticketAlreadyClosing: "🔒 Dieses Ticket wird bereits geschlossen.",
+  ticketClosed: "🔐 Dieses Ticket ist geschlossen. Der Timer läuft weiter, sobald es wieder geöffnet wird.",
+  stillNeedsHelp: "🙋 {user} braucht noch Hilfe. Unser Team meldet sich hier bald bei dir.",
+  issueSolvedTitle: "✅ Problem gelöst",
+  issueSolvedDescription: "{staffRoles}\n\n{user} hat dieses Ticket als gelöst markiert.\n\nBitte **schließt** dieses Ticket.",
+  noRemindersPending: "⏸️ Im Moment stehen keine Erinnerungen aus.",
+  snoozeLimitReached: "❌ Erinnerungen können nur {max} Mal pausiert werden.",
+  remindersSnoozed: "😴 Erinnerungen für {duration} pausiert.",
+  remindersSnoozedNext: "😴 Erinnerungen für {duration} pausiert. Nächste Erinnerung {time}.",
+
+  // === COMMANDS ===
+  notAuthorized: "❌ Du bist nicht berechtigt, diesen Befehl zu benutzen.",
+  needManageServer: "❌ Du brauchst die Berechtigung „Server verwalten“, um den Bot zu konfigurieren.",
+  noTicketData: "❌ In diesem Kanal wurden keine Ticketdaten gefunden.",
+  noTicketDataAssignFirst: "❌ Keine Ticketdaten gefunden. Bitte lege zuerst einen Ersteller fest.",
+  noTicketFound: "❌ Keine Ticketdaten gefunden.",
+  timerNothingToStop: "⏹️ Es läuft kein Timer, der gestoppt werden kann.",
+  timerStopped: "⏹️ **Timer sofort gestoppt.**",
+  timerRestartedReminder: "🔄 **Timer sofort neu gestartet.** Die erste Erinnerung wird in {duration} gesendet.",
+  timerRestartedAlert: "🔄 **Timer sofort neu gestartet.** Das Team wird in {duration} benachrichtigt.",
+  ticketReset: "🔄 **Ticket erfolgreich zurückgesetzt!**\n\n• Erinnerungen: 0\n• Timer: Gestoppt\n• Ersteller: Unverändert\n\nDas Team kann den Timer jetzt neu starten.",
+
+  // === /TIMER STATUS ===
+  statusStarting: "⏱️ **Timer-Status:** Startet\n\n⏳ Der Timer startet {time}.",
+  statusClosed: "⏱️ **Timer-Status:** Geschlossen\n\n🔐 Der Ticket-Bot hat dieses Ticket {time} geschlossen. Der Timer ist pausiert und läuft weiter, sobald das Ticket wieder geöffnet wird.",
+  statusClosing: "⏱️ **Timer-Status:** Wird geschlossen\n\n🔒 Dieses Ticket wurde automatisch geschlossen. Der Kanal wird {time} gelöscht.",
+  statusInactive: "⏱️ **Timer-Status:** Inaktiv\n\n❌ Der Timer läuft gerade nicht.",
+  statusTitle: "⏱️ Timer-Status",
+  statusActive: "✅ Aktiv",
+  statusAlerted: "⚠️ Team benachrichtigt",
+  statusLabelStatus: "Status",
+  statusLabelElapsed: "Vergangene Zeit",
+  statusLabelBusinessElapsed: "Vergangene Geschäftszeit",
+  statusLabelReminders: "Gesendete Erinnerungen",
+  statusReminderCount: "{count} von {total}",
+  statusLabelNextEvent: "Nächstes Ereignis",
+  statusLabelCreator: "Ersteller",
+  statusLabelParticipants: "Teilnehmer",
+  statusLabelAssignee: "Zuständig",
+  statusLabelType: "Typ",
+  statusUnassigned: "Nicht übernommen",
+  statusNone: "Keines",
+  statusFooter: "Das Team wird nach {duration} benachrichtigt",
+  eventTimerStart: "⏳ Timer-Start",
+  eventReminder: "🔔 Erinnerung {number}",
+  eventStaffAlert: "⚠️ Team-Alarm",
+  eventStaffInactivity: "⏰ Antwort des Zuständigen fällig",
+  eventAutoCloseDelete: "🗑️ Kanal-Löschung",
+  eventTicketPurge: "🗑️ Datenlöschung",
+  eventEscalation: "⏫ Eskalationsstufe {number}",
+
+  // === /CREATOR ===
+  creatorNotAssigned: "❌ Noch kein Ersteller festgelegt.",
+  creatorTitle: "🎫 Ticket-Ersteller",
+  creatorDescription: "**Ersteller:** {creator}\n**Benutzer-ID:** {userId}",
+  creatorFooter: "Mit /creator assign kannst du ihn ändern, falls er falsch ist",
+  creatorUserRequired: "❌ Du musst einen Benutzer angeben.",
+  creatorAssigned: "✅ **Ticket-Ersteller manuell festgelegt auf** {user}",
+  creatorDetectTitle: "🔍 Ersteller-Erkennung",
+  creatorDetectNothing: "nichts gefunden",
+  creatorDetectParticipants: "Teilnehmer: {participants}",
+  creatorDetectResult: "**Ergebnis:** {creator} (über `{adapter}`)",
+  creatorDetectNoResult: "**Ergebnis:** Keiner der aktivierten Adapter hat einen Ersteller gefunden. Nutze stattdessen /creator assign.",
+  creatorDetectStored: "**Gespeicherter Ersteller:** {creator}",
+  creatorDetectApplied: "✅ {creator} ist jetzt der Ticket-Ersteller.",
+  creatorDetectFooter: "Nummerierte Adapter sind aktiviert, in dieser Reihenfolge (/config detection) • ➖ deaktiviert",
+
+  // === /PARTICIPANT ===
+  participantsTitle: "👥 Ticket-Teilnehmer",
+  participantsFooter: "Der Timer wird durch Antworten von {rule} pausiert",
+  participantIsCreator: "❌ {user} ist der Ticket-Ersteller. Benutze /creator assign, um den Ersteller zu ändern.",
+  participantIsBot: "❌ Bots können keine Ticket-Teilnehmer sein.",
+  participantAdded: "✅ {user} als **{role}** hinzugefügt.",
+  participantRemoved: "✅ {user} wurde aus diesem Ticket entfernt.",
+  participantNotFound: "❌ {user} ist kein Teilnehmer dieses Tickets.",
+  roleCreator: "Ersteller",
+  roleParticipant: "Teilnehmer",
+  roleWatcher: "Beobachter",
+  pauseRuleCreator: "nur dem Ersteller",
+  pauseRuleResponsible: "dem Ersteller und den Teilnehmern",
+  pauseRuleAnyone: "allen im Ticket, auch Beobachtern",
+
+  // === DURATIONS ===
+  durationLessThanMinute: "weniger als einer Minute",
+  durationHour: "{count} Stunde",
+  durationHours: "{count} Stunden",
+  durationMinute: "{count} Minute",
+  durationMinutes: "{count} Minuten",
+  durationBusinessTime: "{duration} Geschäftszeit"
+};
@@ -0,0 +1,155 @@
+// English message catalog. Also the fallback for keys missing in other locales.
+// Placeholders are written as {name}; see lib/i18n.js.
+export default {
+  // === REMINDERS ===
+  reminderTitle: "🔔 Ticket Reminder",
+  reminderDescription: "{mentions}, please respond to this ticket.\n\n• If you have any questions or need help, reply here or press **Still need help**\n• If your issue is solved, press **Issue solved**\n• If we don't hear from you within {remaining}, our team may close this ticket",
+  reminderFooter: "Reminder {reminderNumber} of {total} • Next reminder in {next}",
+  finalReminderTitle: "🔔 Final Ticket Reminder ⚠️",
+  finalReminderDescription: "{mentions}, please respond to this ticket immediately.\n\n• If you have any questions or need help, reply now or press **Still need help**\n• If your issue is solved, press **Issue solved**\n• ⚠️ This is your last chance - our team will close this ticket in {remaining} if you don't respond",
+  finalReminderFooter: "Reminder {reminderNumber} of {total} • Final warning - {remaining} remaining",
+  buttonStillNeedHelp: "Still need help",
+  buttonIssueSolved: "Issue solved",
+  buttonSnooze: "Snooze {duration}",
+  reminderDmDescription: "Your ticket {channel} in **{guild}** is waiting for your reply.\n\nIf we don't hear from you within {remaining}, our team may close it. Open the ticket to reply or to use the reminder buttons.",
+  reminderDmFooter: "Don't want these DMs? Use /notifications in the server",
+  buttonOpenTicket: "Open ticket",
+
+  // === STAFF ALERT ===
+  staffAlertTitle: "⏰ {alertAfter} Inactivity Alert",
+  staffAlertDescription: "{staffRoles}\n\n🚨 **No response from** {mentions} **for {remaining}.**\n\nPlease **close and delete** this ticket manually.",
+  staffAlertFooter: "Ticket has been inactive for {remaining}",
+
+  // === AUTO-CLOSE ===
+  autoCloseTitle: "🔒 Ticket Closed",
+  autoCloseInactiveDescription: "{creator}, this ticket has been closed because there was no response for {remaining}.\n\n• This channel will be deleted in {gracePeriod}\n• Staff can cancel the auto-close with the button below",
+  autoCloseInactiveFooter: "Closed automatically due to inactivity",
+  autoCloseSolvedDescription: "{creator} marked this ticket as solved, so it has been closed.\n\n• This channel will be deleted in {gracePeriod}\n• Staff can cancel the auto-close with the button below",
+  autoCloseSolvedFooter: "Closed automatically - issue solved",
+  buttonCancelAutoClose: "Cancel auto-close",
+  autoCloseOnlyStaff: "❌ Only staff can cancel the auto-close.",
+  autoCloseCancelledTitle: "✅ Auto-close Cancelled",
+  autoCloseCancelledDescription: "{user} cancelled the auto-close. {creator} can reply again.\n\nThe timer is stopped until staff send a message.",
+
+  // === ESCALATION ===
+  escalationTitle: "⏫ Escalation Level {level}",
+  escalationDescription: "🚨 **No response from** {mentions} **for {inactiveFor}** and nobody has picked up the staff alert.\n\nPress **I'm on it** to take over this ticket and stop further escalation.",
+  escalationFooter: "Escalates further until someone claims the ticket",
+  escalationDmTitle: "⏫ A ticket needs attention",
+  escalationDmDescription: "A ticket in **{guild}** has had no response for {inactiveFor} and nobody has picked it up yet: {channel}\n\nOpen it and press **I'm on it** to take over.",
+  buttonClaim: "I'm on it",
+  claimOnlyStaff: "❌ Only staff can claim tickets.",
+  ticketAlreadyClaimed: "👋 {user} is already on it.",
+  ticketClaimed: "👋 {user} is on it. Escalation stopped.",
+
+  // === CLAIMS ===
+  ticketClaimedBy: "👋 {user} claimed this ticket and will take care of it.",
+  ticketUnclaimed: "↩️ {user} unclaimed this ticket.",
+  ticketTransferred: "🔀 {from} handed this ticket over to {to}.",
+  claimAlreadyYours: "❌ You already claimed this ticket.",
+  claimTakenBy: "❌ This ticket is already claimed by {user}. Use /transfer to hand it over.",
+  unclaimNotClaimed: "❌ This ticket isn't claimed.",
+  transferNotStaff: "❌ {user} is not a staff member.",
+  transferSameUser: "❌ {user} is already assigned to this ticket.",
+  staffInactiveTitle: "⏰ Waiting for Staff",
+  staffInactiveDescription: "{assignee}, {creator} has been waiting for your reply for {duration}.",
+  staffInactiveFooter: "Reply in this ticket or hand it over with /transfer",
+
+  // === /NOTIFICATIONS ===
+  notificationsStatus: "🔔 **Reminder DMs:** {status}",
+  notificationsUpdated: "🔔 **Reminder DMs updated:** {status}",
+  notificationsOn: "on — reminders for your tickets are also sent to you by DM (where the server enabled it)",
+  notificationsOff: "off — you only get reminders in the ticket channel",
+
+  // === REMINDER BUTTONS ===
+  buttonOnlyParticipants: "❌ Only the ticket creator and participants can use these buttons.",
+  ticketAlreadyClosing: "🔒 This ticket is already being closed.",
+  ticketClosed: "🔐 This ticket is closed. Its timer resumes if the ticket is reopened.",
+  stillNeedsHelp: "🙋 {user} still needs help. Our team will get back to you here soon.",
+  issueSolvedTitle: "✅ Issue Solved",
+  issueSolvedDescription: "{staffRoles}\n\n{user} marked this ticket as solved.\n\nPlease **close** this ticket.",
+  noRemindersPending: "⏸️ No reminders are pending right now.",
+  snoozeLimitReached: "❌ Reminders can only be snoozed {max} time(s).",
+  remindersSnoozed: "😴 Reminders snoozed for {duration}.",
+  remindersSnoozedNext: "😴 Reminders snoozed for {duration}. Next reminder {time}.",
+
+  // === COMMANDS ===
+  notAuthorized: "❌ You are not authorized to use this command.",
+  needManageServer: "❌ You need the Manage Server permission to configure the bot.",
+  noTicketData: "❌ No ticket data found in this channel.",
+  noTicketDataAssignFirst: "❌ No ticket data found. Please assign a creator first.",
+  noTicketFound: "❌ No ticket data found.",
+  timerNothingToStop: "⏹️ No active timer to stop.",
+  timerStopped: "⏹️ **Timer stopped immediately.**",
+  timerRestartedReminder: "🔄 **Timer restarted immediately.** First reminder will be sent in {duration}.",
+  timerRestartedAlert: "🔄 **Timer restarted immediately.** Staff will be alerted in {duration}.",
+  ticketReset: "🔄 **Ticket reset successfully!**\n\n• Reminder count: 0\n• Timer: Stopped\n• Creator: Unchanged\n\nStaff can now restart the timer.",
+
+  // === /TIMER STATUS ===
+  statusStarting: "⏱️ **Timer Status:** Starting\n\n⏳ Timer starts {time}.",
+  statusClosed: "⏱️ **Timer Status:** Closed\n\n🔐 The ticket bot closed this ticket {time}. The timer is paused and resumes if the ticket is reopened.",
+  statusClosing: "⏱️ **Timer Status:** Closing\n\n🔒 This ticket was auto-closed. The channel will be deleted {time}.",
+  statusInactive: "⏱️ **Timer Status:** Inactive\n\n❌ Timer is not currently running.",
+  statusTitle: "⏱️ Timer Status",
+  statusActive: "✅ Active",
+  statusAlerted: "⚠️ Staff alerted",
+  statusLabelStatus: "Status",
+  statusLabelElapsed: "Time Elapsed",
+  statusLabelBusinessElapsed: "Business Time Elapsed",
+  statusLabelReminders: "Reminders Sent",
+  statusReminderCount: "{count} of {total}",
+  statusLabelNextEvent: "Next Event",
+  statusLabelCreator: "Creator",
+  statusLabelParticipants: "Participants",
+  statusLabelAssignee: "Assignee",
+  statusLabelType: "Type",
+  statusUnassigned: "Unclaimed",
+  statusNone: "None",
+  statusFooter: "Staff alert will trigger at {duration}",
+  eventTimerStart: "⏳ Timer start",
+  eventReminder: "🔔 Reminder {number}",
+  eventStaffAlert: "⚠️ Staff alert",
+  eventStaffInactivity: "⏰ Assignee reply due",
+  eventAutoCloseDelete: "🗑️ Channel deletion",
+  eventTicketPurge: "🗑️ Data purge",
+  eventEscalation: "⏫ Escalation level {number}",
+
+  // === /CREATOR ===
+  creatorNotAssigned: "❌ No creator assigned yet.",
+  creatorTitle: "🎫 Ticket Creator",
+  creatorDescription: "**Creator:** {creator}\n**User ID:** {userId}",
+  creatorFooter: "Use /creator assign to change if incorrect",
+  creatorUserRequired: "❌ You must provide a user to assign.",
+  creatorAssigned: "✅ **Ticket creator manually assigned to** {user}",
+  creatorDetectTitle: "🔍 Creator Detection",
+  creatorDetectNothing: "nothing found",
+  creatorDetectParticipants: "participants: {participants}",
+  creatorDetectResult: "**Result:** {creator} (via `{adapter}`)",
+  creatorDetectNoResult: "**Result:** none of the enabled adapters found a creator. Use /creator assign instead.",
+  creatorDetectStored: "**Stored creator:** {creator}",
+  creatorDetectApplied: "✅ {creator} is now the ticket creator.",
+  creatorDetectFooter: "Numbered adapters are enabled, in that order (/config detection) • ➖ disabled",
+
+  // === /PARTICIPANT ===
+  participantsTitle: "👥 Ticket Participants",
+  participantsFooter: "Timer is paused by replies from {rule}",
+  participantIsCreator: "❌ {user} is the ticket creator. Use /creator assign to change the creator.",
+  participantIsBot: "❌ Bots can't be ticket participants.",
+  participantAdded: "✅ {user} added as **{role}**.",
+  participantRemoved: "✅ {user} removed from this ticket.",
+  participantNotFound: "❌ {user} is not a participant of this ticket.",
+  roleCreator: "Creator",
+  roleParticipant: "Participant",
+  roleWatcher: "Watcher",
+  pauseRuleCreator: "only the creator",
+  pauseRuleResponsible: "the creator and participants",
+  pauseRuleAnyone: "anyone on the ticket, watchers included",
+
+  // === DURATIONS ===
+  durationLessThanMinute: "less than a minute",
+  durationHour: "{count} hour",
+  durationHours: "{count} hours",
+  durationMinute: "{count} minute",
+  durationMinutes: "{count} minutes",
+  durationBusinessTime: "{duration} of business time"
+};
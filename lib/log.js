@@ -0,0 +1,16 @@
+import { getGuildConfig } from "./guildConfig.js";
+
+// --- LOG HELPER ---
+export async function log(message, guild) {
+  const config = await getGuildConfig(guild.id).catch(() => null);
+  if (!config?.logChannelId) return;
+
+  const channel = guild.channels.cache.get(config.logChannelId);
+  if (!channel) {
+    console.warn(`⚠️ Log channel ${config.logChannelId} not found in guild ${guild.id}`);
+    return;
+  }
+  channel.send(message).catch(error => {
+    console.warn(`⚠️ Couldn't post to log channel in guild ${guild.id}: ${error.message}`);
+  });
+}
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import { storage, getStorageType, isStorageConnected } from "./storage.js";
+import { TIMER_JOBS } from "./lifecycle.js";
+
+// Minimal Prometheus text-format registry. Counters live in memory and reset
+// on restart (Prometheus handles that); gauges are read when /metrics is scraped.
+const PREFIX = "ticket_helper_";
+const counters = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatMetric(name, type, help, samples) {
+  return [
+    `# HELP ${PREFIX}${name} ${help}`,
+    `# TYPE ${PREFIX}${name} ${type}`,
+    ...samples.map(({ labels = {}, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+  ].join("\n");
+}
+
+// --- COUNTERS ---
+// Unlabelled counters start at 0; labelled ones appear once incremented
+function createCounter(name, help, { labelled = false } = {}) {
+  const values = new Map(labelled ? [] : [["{}", { labels: {}, value: 0 }]]);
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labels);
+      const sample = values.get(key) ?? { labels, value: 0 };
+      sample.value += amount;
+      values.set(key, sample);
+    },
+    render: () => formatMetric(name, "counter", help, [...values.values()])
+  };
+  counters.push(counter);
+  return counter;
+}
+
+export const remindersSent = createCounter("reminders_sent_total", "Reminders sent, by reminder number", { labelled: true });
+export const staffAlerts = createCounter("staff_alerts_total", "Staff alerts fired (including auto-closes)");
+export const escalations = createCounter("escalations_total", "Escalation levels sent after the staff alert, by level", { labelled: true });
+export const creatorStops = createCounter("creator_reply_timer_stops_total", "Creator or participant replies that stopped a running timer");
+export const commandInvocations = createCounter("command_invocations_total", "Slash command invocations, by command and outcome", { labelled: true });
+export const handlerErrors = createCounter("handler_errors_total", "Uncaught errors in Discord event handlers, by event", { labelled: true });
+
+// --- INSTRUMENTATION HELPERS ---
+// Wraps a Discord event listener so errors are logged and counted instead of
+// becoming unhandled rejections
+export function trackErrors(event, listener) {
+  return async (...args) => {
+    try {
+      await listener(...args);
+    } catch (error) {
+      handlerErrors.inc({ event });
+      console.error(`❌ ${event} handler failed:`, error);
+    }
+  };
+}
+
+// Runs a command handler and counts it. Handlers return "denied" when the
+// user wasn't allowed to run the command; thrown errors are passed on.
+export async function trackCommand(command, handler) {
+  let outcome = "success";
+  try {
+    if ((await handler()) === "denied") outcome = "denied";
+  } catch (error) {
+    outcome = "error";
+    throw error;
+  } finally {
+    commandInvocations.inc({ command, outcome });
+  }
+}
+
+// --- GAUGES ---
+// Database gauges are skipped while the storage is unreachable, so the scrape
+// still reports the connection state
+async function collectGauges(client) {
+  const gauges = [];
+  if (getStorageType() === "mongodb") {
+    gauges.push(formatMetric("mongodb_connection_state", "gauge", "Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)", [
+      { value: mongoose.connection.readyState }
+    ]));
+  }
+
+  if (client.ws.ping >= 0) {
+    gauges.push(formatMetric("gateway_ping_seconds", "gauge", "Discord gateway heartbeat latency", [{ value: client.ws.ping / 1000 }]));
+  }
+
+  if (isStorageConnected()) {
+    try {
+      const [tickets, timerChannels, pendingJobs] = await Promise.all([
+        storage.tickets.count(),
+        storage.jobs.distinct("channelId", { status: "pending", type: { $in: TIMER_JOBS } }),
+        storage.jobs.countBy("type", { status: "pending" })
+      ]);
+      gauges.push(
+        formatMetric("tickets_tracked", "gauge", "Tickets stored in the database", [{ value: tickets }]),
+        formatMetric("active_timers", "gauge", "Tickets with a pending timer start, reminder, staff alert or escalation", [{ value: timerChannels.length }]),
+        formatMetric("pending_jobs", "gauge", "Pending scheduled jobs, by job type", [...pendingJobs].map(([type, count]) => ({ labels: { type }, value: count })))
+      );
+    } catch (error) {
+      console.warn(`⚠️ Couldn't collect database metrics: ${error.message}`);
+    }
+  }
+  return gauges;
+}
+
+// --- RENDER ---
+export async function renderMetrics(client) {
+  const gauges = await collectGauges(client);
+  return `${[...gauges, ...counters.map(counter => counter.render())].join("\n")}\n`;
+}
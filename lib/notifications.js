@@ -0,0 +1,50 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { storage } from "./storage.js";
+import { log } from "./log.js";
+import { t } from "./i18n.js";
+
+// --- PREFERENCES ---
+export async function getNotificationPreferences(userId) {
+  const doc = await storage.notificationPreferences.findOne({ userId });
+  return { dmReminders: doc?.dmReminders ?? true };
+}
+
+export async function setDmReminders(userId, enabled) {
+  await storage.notificationPreferences.updateOne(
+    { userId },
+    { $set: { dmReminders: enabled, updatedAt: Date.now() } },
+    { upsert: true }
+  );
+}
+
+// --- REMINDER DM ---
+// Copy of a reminder for the creator, with a link back to the ticket (the
+// reminder buttons only work in the channel). Never throws; returns what
+// happened so it can be recorded with the reminder:
+// "sent", "opted_out" or "failed" (DMs closed, reminder stays channel-only).
+export async function sendReminderDm(channel, ticket, { title, locale, vars }) {
+  try {
+    const { dmReminders } = await getNotificationPreferences(ticket.creatorId);
+    if (!dmReminders) return "opted_out";
+
+    const embed = new EmbedBuilder()
+      .setColor("Yellow")
+      .setTitle(title)
+      .setDescription(t(locale, "reminderDmDescription", { ...vars, guild: channel.guild.name, channel: `${channel}` }))
+      .setFooter({ text: t(locale, "reminderDmFooter") })
+      .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setLabel(t(locale, "buttonOpenTicket"))
+        .setStyle(ButtonStyle.Link)
+        .setURL(channel.url)
+    );
+
+    await channel.client.users.send(ticket.creatorId, { embeds: [embed], components: [row] });
+    return "sent";
+  } catch (error) {
+    log(`⚠️ Couldn't DM reminder to <@${ticket.creatorId}> for ${channel} (${error.message}); posted in the ticket only`, channel.guild);
+    return "failed";
+  }
+}
@@ -0,0 +1,88 @@
+import { storage } from "./storage.js";
+import { getGuildConfig, resolveTicketConfig } from "./guildConfig.js";
+import { resolveSchedule, getReminderOffsets } from "./schedule.js";
+
+// Data behind /tickets: every tracked ticket of a guild with its state and
+// next scheduled action, filtered and sorted for triage.
+
+// A ticket can match several filters (e.g. alerted and waiting on staff)
+export const TICKET_FILTERS = {
+  all: { label: "All tickets", matches: () => true },
+  waiting_creator: { label: "Waiting on creator", matches: ticket => ticket.state === "starting" || ticket.state === "running" },
+  waiting_staff: { label: "Waiting on staff", matches: ticket => ticket.awaitingStaffSince !== null },
+  alerted: { label: "Staff alerted", matches: ticket => ticket.state === "alerted" },
+  stopped: { label: "Stopped", matches: ticket => ticket.state === "stopped" },
+  closed: { label: "Closed", matches: ticket => ticket.state === "closed" }
+};
+
+// Tickets without the sort value (e.g. no next action) go last
+export const TICKET_SORTS = {
+  waiting: { label: "Longest waiting", value: ticket => ticket.waitingSince, order: 1 },
+  next_action: { label: "Next action", value: ticket => ticket.nextAction?.runAt, order: 1 },
+  reminders: { label: "Most reminders", value: ticket => ticket.reminderCount, order: -1 },
+  newest: { label: "Newest", value: ticket => ticket.createdAt, order: -1 }
+};
+
+function getState(ticket, nextAction) {
+  if (ticket.closedAt) return "closed";
+  if (ticket.autoClose) return "closing";
+  if (ticket.timerStartTime) return ticket.alertedAt ? "alerted" : "running";
+  return nextAction?.type === "timer-start" ? "starting" : "stopped";
+}
+
+function compare(sort) {
+  const { value, order } = TICKET_SORTS[sort];
+  return (a, b) => {
+    const [x, y] = [value(a), value(b)];
+    if (x == null || y == null) return (x == null) - (y == null);
+    return (x - y) * order;
+  };
+}
+
+// --- OVERVIEW ---
+// Loads all tickets of the guild and their pending jobs in two queries
+export async function getTicketOverview(guildId, { filter = "all", sort = "waiting", page = 0, pageSize = 10 } = {}) {
+  const config = await getGuildConfig(guildId);
+  const tickets = await storage.tickets.find({ guildId });
+  const jobs = await storage.jobs.find(
+    { channelId: { $in: tickets.map(ticket => ticket.channelId) }, status: "pending" },
+    { sort: { runAt: 1 } }
+  );
+
+  const nextActions = new Map();
+  for (const job of jobs) {
+    if (!nextActions.has(job.channelId)) {
+      nextActions.set(job.channelId, { type: job.type, runAt: job.runAt, number: job.payload?.number ?? null });
+    }
+  }
+
+  const entries = tickets.map(ticket => {
+    const nextAction = nextActions.get(ticket.channelId) ?? null;
+    return {
+      channelId: ticket.channelId,
+      creatorId: ticket.creatorId,
+      type: ticket.type ?? null,
+      claimedBy: ticket.claimedBy ?? null,
+      state: getState(ticket, nextAction),
+      timerStartTime: ticket.timerStartTime,
+      awaitingStaffSince: ticket.awaitingStaffSince ?? null,
+      // Whoever owes a reply has been doing so since then
+      waitingSince: ticket.awaitingStaffSince ?? ticket.timerStartTime,
+      reminderCount: ticket.reminderCount,
+      reminderTotal: getReminderOffsets(resolveSchedule(resolveTicketConfig(config, ticket.type).schedule, ticket.schedule)).length,
+      nextAction,
+      createdAt: ticket._id.getTimestamp().getTime()
+    };
+  });
+
+  const matching = entries.filter(TICKET_FILTERS[filter].matches).sort(compare(sort));
+  const pages = Math.max(Math.ceil(matching.length / pageSize), 1);
+  page = Math.min(Math.max(page, 0), pages - 1);
+
+  return {
+    tickets: matching.slice(page * pageSize, (page + 1) * pageSize),
+    total: matching.length,
+    page,
+    pages
+  };
+}
@@ -0,0 +1,91 @@
+import { recordEvent } from "./events.js";
+
+// --- ROLES ---
+// creator: the user who opened the ticket (`ticket.creatorId`)
+// participant: shares responsibility, e.g. a teammate or a reported party
+// watcher: follows along, never pinged and only pauses the timer on "anyone"
+export const PARTICIPANT_ROLES = {
+  creator: { emoji: "🎫", label: "Creator" },
+  participant: { emoji: "👥", label: "Participant" },
+  watcher: { emoji: "👀", label: "Watcher" }
+};
+
+export const PAUSE_RULES = {
+  creator: "only the creator",
+  responsible: "the creator and participants",
+  anyone: "anyone on the ticket, watchers included"
+};
+
+// --- LOOKUPS ---
+// Creator first, then everyone else in the order they were added
+export function getParticipants(ticket) {
+  return [
+    { userId: ticket.creatorId, role: "creator", addedBy: null },
+    ...(ticket.participants || []).filter(p => p.userId !== ticket.creatorId)
+  ];
+}
+
+export function getParticipantRole(ticket, userId) {
+  return getParticipants(ticket).find(p => p.userId === userId)?.role ?? null;
+}
+
+// Users that reminders are addressed to
+export function getResponsibleIds(ticket) {
+  return getParticipants(ticket)
+    .filter(p => p.role !== "watcher")
+    .map(p => p.userId);
+}
+
+export function formatMentions(userIds) {
+  return userIds.map(id => `<@${id}>`).join(" ");
+}
+
+// --- PAUSE RULE ---
+// Whether a message from `userId` counts as a reply that stops the timer
+export function pausesTimer(ticket, userId, rule) {
+  const role = getParticipantRole(ticket, userId);
+  if (!role) return false;
+  if (rule === "creator") return role === "creator";
+  if (rule === "responsible") return role !== "watcher";
+  return true;
+}
+
+// Reply event for stats/history: creator replies keep their own type
+export function replyEventType(ticket, userId) {
+  return userId === ticket.creatorId ? "creator_replied" : "participant_replied";
+}
+
+// --- ADD / REMOVE ---
+// Adding someone who is already on the ticket changes their role
+export async function addParticipant(guild, ticket, userId, role, { actorId = null } = {}) {
+  const existing = ticket.participants.find(p => p.userId === userId);
+  if (existing) {
+    existing.role = role;
+  } else {
+    ticket.participants.push({ userId, role, addedBy: actorId });
+  }
+  await ticket.save();
+
+  recordEvent(guild, {
+    type: "participant_added",
+    channelId: ticket.channelId,
+    actorId,
+    metadata: { userId, role }
+  });
+}
+
+export async function removeParticipant(guild, ticket, userId, { actorId = null } = {}) {
+  const existing = ticket.participants.find(p => p.userId === userId);
+  if (!existing) return false;
+
+  ticket.participants = ticket.participants.filter(p => p.userId !== userId);
+  await ticket.save();
+
+  recordEvent(guild, {
+    type: "participant_removed",
+    channelId: ticket.channelId,
+    actorId,
+    metadata: { userId, role: existing.role }
+  });
+  return true;
+}
@@ -0,0 +1,118 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Matches the behaviour the bot always had: 10 min start delay,
+// a reminder every 6h (3 max) and the staff alert at 24h
+export const DEFAULT_SCHEDULE = {
+  startDelay: 10 * MINUTE,
+  reminderOffsets: [6 * HOUR, 12 * HOUR, 18 * HOUR],
+  maxReminders: 3,
+  alertOffset: 24 * HOUR
+};
+
+// --- RESOLVE SCHEDULE ---
+// Later layers win; unset fields (null/undefined/empty list) are inherited
+export function resolveSchedule(...layers) {
+  const schedule = { ...DEFAULT_SCHEDULE };
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.startDelay != null) schedule.startDelay = layer.startDelay;
+    if (layer.reminderOffsets?.length) schedule.reminderOffsets = [...layer.reminderOffsets];
+    if (layer.maxReminders != null) schedule.maxReminders = layer.maxReminders;
+    if (layer.alertOffset != null) schedule.alertOffset = layer.alertOffset;
+  }
+  return schedule;
+}
+
+// --- REMINDER OFFSETS ---
+// Offsets from the timer start, capped at maxReminders. If maxReminders is
+// larger than the list, the last gap keeps repeating.
+export function getReminderOffsets(schedule) {
+  const offsets = schedule.reminderOffsets.slice(0, schedule.maxReminders);
+  const base = schedule.reminderOffsets;
+  const lastGap = base.length > 1 ? base[base.length - 1] - base[base.length - 2] : base[0];
+
+  while (offsets.length < schedule.maxReminders) {
+    offsets.push(offsets[offsets.length - 1] + lastGap);
+  }
+  return offsets;
+}
+
+// --- VALIDATE SCHEDULE ---
+// Returns an error message, or null if the schedule is usable
+export function validateSchedule(schedule) {
+  const offsets = getReminderOffsets(schedule);
+  if (schedule.startDelay < 0) return "Start delay can't be negative.";
+  if (schedule.maxReminders < 0) return "Max reminders can't be negative.";
+  if (offsets.some(offset => offset <= 0)) return "Reminder times must be greater than zero.";
+  if (offsets.some((offset, i) => i > 0 && offset <= offsets[i - 1])) {
+    return "Reminder times must be in increasing order.";
+  }
+  if (offsets.length && schedule.alertOffset <= offsets[offsets.length - 1]) {
+    return "The staff alert must come after the last reminder.";
+  }
+  if (schedule.alertOffset <= 0) return "The staff alert time must be greater than zero.";
+  return null;
+}
+
+// --- PARSE DURATION ---
+// Accepts things like "10m", "6h", "1d", "1h30m". Returns ms or null.
+export function parseDuration(input) {
+  const match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/i.exec(String(input).replace(/\s+/g, ""));
+  if (!match || !match.slice(1).some(Boolean)) return null;
+
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return Number(days) * DAY + Number(hours) * HOUR + Number(minutes) * MINUTE;
+}
+
+// --- FORMAT DURATION ---
+export function formatDuration(ms) {
+  if (ms < MINUTE) return "less than a minute";
+
+  const hours = Math.floor(ms / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+  const parts = [];
+  if (hours) parts.push(`${hours} hour${hours === 1 ? "" : "s"}`);
+  if (minutes) parts.push(`${minutes} minute${minutes === 1 ? "" : "s"}`);
+  return parts.join(" ");
+}
+
+// --- PARSE SCHEDULE INPUT ---
+// Turns raw command options into schedule fields. Only provided options are
+// returned so the result can be layered over an existing schedule.
+export function parseScheduleInput({ startDelay, reminders, maxReminders, alertAfter }) {
+  const values = {};
+
+  if (startDelay != null) {
+    values.startDelay = /^0+$/.test(startDelay.trim()) ? 0 : parseDuration(startDelay);
+    if (values.startDelay == null) return { error: `Invalid start delay \`${startDelay}\`. Use e.g. 10m, 6h or 1d.` };
+  }
+
+  if (reminders != null) {
+    const offsets = reminders.split(",").map(part => parseDuration(part));
+    if (offsets.some(offset => offset == null)) {
+      return { error: `Invalid reminder times \`${reminders}\`. Use a comma separated list, e.g. 6h,12h,18h.` };
+    }
+    values.reminderOffsets = offsets;
+  }
+
+  if (maxReminders != null) values.maxReminders = maxReminders;
+
+  if (alertAfter != null) {
+    values.alertOffset = parseDuration(alertAfter);
+    if (values.alertOffset == null) return { error: `Invalid alert time \`${alertAfter}\`. Use e.g. 24h or 1d.` };
+  }
+
+  return { values };
+}
+
+// --- DESCRIBE SCHEDULE ---
+export function describeSchedule(schedule) {
+  const offsets = getReminderOffsets(schedule);
+  return [
+    `**Start Delay:** ${schedule.startDelay ? formatDuration(schedule.startDelay) : "None"}`,
+    `**Reminders:** ${offsets.length ? offsets.map(formatDuration).join(", ") : "None"}`,
+    `**Staff Alert:** ${formatDuration(schedule.alertOffset)}`
+  ].join("\n");
+}
@@ -0,0 +1,145 @@
+import { storage } from "./storage.js";
+
+const POLL_INTERVAL = 5 * 1000; // how often due jobs are picked up
+const LOCK_TIMEOUT = 5 * 60 * 1000; // a running job older than this is treated as crashed
+export const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 60 * 1000; // doubled on every failed attempt
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+// Job types can get a queue of their own, so slow jobs (webhook deliveries
+// waiting on a dead endpoint) never hold up reminders and alerts. Each queue
+// claims only its own types and runs up to `concurrency` jobs at once; the
+// default queue takes everything else, one job at a time.
+const queues = new Map([["default", { types: new Set(), concurrency: 1, active: 0, claiming: false }]]);
+
+// --- REGISTER HANDLER ---
+export function registerJobHandler(type, handler, { queue = "default", concurrency = 1 } = {}) {
+  handlers.set(type, handler);
+  if (!queues.has(queue)) queues.set(queue, { types: new Set(), concurrency, active: 0, claiming: false });
+  queues.get(queue).types.add(type);
+}
+
+// --- SCHEDULE JOB ---
+// Idempotent: if a job with the same key already exists (pending, running or
+// recently finished) it is left untouched.
+export async function scheduleJob({ key, type, channelId, guildId = null, runAt, payload = {} }) {
+  try {
+    await storage.jobs.updateOne(
+      { key },
+      { $setOnInsert: { key, type, channelId, guildId, runAt, payload, status: "pending" } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts of the same key: the other one won, which is fine
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// --- CANCEL JOBS ---
+// Removes pending jobs of a channel, optionally only the given types
+export async function cancelJobs(channelId, types = null) {
+  const filter = { channelId, status: "pending" };
+  if (types) filter.type = { $in: types };
+  await storage.jobs.deleteMany(filter);
+}
+
+// --- NEXT PENDING JOB ---
+export async function getNextJob(channelId, types = null) {
+  const filter = { channelId, status: "pending" };
+  if (types) filter.type = { $in: types };
+  return storage.jobs.findOne(filter, { sort: { runAt: 1 } });
+}
+
+// --- CLAIM ---
+// Atomically flips one due job from pending to running so that only one
+// poller (or process) ever runs it
+function getQueueFilter(queue) {
+  if (queue !== queues.get("default")) return { type: { $in: [...queue.types] } };
+  const otherTypes = [...queues.values()].filter(entry => entry !== queue).flatMap(entry => [...entry.types]);
+  return otherTypes.length ? { type: { $nin: otherTypes } } : {};
+}
+
+function claimDueJob(now, queue) {
+  return storage.jobs.findOneAndUpdate(
+    { status: "pending", runAt: { $lte: now }, ...getQueueFilter(queue) },
+    { $set: { status: "running", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 } }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    await handler(job);
+    await storage.jobs.updateOne({ _id: job._id }, { $set: { status: "done", finishedAt: new Date() } });
+  } catch (error) {
+    console.error(`❌ Job ${job.key} failed (attempt ${job.attempts}):`, error);
+
+    const giveUp = job.attempts >= MAX_ATTEMPTS;
+    await storage.jobs.updateOne({ _id: job._id }, {
+      $set: giveUp
+        ? { status: "failed", lastError: error.message, finishedAt: new Date() }
+        : { status: "pending", lastError: error.message, runAt: Date.now() + RETRY_DELAY * 2 ** (job.attempts - 1) }
+    });
+  }
+}
+
+// --- POLL ---
+// Claims due jobs while the queue has free slots; every finished job tops it up again
+async function fillQueue(queue) {
+  if (queue.claiming) return;
+  queue.claiming = true;
+
+  try {
+    let job;
+    while (queue.active < queue.concurrency && (job = await claimDueJob(Date.now(), queue))) {
+      queue.active++;
+      runJob(job)
+        .catch(error => console.error(`❌ Job ${job.key} could not be finished:`, error))
+        .finally(() => {
+          queue.active--;
+          fillQueue(queue);
+        });
+    }
+  } catch (error) {
+    console.error("❌ Scheduler poll failed:", error);
+  } finally {
+    queue.claiming = false;
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    // Jobs left "running" by a crash or deploy go back in the queue
+    await storage.jobs.updateMany(
+      { status: "running", lockedAt: { $lt: Date.now() - LOCK_TIMEOUT } },
+      { $set: { status: "pending", lockedAt: null } }
+    );
+  } catch (error) {
+    console.error("❌ Scheduler poll failed:", error);
+  } finally {
+    polling = false;
+  }
+
+  for (const queue of queues.values()) fillQueue(queue);
+}
+
+// --- START / STOP ---
+export function startScheduler() {
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, POLL_INTERVAL);
+  poll();
+}
+
+export function stopScheduler() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
@@ -0,0 +1,153 @@
+import { storage } from "./storage.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Each period is shown as a breakdown of `buckets` slices of `bucket` ms
+export const STATS_PERIODS = {
+  daily: { bucket: DAY, buckets: 7, label: "Last 7 days, per day" },
+  weekly: { bucket: 7 * DAY, buckets: 4, label: "Last 4 weeks, per week" },
+  monthly: { bucket: 30 * DAY, buckets: 6, label: "Last 6 months, per 30 days" }
+};
+
+const STATS_EVENT_TYPES = [
+  "creator_stored",
+  "creator_replied",
+  "participant_replied",
+  "staff_replied",
+  "reminder_sent",
+  "staff_alert",
+  "auto_close_started"
+];
+
+function createBucket() {
+  return { ticketsOpened: 0, firstResponses: [], responses: [], remindersSent: 0, alerts: 0 };
+}
+
+// Tickets without a type (opened in a plain watched category)
+export const UNTYPED = "general";
+
+function average(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function summarize(bucket) {
+  return {
+    ticketsOpened: bucket.ticketsOpened,
+    firstResponseAvg: average(bucket.firstResponses),
+    responseAvg: average(bucket.responses),
+    responseCount: bucket.responses.length,
+    remindersSent: bucket.remindersSent,
+    alerts: bucket.alerts
+  };
+}
+
+// --- COMPUTE STATS ---
+// Pure function over events sorted by time. A staff reply that follows the
+// ticket opening or a creator/participant message counts as a response; the
+// first one per ticket is its first-response time.
+export function computeStats(events, { since, bucket, buckets }) {
+  const totals = createBucket();
+  const perBucket = Array.from({ length: buckets }, createBucket);
+  const tickets = new Map();
+  const staff = new Map();
+  const byType = {};
+
+  const getStaff = actorId => {
+    if (!staff.has(actorId)) staff.set(actorId, { staffId: actorId, replies: 0, firstResponses: 0, responses: [] });
+    return staff.get(actorId);
+  };
+
+  for (const event of events) {
+    const index = Math.min(Math.max(Math.floor((event.createdAt - since) / bucket), 0), buckets - 1);
+    const targets = [totals, perBucket[index]];
+    const state = tickets.get(event.channelId);
+
+    switch (event.type) {
+      case "creator_stored": {
+        tickets.set(event.channelId, { openedAt: event.createdAt, waitingSince: event.createdAt, responded: false });
+        targets.forEach(target => target.ticketsOpened++);
+        const type = event.metadata?.ticketType ?? UNTYPED;
+        byType[type] = (byType[type] ?? 0) + 1;
+        break;
+      }
+
+      case "creator_replied":
+      case "participant_replied":
+        if (!state) {
+          // Ticket opened before the stats window; its first response is unknown
+          tickets.set(event.channelId, { openedAt: null, waitingSince: event.createdAt, responded: true });
+        } else if (state.waitingSince == null) {
+          state.waitingSince = event.createdAt;
+        }
+        break;
+
+      case "staff_replied": {
+        const member = getStaff(event.actorId);
+        member.replies++;
+        if (state?.waitingSince == null) break;
+
+        const responseTime = event.createdAt - state.waitingSince;
+        targets.forEach(target => target.responses.push(responseTime));
+        member.responses.push(responseTime);
+        if (!state.responded) {
+          targets.forEach(target => target.firstResponses.push(responseTime));
+          member.firstResponses++;
+          state.responded = true;
+        }
+        state.waitingSince = null;
+        break;
+      }
+
+      case "reminder_sent":
+        targets.forEach(target => target.remindersSent++);
+        break;
+
+      // With auto-close on, closing replaces the staff alert
+      case "staff_alert":
+      case "auto_close_started":
+        targets.forEach(target => target.alerts++);
+        break;
+    }
+  }
+
+  return {
+    totals: summarize(totals),
+    openedByType: byType,
+    buckets: perBucket.map((entry, i) => ({ start: since + i * bucket, ...summarize(entry) })),
+    leaderboard: [...staff.values()]
+      .map(member => ({
+        staffId: member.staffId,
+        replies: member.replies,
+        firstResponses: member.firstResponses,
+        responseAvg: average(member.responses)
+      }))
+      .sort((a, b) => b.replies - a.replies)
+  };
+}
+
+// --- GET STATS ---
+// `ticketType` limits the stats to tickets of that type (UNTYPED for tickets
+// without one); the type is taken from each ticket's creator_stored event
+export async function getStats(guildId, period, now = Date.now(), { ticketType = null } = {}) {
+  const { bucket, buckets } = STATS_PERIODS[period];
+  const since = now - bucket * buckets;
+
+  const filter = { guildId, type: { $in: STATS_EVENT_TYPES }, createdAt: { $gte: since } };
+  if (ticketType) {
+    filter.channelId = {
+      $in: await storage.events.distinct("channelId", {
+        guildId,
+        type: "creator_stored",
+        "metadata.ticketType": ticketType === UNTYPED ? null : ticketType
+      })
+    };
+  }
+
+  const events = await storage.events.find(filter, {
+    select: { channelId: 1, type: 1, actorId: 1, createdAt: 1, "metadata.ticketType": 1 },
+    sort: { createdAt: 1 }
+  });
+
+  return computeStats(events, { since, bucket, buckets });
+}
@@ -0,0 +1,74 @@
+import Ticket from "../models/Ticket.js";
+import Job from "../models/Job.js";
+import TicketEvent from "../models/TicketEvent.js";
+import GuildConfig from "../models/GuildConfig.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import WebhookDeadLetter from "../models/WebhookDeadLetter.js";
+import { connectMongo } from "./storage/mongodb.js";
+import { connectMemory } from "./storage/memory.js";
+import { connectFile } from "./storage/file.js";
+
+// Everything the bot stores goes through `storage`, so MongoDB can be swapped
+// for another backend with STORAGE:
+//   mongodb  MongoDB at MONGODB_URI (default)
+//   memory   kept in the process only, lost on restart; for tests and trying the bot out
+//   file     like memory, but saved to STORAGE_FILE; for small single-process deployments
+//
+// Every collection has the same methods. Filters and updates are MongoDB
+// syntax, limited to what lib/storage/query.js supports; documents come back
+// as plain objects and changing them changes nothing until written back.
+//   find(filter, { sort, skip, limit, select })  findOne(filter, { sort, select })
+//   count(filter)  distinct(field, filter)
+//   countBy(field, filter) / maxBy(field, valueField, filter)  → Map of field value → count / max
+//   insert(doc)  updateOne(filter, update, { upsert })  updateMany(filter, update)
+//   findOneAndUpdate(filter, update, { sort, upsert })  → the updated document
+//   deleteOne(filter)  deleteMany(filter)
+export const STORAGE_TYPES = ["mongodb", "memory", "file"];
+
+const MODELS = {
+  tickets: Ticket,
+  jobs: Job,
+  events: TicketEvent,
+  guildConfigs: GuildConfig,
+  notificationPreferences: NotificationPreference,
+  webhookDeadLetters: WebhookDeadLetter
+};
+
+const BACKENDS = {
+  mongodb: connectMongo,
+  memory: connectMemory,
+  file: connectFile
+};
+
+// Filled on connect; modules read collections from it at call time
+export const storage = {};
+let backend = null;
+let backendType = null;
+
+// --- CONNECT ---
+// `uri` for mongodb, `file` for file storage
+export async function connectStorage(type = "mongodb", options = {}) {
+  if (!BACKENDS[type]) throw new Error(`Unknown storage "${type}", use one of: ${STORAGE_TYPES.join(", ")}`);
+  if (backend) await disconnectStorage();
+
+  backend = await BACKENDS[type](MODELS, options);
+  backendType = type;
+  Object.assign(storage, backend.collections);
+}
+
+export async function disconnectStorage() {
+  if (!backend) return;
+  await backend.disconnect();
+  backend = null;
+  backendType = null;
+  for (const name of Object.keys(MODELS)) delete storage[name];
+}
+
+// --- STATUS ---
+export function getStorageType() {
+  return backendType;
+}
+
+export function isStorageConnected() {
+  return backend?.isConnected() ?? false;
+}
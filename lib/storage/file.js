@@ -0,0 +1,70 @@
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import mongoose from "mongoose";
+import { connectMemory } from "./memory.js";
+
+// The memory backend, saved to one JSON file after every change and loaded
+// again on startup. Only one process may use the file; fine for small
+// deployments without a MongoDB server.
+// Extended JSON keeps Dates and ObjectIds (and with them ticket creation times).
+const { EJSON } = mongoose.mongo.BSON;
+
+async function readData(file) {
+  try {
+    return EJSON.parse(await readFile(file, "utf8"), { relaxed: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Couldn't read storage file ${file}: ${error.message}`);
+  }
+}
+
+// --- CONNECT ---
+export async function connectFile(models, { file }) {
+  if (!file) throw new Error("STORAGE_FILE is required for file storage");
+  await mkdir(dirname(file), { recursive: true });
+  const data = await readData(file);
+
+  // Writes are coalesced: changes made during a write are saved right after it
+  let writing = null;
+  let dirty = false;
+
+  async function write() {
+    for (const collection of Object.values(backend.collections)) collection.prune();
+    const body = EJSON.stringify(
+      Object.fromEntries(Object.entries(backend.collections).map(([name, collection]) => [name, collection.dump()])),
+      { relaxed: true }
+    );
+    // Written next to the file and renamed, so a crash never leaves half a file
+    await writeFile(`${file}.tmp`, body);
+    await rename(`${file}.tmp`, file);
+  }
+
+  function save() {
+    if (writing) {
+      dirty = true;
+      return;
+    }
+    writing = write()
+      .catch(error => console.error(`❌ Failed to write storage file ${file}:`, error))
+      .finally(() => {
+        writing = null;
+        if (dirty) {
+          dirty = false;
+          save();
+        }
+      });
+  }
+
+  const backend = await connectMemory(models, { onChange: save });
+  for (const [name, collection] of Object.entries(backend.collections)) {
+    collection.load(data[name] ?? []);
+  }
+
+  return {
+    ...backend,
+    disconnect: async () => {
+      await backend.disconnect();
+      while (writing) await writing;
+    }
+  };
+}
@@ -0,0 +1,165 @@
+import { matches, applyUpdate, fromFilter, sortDocuments, getPath, clone } from "./query.js";
+
+// Collections kept in the process's memory. The mongoose models are still
+// the schema: documents get the same defaults, casting and validation as in
+// MongoDB, and TTL indexes ("expires") are honoured.
+const TTL_INTERVAL = 60 * 1000; // like MongoDB's TTL monitor
+const TO_OBJECT = { flattenMaps: true, versionKey: false, minimize: false };
+
+// --- COLLECTION ---
+// `onChange` is called after every write (the file backend saves then)
+export function createMemoryCollection(Model, { onChange = () => {} } = {}) {
+  let docs = [];
+
+  const ttls = Model.schema.indexes()
+    .filter(([, options]) => options.expireAfterSeconds != null)
+    .map(([fields, options]) => ({ path: Object.keys(fields)[0], ttl: options.expireAfterSeconds * 1000 }));
+
+  function cast(doc, { validate = false } = {}) {
+    const document = new Model(doc);
+    if (validate) {
+      const error = document.validateSync();
+      if (error) throw error;
+    }
+    return document.toObject(TO_OBJECT);
+  }
+
+  function select(filter, { sort = null, skip = 0, limit = 0 } = {}) {
+    const found = sortDocuments(docs.filter(doc => matches(doc, filter)), sort).slice(skip);
+    return limit ? found.slice(0, limit) : found;
+  }
+
+  // Replaces the stored document by its updated copy; returns the copy
+  function update(doc, changes) {
+    const updated = cast(applyUpdate(clone(doc), changes));
+    docs[docs.indexOf(doc)] = updated;
+    return updated;
+  }
+
+  function upsert(filter, changes) {
+    const created = cast(applyUpdate(fromFilter(filter), changes, { inserting: true }), { validate: true });
+    docs.push(created);
+    return created;
+  }
+
+  return {
+    // `select` only saves MongoDB some work; documents here always come whole
+    async find(filter = {}, options = {}) {
+      return select(filter, options).map(clone);
+    },
+
+    async findOne(filter = {}, { sort = null } = {}) {
+      const [doc] = select(filter, { sort, limit: 1 });
+      return doc ? clone(doc) : null;
+    },
+
+    async count(filter = {}) {
+      return select(filter).length;
+    },
+
+    async distinct(field, filter = {}) {
+      const values = new Set(select(filter).flatMap(doc => [getPath(doc, field)].flat()));
+      return [...values].filter(value => value !== undefined);
+    },
+
+    async countBy(field, filter = {}) {
+      const counts = new Map();
+      for (const doc of select(filter)) {
+        const key = getPath(doc, field) ?? null;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+      return counts;
+    },
+
+    async maxBy(field, valueField, filter = {}) {
+      const max = new Map();
+      for (const doc of select(filter)) {
+        const key = getPath(doc, field) ?? null;
+        const value = getPath(doc, valueField);
+        if (value != null && !(max.get(key) >= value)) max.set(key, value);
+      }
+      return max;
+    },
+
+    async insert(doc) {
+      const created = cast(clone(doc), { validate: true });
+      docs.push(created);
+      onChange();
+      return clone(created);
+    },
+
+    async updateOne(filter, changes, { upsert: insert = false } = {}) {
+      const [doc] = select(filter, { limit: 1 });
+      if (doc) update(doc, changes);
+      else if (insert) upsert(filter, changes);
+      else return;
+      onChange();
+    },
+
+    async updateMany(filter, changes) {
+      const found = select(filter);
+      for (const doc of found) update(doc, changes);
+      if (found.length) onChange();
+    },
+
+    async findOneAndUpdate(filter, changes, { sort = null, upsert: insert = false } = {}) {
+      const [doc] = select(filter, { sort, limit: 1 });
+      const updated = doc ? update(doc, changes) : insert ? upsert(filter, changes) : null;
+      if (updated) onChange();
+      return updated && clone(updated);
+    },
+
+    async deleteOne(filter) {
+      const [doc] = select(filter, { limit: 1 });
+      if (!doc) return;
+      docs = docs.filter(entry => entry !== doc);
+      onChange();
+    },
+
+    async deleteMany(filter) {
+      const before = docs.length;
+      docs = docs.filter(doc => !matches(doc, filter));
+      if (docs.length !== before) onChange();
+    },
+
+    // --- BACKEND ONLY ---
+    // Drops documents whose TTL ran out; returns whether any were removed
+    prune(now = Date.now()) {
+      const before = docs.length;
+      docs = docs.filter(doc => ttls.every(({ path, ttl }) => {
+        const value = getPath(doc, path);
+        return value == null || +value + ttl > now;
+      }));
+      return docs.length !== before;
+    },
+
+    load(entries) {
+      docs = entries.map(entry => cast(entry));
+    },
+
+    dump() {
+      return docs;
+    }
+  };
+}
+
+// --- CONNECT ---
+// Nothing survives a restart; meant for tests and trying the bot out
+export async function connectMemory(models, { onChange = () => {} } = {}) {
+  const collections = Object.fromEntries(
+    Object.entries(models).map(([name, Model]) => [name, createMemoryCollection(Model, { onChange })])
+  );
+
+  const ttlTimer = setInterval(() => {
+    const pruned = Object.values(collections).map(collection => collection.prune());
+    if (pruned.some(Boolean)) onChange();
+  }, TTL_INTERVAL);
+  // Tests and scripts can exit without disconnecting
+  ttlTimer.unref();
+
+  return {
+    collections,
+    isConnected: () => true,
+    disconnect: async () => clearInterval(ttlTimer)
+  };
+}
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// The original backend: one MongoDB collection per mongoose model
+const TO_OBJECT = { flattenMaps: true, versionKey: false, minimize: false };
+
+function toMap(rows) {
+  return new Map(rows.map(row => [row._id, row.value]));
+}
+
+// --- COLLECTION ---
+export function createMongoCollection(Model) {
+  // Read as lean objects, but with the schema defaults filled in like the
+  // other backends do, e.g. for fields added after a document was stored
+  const toPlain = doc => doc && Model.hydrate(doc).toObject(TO_OBJECT);
+
+  async function query(cursor, { sort = null, skip = 0, limit = 0, select = null } = {}) {
+    if (select) cursor.select(select);
+    if (sort) cursor.sort(sort);
+    if (skip) cursor.skip(skip);
+    if (limit) cursor.limit(limit);
+    const result = await cursor.lean();
+    return Array.isArray(result) ? result.map(toPlain) : toPlain(result);
+  }
+
+  return {
+    find: (filter = {}, options = {}) => query(Model.find(filter), options),
+    findOne: (filter = {}, options = {}) => query(Model.findOne(filter), options),
+    count: (filter = {}) => Model.countDocuments(filter),
+    distinct: (field, filter = {}) => Model.distinct(field, filter),
+
+    countBy: async (field, filter = {}) => toMap(await Model.aggregate([
+      { $match: filter },
+      { $group: { _id: `$${field}`, value: { $sum: 1 } } }
+    ])),
+
+    maxBy: async (field, valueField, filter = {}) => toMap(await Model.aggregate([
+      { $match: filter },
+      { $group: { _id: `$${field}`, value: { $max: `$${valueField}` } } }
+    ])),
+
+    insert: async doc => (await Model.create(doc)).toObject(TO_OBJECT),
+
+    updateOne: async (filter, changes, { upsert = false } = {}) => {
+      await Model.updateOne(filter, changes, { upsert });
+    },
+
+    updateMany: async (filter, changes) => {
+      await Model.updateMany(filter, changes);
+    },
+
+    findOneAndUpdate: async (filter, changes, { sort = null, upsert = false } = {}) =>
+      toPlain(await Model.findOneAndUpdate(filter, changes, { sort, upsert, new: true, lean: true })),
+
+    deleteOne: async filter => {
+      await Model.deleteOne(filter);
+    },
+
+    deleteMany: async filter => {
+      await Model.deleteMany(filter);
+    }
+  };
+}
+
+// --- CONNECT ---
+export async function connectMongo(models, { uri }) {
+  if (!uri) throw new Error("MONGODB_URI is required for MongoDB storage");
+
+  // Disable mongoose buffering to prevent hanging
+  mongoose.set("bufferCommands", false);
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(uri, {
+    serverSelectionTimeoutMS: 15000
+  });
+
+  return {
+    collections: Object.fromEntries(Object.entries(models).map(([name, Model]) => [name, createMongoCollection(Model)])),
+    // 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+    isConnected: () => mongoose.connection.readyState === 1,
+    disconnect: () => mongoose.disconnect()
+  };
+}
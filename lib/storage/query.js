@@ -0,0 +1,154 @@
+// The part of MongoDB's query and update language the bot uses, for the
+// backends that keep their documents in memory (see lib/storage.js).
+// Anything else throws, so a new query can't silently match the wrong documents.
+
+// --- VALUES ---
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Deep copy that keeps ObjectIds (immutable) and Dates intact, unlike JSON
+export function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  return value;
+}
+
+// Missing and null are the same, as in MongoDB
+function equals(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((entry, i) => equals(entry, b[i]));
+  }
+  if (typeof a.equals === "function") return a.equals(b);
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return a === b;
+}
+
+// null sorts first; ObjectIds by their hex string, which starts with the creation time
+function compareValues(a, b) {
+  if (a == null || b == null) return (b == null) - (a == null);
+  const [x, y] = [a, b].map(value => typeof value.toHexString === "function" ? value.toHexString() : value);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// --- PATHS ---
+// Dotted paths like "cleanup.enabled" reach into nested objects
+export function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => value?.[key], doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value?.[key], doc);
+  if (isPlainObject(target)) delete target[last];
+}
+
+// --- MATCH ---
+// A condition on an array field matches if the array or any element does
+const OPERATORS = {
+  $eq: (value, arg) => candidates(value).some(entry => equals(entry, arg)),
+  $ne: (value, arg) => !OPERATORS.$eq(value, arg),
+  $in: (value, arg) => arg.some(entry => OPERATORS.$eq(value, entry)),
+  $nin: (value, arg) => !OPERATORS.$in(value, arg),
+  $lt: (value, arg) => candidates(value).some(entry => entry != null && entry < arg),
+  $lte: (value, arg) => candidates(value).some(entry => entry != null && entry <= arg),
+  $gt: (value, arg) => candidates(value).some(entry => entry != null && entry > arg),
+  $gte: (value, arg) => candidates(value).some(entry => entry != null && entry >= arg)
+};
+
+function candidates(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function isOperatorObject(condition) {
+  return isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith("$"));
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return OPERATORS.$eq(value, condition);
+  return Object.entries(condition).every(([operator, arg]) => {
+    if (!OPERATORS[operator]) throw new Error(`Unsupported query operator ${operator}`);
+    return OPERATORS[operator](value, arg);
+  });
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path.startsWith("$")) throw new Error(`Unsupported query operator ${path}`);
+    return matchesCondition(getPath(doc, path), condition);
+  });
+}
+
+// --- UPDATE ---
+// Applies `update` to `doc` in place. $setOnInsert only applies when the
+// update creates the document (upsert).
+export function applyUpdate(doc, update, { inserting = false } = {}) {
+  for (const [operator, fields] of Object.entries(update)) {
+    if (operator === "$setOnInsert" && !inserting) continue;
+
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case "$set":
+        case "$setOnInsert":
+          setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) ?? 0) + value);
+          break;
+        case "$addToSet": {
+          const list = [...(getPath(doc, path) ?? [])];
+          for (const entry of value?.$each ?? [value]) {
+            if (!list.some(existing => equals(existing, entry))) list.push(clone(entry));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+  return doc;
+}
+
+// The document an upsert starts from: the filter's plain equality fields
+export function fromFilter(filter = {}) {
+  const doc = {};
+  for (const [path, condition] of Object.entries(filter)) {
+    if (!isOperatorObject(condition)) setPath(doc, path, clone(condition));
+  }
+  return doc;
+}
+
+// --- SORT ---
+// `sort` as in MongoDB: { field: 1 | -1, ... }
+export function sortDocuments(docs, sort) {
+  const keys = Object.entries(sort ?? {});
+  if (!keys.length) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [path, order] of keys) {
+      const result = compareValues(getPath(a, path), getPath(b, path)) * order;
+      if (result) return result;
+    }
+    return 0;
+  });
+}
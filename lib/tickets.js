@@ -0,0 +1,147 @@
+import { RESTJSONErrorCodes } from "discord.js";
+import { storage } from "./storage.js";
+import { scheduleJob, cancelJobs } from "./scheduler.js";
+import { recordEvent } from "./events.js";
+import { getGuildConfig, getTicketTypeForCategory } from "./guildConfig.js";
+
+// --- TICKET RECORDS ---
+// Stored tickets are plain objects; save() writes back the fields that
+// changed since the ticket was loaded or last saved
+function snapshot(ticket) {
+  return Object.fromEntries(Object.entries(ticket).map(([key, value]) => [key, JSON.stringify(value)]));
+}
+
+function toRecord(ticket) {
+  let saved = snapshot(ticket);
+  Object.defineProperty(ticket, "save", {
+    value: async () => {
+      const current = snapshot(ticket);
+      const changed = Object.keys(current).filter(key => key !== "_id" && current[key] !== saved[key]);
+      if (changed.length) {
+        await storage.tickets.updateOne({ _id: ticket._id }, { $set: Object.fromEntries(changed.map(key => [key, ticket[key]])) });
+      }
+      saved = current;
+    }
+  });
+  return ticket;
+}
+
+export async function getTicket(channelId) {
+  const ticket = await storage.tickets.findOne({ channelId });
+  return ticket && toRecord(ticket);
+}
+
+export async function getTickets(filter = {}) {
+  return (await storage.tickets.find(filter)).map(toRecord);
+}
+
+async function insertTicket(data) {
+  return toRecord(await storage.tickets.insert(data));
+}
+
+// --- DELETE TICKET DATA ---
+// Drops the ticket document together with everything still scheduled for it
+export async function deleteTicketData(channelId) {
+  await cancelJobs(channelId);
+  await storage.tickets.deleteOne({ channelId });
+}
+
+// --- RETAIN TICKET DATA ---
+// Once its channel is deleted a ticket is kept, closed, for history, stats and
+// cleanup; a "ticket-purge" job (lib/cleanup.js) drops it after the retention period
+export const CLOSED_TICKET_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+export async function retainTicketData(channelId, now = Date.now()) {
+  await cancelJobs(channelId);
+  const ticket = await storage.tickets.findOneAndUpdate({ channelId }, { $set: { autoClose: null, awaitingStaffSince: null } });
+  if (!ticket) return;
+  if (!ticket.closedAt) await storage.tickets.updateOne({ channelId }, { $set: { closedAt: now } });
+
+  await scheduleJob({
+    key: `${channelId}:purge`,
+    type: "ticket-purge",
+    channelId,
+    guildId: ticket.guildId,
+    runAt: now + CLOSED_TICKET_RETENTION
+  });
+}
+
+// --- FETCH TICKET CHANNEL ---
+// Returns null (and retains the ticket as closed) if the channel was deleted
+// while we weren't looking. Other errors are thrown so scheduled jobs get retried.
+export async function fetchTicketChannel(client, channelId) {
+  try {
+    return await client.channels.fetch(channelId);
+  } catch (error) {
+    if (error.code !== RESTJSONErrorCodes.UnknownChannel) throw error;
+    await retainTicketData(channelId);
+    console.log(`🔐 Closed ticket for missing channel ${channelId}, data kept for retention`);
+    return null;
+  }
+}
+
+// --- TICKET CATEGORY ---
+// Thread tickets belong to the category of the channel they were started in
+export function getTicketCategoryId(channel) {
+  return channel?.isThread?.() ? channel.parent?.parentId ?? null : channel?.parentId ?? null;
+}
+
+// --- CHANNEL TICKET TYPE ---
+// The type stored on the ticket, or the one its category maps to for channels
+// that aren't tracked yet
+export async function getChannelTicketType(config, channel) {
+  const ticket = await storage.tickets.findOne({ channelId: channel.id }, { select: { type: 1 } });
+  return ticket?.type ?? getTicketTypeForCategory(config, getTicketCategoryId(channel))?.name ?? null;
+}
+
+// --- CREATE TICKET ---
+// Stores a ticket whose creator was detected (see lib/detection.js);
+// `metadata` is added to the creator_stored event
+export async function createTicket(guild, channelId, { creatorId, participantIds = [], type = null, metadata = {} }) {
+  const ticket = await insertTicket({
+    channelId,
+    guildId: guild.id,
+    creatorId,
+    type,
+    participants: participantIds.map(userId => ({ userId, role: "participant" })),
+    timerStartTime: null,
+    reminderCount: 0
+  });
+
+  recordEvent(guild, { type: "creator_stored", channelId, metadata: { creatorId, ticketType: type, ...metadata } });
+  for (const userId of participantIds) {
+    recordEvent(guild, { type: "participant_added", channelId, metadata: { userId, role: "participant" } });
+  }
+  return ticket;
+}
+
+// --- ASSIGN CREATOR ---
+// Shared by /creator assign and the admin API; `metadata` is added to the event
+export async function assignCreator(guild, channelId, userId, { actorId = null, metadata = {} } = {}) {
+  let ticket = await getTicket(channelId);
+  const previousCreatorId = ticket?.creatorId ?? null;
+
+  if (!ticket) {
+    const config = await getGuildConfig(guild.id);
+    const categoryId = getTicketCategoryId(guild.channels.cache.get(channelId));
+    ticket = await insertTicket({
+      channelId,
+      guildId: guild.id,
+      creatorId: userId,
+      type: getTicketTypeForCategory(config, categoryId)?.name ?? null,
+      timerStartTime: null,
+      reminderCount: 0
+    });
+  } else {
+    ticket.creatorId = userId;
+    await ticket.save();
+  }
+
+  recordEvent(guild, {
+    type: "creator_assigned",
+    channelId,
+    actorId,
+    metadata: { creatorId: userId, previousCreatorId, ...metadata }
+  });
+  return ticket;
+}
@@ -0,0 +1,220 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { getTicketConfig } from "./guildConfig.js";
+import { resolveSchedule, getReminderOffsets } from "./schedule.js";
+import { scheduleJob, cancelJobs, getNextJob, registerJobHandler } from "./scheduler.js";
+import { createLifecycle, TIMER_JOBS } from "./lifecycle.js";
+import { getTicket, fetchTicketChannel } from "./tickets.js";
+import { startAutoClose } from "./autoClose.js";
+import { recordEvent } from "./events.js";
+import { remindersSent, staffAlerts } from "./metrics.js";
+import { getResponsibleIds, formatMentions } from "./participants.js";
+import { t, resolveLocale, getTicketLocale, formatLocalDuration, renderTemplate } from "./i18n.js";
+import { sendEscalation, buildClaimRow } from "./escalation.js";
+import { getStaffPing } from "./claims.js";
+import { sendReminderDm } from "./notifications.js";
+
+// --- LIFECYCLE ---
+// The ticket state machine (lib/lifecycle.js) with the bot's real effects.
+// Only due jobs need the channel, so the client is set by registerTimerJobs.
+let discordClient = null;
+
+const lifecycle = createLifecycle({
+  effects: {
+    save: ticket => ticket.save(),
+    getConfig: ticket => getTicketConfig(ticket),
+    scheduleJob: job => scheduleJob(job),
+    cancelJobs: (channelId, types) => cancelJobs(channelId, types),
+    getNextJob: (channelId, types) => getNextJob(channelId, types),
+    fetchChannel: ticket => fetchTicketChannel(discordClient, ticket.channelId),
+    sendReminder: (channel, ticket, number, schedule) => sendReminder(channel, ticket, number, schedule),
+    sendStaffAlert: async (channel, ticket) => {
+      await sendStaffAlert(channel, ticket);
+      staffAlerts.inc();
+    },
+    sendEscalation: (channel, ticket, level) => sendEscalation(channel, ticket, level),
+    recordEvent: (channel, event) => recordEvent(channel.guild, { ...event, channelId: channel.id })
+  }
+});
+
+// Ticket events from messages, buttons and commands, e.g. { type: "staff_message" }
+export function dispatchTicketEvent(ticket, event) {
+  return lifecycle.dispatch(ticket, event);
+}
+
+// --- GET TICKET SCHEDULE ---
+// Ticket override > ticket type > guild schedule > defaults
+export async function getTicketSchedule(ticket, guildId) {
+  const config = await getTicketConfig(ticket, guildId);
+  return resolveSchedule(config.schedule, ticket.schedule);
+}
+
+// --- RESTART TIMERS ---
+// Starts counting right away, without the start delay
+export function restartTimers(ticket) {
+  return lifecycle.dispatch(ticket, { type: "restart" });
+}
+
+// --- STOP TIMERS ---
+export function stopTimers(ticket) {
+  return lifecycle.dispatch(ticket, { type: "stop" });
+}
+
+// --- RESCHEDULE TIMERS ---
+// Re-plans a running timer after its schedule changed
+export function rescheduleTimers(ticket) {
+  return lifecycle.dispatch(ticket, { type: "reschedule" });
+}
+
+// --- SNOOZE TIMERS ---
+// Pushes every remaining reminder, the staff alert and escalation back by `duration`
+export function snoozeTimers(ticket, duration) {
+  return lifecycle.dispatch(ticket, { type: "snooze", duration });
+}
+
+// --- RESTORE TIMERS ---
+// On startup, for running timers whose jobs got lost
+export function restoreTimers(ticket) {
+  return lifecycle.dispatch(ticket, { type: "restore" });
+}
+
+// --- TIMER STATE ---
+// Snapshot of where a ticket's timer is, for status displays and the admin API:
+// closed (paused until reopened), closing (auto-close pending), starting
+// (waiting for the start delay), stopped, running or alerted
+export async function getTimerState(ticket, schedule) {
+  const state = {
+    state: "stopped",
+    startedAt: ticket.timerStartTime,
+    reminderCount: ticket.reminderCount,
+    reminderTotal: getReminderOffsets(schedule).length,
+    alertedAt: ticket.alertedAt,
+    escalationLevel: ticket.escalationLevel,
+    claimedBy: ticket.claimedBy,
+    nextEvent: null
+  };
+
+  if (ticket.closedAt) return { ...state, state: "closed" };
+  if (ticket.autoClose) {
+    return { ...state, state: "closing", nextEvent: { type: "autoclose-delete", runAt: ticket.autoClose.deleteAt } };
+  }
+
+  const next = await getNextJob(ticket.channelId, TIMER_JOBS);
+  if (next) state.nextEvent = { type: next.type, runAt: next.runAt, number: next.payload?.number ?? null };
+
+  if (ticket.timerStartTime) state.state = ticket.alertedAt ? "alerted" : "running";
+  else if (next?.type === "timer-start") state.state = "starting";
+  return state;
+}
+
+// --- REMINDER BUTTONS ---
+// Only the creator and participants may press these (checked in interactionCreate)
+export function buildReminderRow(config, ticket, locale) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("reminder:help")
+      .setLabel(t(locale, "buttonStillNeedHelp"))
+      .setEmoji("🙋")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("reminder:solved")
+      .setLabel(t(locale, "buttonIssueSolved"))
+      .setEmoji("✅")
+      .setStyle(ButtonStyle.Success)
+  );
+
+  if ((ticket.snoozeCount || 0) < config.snooze.maxSnoozes) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId("reminder:snooze")
+        .setLabel(t(locale, "buttonSnooze", { duration: formatLocalDuration(locale, config.snooze.duration) }))
+        .setEmoji("😴")
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+  return row;
+}
+
+// --- SEND REMINDER ---
+// Written in the creator's language; guilds can replace the texts with /template
+export async function sendReminder(channel, ticket, number, schedule) {
+  const offsets = getReminderOffsets(schedule);
+  const config = await getTicketConfig(ticket, channel.guild.id);
+  const locale = getTicketLocale(ticket, channel.guild);
+
+  // Wording is generated from the schedule so it always matches the real timing
+  const total = offsets.length;
+  const isFinalReminder = number === total;
+  const vars = {
+    creator: `<@${ticket.creatorId}>`,
+    // Everyone responsible for the ticket is pinged, watchers are not
+    mentions: formatMentions(getResponsibleIds(ticket)),
+    reminderNumber: number,
+    total,
+    remaining: formatLocalDuration(locale, schedule.alertOffset - offsets[number - 1], config.businessHours),
+    next: isFinalReminder ? "" : formatLocalDuration(locale, offsets[number] - offsets[number - 1], config.businessHours)
+  };
+  const prefix = isFinalReminder ? "finalReminder" : "reminder";
+  const title = renderTemplate(config, locale, `${prefix}Title`, vars);
+
+  const embed = new EmbedBuilder()
+    .setColor(isFinalReminder ? "Red" : "Yellow")
+    .setTitle(title)
+    .setDescription(renderTemplate(config, locale, `${prefix}Description`, vars))
+    .setFooter({ text: renderTemplate(config, locale, `${prefix}Footer`, vars) })
+    .setTimestamp();
+
+  const message = await channel.send({ embeds: [embed], components: [buildReminderRow(config, ticket, locale)] });
+  remindersSent.inc({ number });
+
+  // Optional copy for creators who muted the server; the channel post above is what counts
+  const dm = config.notifications.dmReminders
+    ? await sendReminderDm(channel, ticket, { title, locale, vars })
+    : null;
+  recordEvent(channel.guild, { type: "reminder_sent", channelId: channel.id, metadata: { number, total, dm, messageId: message.id } });
+}
+
+// --- SEND STAFF ALERT ---
+// For staff, so in the guild's language. Level 1 of the escalation ladder.
+export async function sendStaffAlert(channel, ticket) {
+  const config = await getTicketConfig(ticket, channel.guild.id);
+  const schedule = resolveSchedule(config.schedule, ticket.schedule);
+  if (config.autoClose.enabled) {
+    return startAutoClose(channel, ticket, config, { inactiveMs: schedule.alertOffset });
+  }
+
+  const locale = resolveLocale(channel.guild.preferredLocale);
+  const vars = {
+    creator: `<@${ticket.creatorId}>`,
+    mentions: formatMentions(getResponsibleIds(ticket)),
+    // Only the assignee once the ticket is claimed
+    staffRoles: getStaffPing(config, ticket),
+    remaining: formatLocalDuration(locale, schedule.alertOffset, config.businessHours),
+    alertAfter: formatLocalDuration(locale, schedule.alertOffset)
+  };
+
+  const embed = new EmbedBuilder()
+    .setColor("Red")
+    .setTitle(renderTemplate(config, locale, "staffAlertTitle", vars))
+    .setDescription(renderTemplate(config, locale, "staffAlertDescription", vars))
+    .setFooter({ text: renderTemplate(config, locale, "staffAlertFooter", vars) })
+    .setTimestamp();
+
+  await channel.send({ embeds: [embed], components: ticket.claimedBy ? [] : [buildClaimRow(locale)] });
+  recordEvent(channel.guild, { type: "staff_alert", channelId: channel.id, metadata: { inactiveFor: schedule.alertOffset } });
+}
+
+// --- JOB HANDLERS ---
+// Due jobs become lifecycle events; the machine ignores stale ones
+async function dispatchJob(job, type) {
+  const ticket = await getTicket(job.channelId);
+  if (!ticket) return;
+  await lifecycle.dispatch(ticket, { type, runAt: job.runAt, ...job.payload });
+}
+
+export function registerTimerJobs(client) {
+  discordClient = client;
+  registerJobHandler("timer-start", job => dispatchJob(job, "start_due"));
+  registerJobHandler("reminder", job => dispatchJob(job, "reminder_due"));
+  registerJobHandler("staff-alert", job => dispatchJob(job, "alert_due"));
+  registerJobHandler("escalation", job => dispatchJob(job, "escalation_due"));
+}
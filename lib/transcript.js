@@ -0,0 +1,173 @@
+import { AttachmentBuilder, EmbedBuilder } from "discord.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { log } from "./log.js";
+
+const MAX_MESSAGES = 5000; // safety cap for very long tickets
+
+// --- FETCH MESSAGES ---
+// Pages backwards through the channel history, returned oldest first
+export async function fetchAllMessages(channel) {
+  const messages = [];
+  let before;
+
+  while (messages.length < MAX_MESSAGES) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    messages.push(...batch.values());
+    if (batch.size < 100) break;
+    before = batch.lastKey();
+  }
+
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+function serializeMessage(message) {
+  return {
+    id: message.id,
+    author: {
+      id: message.author.id,
+      tag: message.author.tag,
+      bot: message.author.bot
+    },
+    content: message.content,
+    createdAt: message.createdTimestamp,
+    editedAt: message.editedTimestamp,
+    attachments: message.attachments.map(attachment => ({
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size,
+      contentType: attachment.contentType
+    })),
+    embeds: message.embeds.map(embed => embed.toJSON())
+  };
+}
+
+// --- JSON TRANSCRIPT ---
+export function buildJsonTranscript(channel, ticket, messages, { partial = false } = {}) {
+  return {
+    ticket: {
+      channelId: channel.id,
+      channelName: channel.name,
+      guildId: channel.guild.id,
+      guildName: channel.guild.name,
+      creatorId: ticket?.creatorId ?? null
+    },
+    generatedAt: new Date().toISOString(),
+    // Partial transcripts are built from the bot's message cache after the
+    // channel was already deleted, so older messages may be missing
+    partial,
+    messageCount: messages.length,
+    messages: messages.map(serializeMessage)
+  };
+}
+
+// --- HTML TRANSCRIPT ---
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderEmbed(embed) {
+  const fields = (embed.fields || [])
+    .map(field => `<div class="field"><b>${escapeHtml(field.name)}</b><br>${escapeHtml(field.value)}</div>`)
+    .join("");
+  return `<div class="embed">
+      ${embed.title ? `<div class="embed-title">${escapeHtml(embed.title)}</div>` : ""}
+      ${embed.description ? `<div>${escapeHtml(embed.description).replace(/\n/g, "<br>")}</div>` : ""}
+      ${fields}
+      ${embed.footer?.text ? `<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>` : ""}
+    </div>`;
+}
+
+function renderMessage(message) {
+  const attachments = message.attachments
+    .map(attachment => `<div class="attachment">📎 <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a></div>`)
+    .join("");
+  return `<div class="message">
+    <div class="meta">
+      <span class="author${message.author.bot ? " bot" : ""}">${escapeHtml(message.author.tag)}</span>
+      <span class="time">${new Date(message.createdAt).toISOString()}${message.editedAt ? " (edited)" : ""}</span>
+    </div>
+    ${message.content ? `<div class="content">${escapeHtml(message.content).replace(/\n/g, "<br>")}</div>` : ""}
+    ${attachments}
+    ${message.embeds.map(renderEmbed).join("")}
+  </div>`;
+}
+
+export function buildHtmlTranscript(transcript) {
+  const { ticket } = transcript;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Transcript - #${escapeHtml(ticket.channelName)}</title>
+<style>
+  body { background: #313338; color: #dbdee1; font-family: sans-serif; padding: 20px; }
+  .header { border-bottom: 1px solid #4e5058; margin-bottom: 16px; padding-bottom: 8px; }
+  .message { padding: 8px 0; border-bottom: 1px solid #3f4147; }
+  .author { font-weight: bold; color: #fff; }
+  .author.bot::after { content: "BOT"; background: #5865f2; font-size: 10px; padding: 1px 4px; border-radius: 3px; margin-left: 6px; }
+  .time { color: #949ba4; font-size: 12px; margin-left: 8px; }
+  .content { margin-top: 4px; white-space: pre-wrap; }
+  .embed { border-left: 4px solid #5865f2; background: #2b2d31; padding: 8px; margin-top: 6px; border-radius: 4px; }
+  .embed-title { font-weight: bold; }
+  .embed-footer { color: #949ba4; font-size: 12px; margin-top: 4px; }
+  .field { margin-top: 4px; }
+  a { color: #00a8fc; }
+</style>
+</head>
+<body>
+  <div class="header">
+    <h2>#${escapeHtml(ticket.channelName)}</h2>
+    <div>${escapeHtml(ticket.guildName)} • ${transcript.messageCount} messages • Generated ${escapeHtml(transcript.generatedAt)}</div>
+    ${transcript.partial ? "<div>⚠️ Partial transcript: only messages the bot had cached are included.</div>" : ""}
+  </div>
+  ${transcript.messages.map(renderMessage).join("\n")}
+</body>
+</html>`;
+}
+
+// --- GENERATE TRANSCRIPT ---
+// Pass `messages` to build from already-known messages (e.g. the cache of a
+// deleted channel); otherwise the full history is fetched from Discord
+export async function generateTranscript(channel, ticket, { messages, partial = false } = {}) {
+  const history = messages ?? await fetchAllMessages(channel);
+  const transcript = buildJsonTranscript(channel, ticket, history, { partial });
+  const baseName = `transcript-${channel.name}-${channel.id}`;
+
+  return {
+    transcript,
+    files: [
+      new AttachmentBuilder(Buffer.from(buildHtmlTranscript(transcript)), { name: `${baseName}.html` }),
+      new AttachmentBuilder(Buffer.from(JSON.stringify(transcript, null, 2)), { name: `${baseName}.json` })
+    ]
+  };
+}
+
+// --- ARCHIVE TRANSCRIPT ---
+// Posts the transcript to the log channel and optionally DMs the creator
+export async function archiveTranscript(channel, ticket, { reason, messages, partial = false } = {}) {
+  const config = await getGuildConfig(channel.guild.id);
+  if (!config.transcripts.enabled) return;
+
+  const { transcript, files } = await generateTranscript(channel, ticket, { messages, partial });
+  const embed = new EmbedBuilder()
+    .setColor("Grey")
+    .setTitle("📜 Ticket Transcript")
+    .setDescription(`**Ticket:** #${channel.name}\n**Creator:** ${ticket?.creatorId ? `<@${ticket.creatorId}>` : "Unknown"}\n**Messages:** ${transcript.messageCount}${partial ? " (partial)" : ""}\n**Reason:** ${reason}`)
+    .setTimestamp();
+
+  await log({ embeds: [embed], files }, channel.guild);
+
+  if (config.transcripts.dmCreator && ticket?.creatorId) {
+    const creator = await channel.client.users.fetch(ticket.creatorId).catch(() => null);
+    await creator?.send({
+      content: `📜 Here is the transcript of your ticket **#${channel.name}** in **${channel.guild.name}**.`,
+      files
+    }).catch(() => {
+      log(`⚠️ Couldn't DM the transcript of #${channel.name} to <@${ticket.creatorId}> (DMs closed?)`, channel.guild);
+    });
+  }
+}
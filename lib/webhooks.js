@@ -0,0 +1,260 @@
+import crypto from "node:crypto";
+import dns from "node:dns/promises";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { storage } from "./storage.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { scheduleJob, registerJobHandler, MAX_ATTEMPTS } from "./scheduler.js";
+
+// Ticket events can be sent to external systems: every recorded event (see
+// lib/events.js) is POSTed as JSON to each of the guild's webhooks that
+// subscribed to its type. Deliveries run as scheduled jobs on their own queue,
+// so failures are retried with the scheduler's backoff and survive restarts
+// without slow endpoints delaying reminders; events that still can't be
+// delivered end up as dead letters (models/WebhookDeadLetter.js).
+//
+// Body (version 1):
+//   {
+//     "version": 1,
+//     "id": "...",              event ID, the same on every retry
+//     "type": "reminder_sent",  event type, see lib/events.js
+//     "guildId": "...",
+//     "channelId": "...",
+//     "actorId": "..." | null,  null = the bot itself
+//     "createdAt": "2026-01-01T12:00:00.000Z",
+//     "metadata": { ... }       type-specific details, e.g. { "number": 1, "total": 3 }
+//   }
+//
+// Headers:
+//   X-Webhook-Id         the webhook's ID
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  ms since epoch of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret>
+export const MAX_WEBHOOKS = 5;
+export const PAYLOAD_VERSION = 1;
+const REQUEST_TIMEOUT = 10 * 1000;
+const DELIVERY_CONCURRENCY = 4;
+
+// --- PAYLOAD ---
+export function buildPayload(event) {
+  return {
+    version: PAYLOAD_VERSION,
+    id: String(event._id ?? crypto.randomUUID()),
+    type: event.type,
+    guildId: event.guildId,
+    channelId: event.channelId,
+    actorId: event.actorId ?? null,
+    createdAt: new Date(event.createdAt).toISOString(),
+    metadata: event.metadata ?? {}
+  };
+}
+
+export function signBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// The secret is only shown once, when the webhook is added
+export function createWebhook({ url, events = [], createdBy = null }) {
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    url,
+    secret: crypto.randomBytes(32).toString("hex"),
+    events,
+    createdBy,
+    createdAt: Date.now()
+  };
+}
+
+export function isSubscribed(webhook, type) {
+  return !webhook.events.length || webhook.events.includes(type);
+}
+
+// --- URL CHECK ---
+// Webhooks may only reach the public internet: a guild admin must not be able
+// to make the bot POST to services on its own network (SSRF). Blocked are
+// loopback, private, shared, link-local (incl. cloud metadata at
+// 169.254.169.254), multicast and other reserved ranges.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return isPublicAddress(mapped);
+  return !BLOCKED_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Operator opt-ins, e.g. for testing against a local stand-in receiver:
+// WEBHOOK_ALLOW_HTTP=true allows plain http, WEBHOOK_ALLOW_PRIVATE=true
+// allows loopback and private addresses
+function allowsHttp() {
+  return process.env.WEBHOOK_ALLOW_HTTP === "true";
+}
+
+function allowsPrivate() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+}
+
+// → { url, addresses } to connect to, or { error } saying why the bot may not
+// POST to the URL. Every address the host resolves to must be public.
+async function resolveWebhookUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return { error: "is not a valid URL" };
+  }
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && allowsHttp())) {
+    return { error: allowsHttp() ? "must start with https:// or http://" : "must start with https://" };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+  } catch {
+    return { error: `points to a host that can't be resolved (${host})` };
+  }
+  if (!addresses.length) return { error: `points to a host that can't be resolved (${host})` };
+  if (!allowsPrivate() && !addresses.every(isPublicAddress)) {
+    return { error: "must point to a public address, not a private, loopback or link-local one" };
+  }
+  return { url, addresses };
+}
+
+// → null if the bot may POST to the URL, else why not. Checked again before
+// each delivery, as DNS can change after the webhook was added.
+export async function checkWebhookUrl(input) {
+  return (await resolveWebhookUrl(input)).error ?? null;
+}
+
+// --- DELIVER ---
+// POSTs to the addresses that were checked instead of letting the request
+// resolve the host again: a receiver with a short DNS TTL could otherwise
+// pass the check and then switch to an internal address (DNS rebinding).
+// Redirects aren't followed either. → the response status.
+function post({ url, addresses }, headers, body) {
+  const entries = addresses.map(address => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+  const lookup = (hostname, options, callback) => options.all
+    ? callback(null, entries)
+    : callback(null, entries[0].address, entries[0].family);
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === "https:" ? https : http).request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup
+    }, response => {
+      // Only the status matters
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.setTimeout(REQUEST_TIMEOUT, () => request.destroy(new Error(`No response within ${REQUEST_TIMEOUT / 1000}s`)));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// One attempt. Never throws; `permanent` failures (other 4xx answers) aren't
+// worth retrying.
+export async function deliverWebhook(webhook, type, body) {
+  const target = await resolveWebhookUrl(webhook.url);
+  if (target.error) return { ok: false, status: null, permanent: true, error: `URL ${target.error}` };
+
+  const timestamp = Date.now();
+  let status;
+  try {
+    status = await post(target, {
+      "Content-Type": "application/json",
+      "User-Agent": "ticket-helper-bot-webhooks",
+      "X-Webhook-Id": webhook.id,
+      "X-Webhook-Event": type,
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signBody(webhook.secret, timestamp, body)
+    }, body);
+  } catch (error) {
+    return { ok: false, status: null, permanent: false, error: error.message };
+  }
+
+  if (status >= 200 && status < 300) return { ok: true, status };
+  // A redirect could lead to an address the URL check would have refused
+  if (status >= 300 && status < 400) {
+    return { ok: false, status, permanent: true, error: `HTTP ${status} (redirects aren't followed)` };
+  }
+  const permanent = status >= 400 && status < 500 && ![408, 429].includes(status);
+  return { ok: false, status, permanent, error: `HTTP ${status}` };
+}
+
+// --- QUEUE ---
+// Called by recordEvent for every event. Deliveries aren't tied to the
+// ticket, so their jobs use the webhook's ID as channel and aren't cancelled
+// when the ticket data is deleted.
+export async function queueWebhooks(event) {
+  if (!event.guildId) return;
+  const { webhooks } = await getGuildConfig(event.guildId);
+
+  const payload = buildPayload(event);
+  for (const webhook of webhooks.filter(entry => isSubscribed(entry, event.type))) {
+    await scheduleJob({
+      key: `webhook:${webhook.id}:${payload.id}`,
+      type: "webhook-delivery",
+      channelId: `webhook:${webhook.id}`,
+      guildId: event.guildId,
+      runAt: Date.now(),
+      payload: { webhookId: webhook.id, type: event.type, eventId: payload.id, body: JSON.stringify(payload) }
+    });
+  }
+}
+
+// --- DEAD LETTERS ---
+async function deadLetter(guildId, webhook, { type, eventId, body }, attempts, error) {
+  await storage.webhookDeadLetters.insert({
+    guildId,
+    webhookId: webhook.id,
+    url: webhook.url,
+    eventId,
+    eventType: type,
+    body,
+    attempts,
+    lastError: error
+  });
+  console.error(`❌ Webhook ${webhook.id} gave up on ${type} event ${eventId}: ${error}`);
+}
+
+export async function getDeadLetters(guildId, limit = 10) {
+  const filter = { guildId };
+  const [letters, total] = await Promise.all([
+    storage.webhookDeadLetters.find(filter, { sort: { createdAt: -1 }, limit }),
+    storage.webhookDeadLetters.count(filter)
+  ]);
+  return { letters, total };
+}
+
+// --- JOB HANDLER ---
+export function registerWebhookJobs() {
+  registerJobHandler("webhook-delivery", async job => {
+    const { webhooks } = await getGuildConfig(job.guildId);
+    // Removed in the meantime
+    const webhook = webhooks.find(entry => entry.id === job.payload.webhookId);
+    if (!webhook) return;
+
+    const result = await deliverWebhook(webhook, job.payload.type, job.payload.body);
+    if (result.ok) return;
+
+    if (result.permanent || job.attempts >= MAX_ATTEMPTS) {
+      await deadLetter(job.guildId, webhook, job.payload, job.attempts, result.error);
+      return;
+    }
+    // Makes the scheduler try again later
+    throw new Error(`Webhook ${webhook.id} delivery failed: ${result.error}`);
+  }, { queue: "webhooks", concurrency: DELIVERY_CONCURRENCY });
+}
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import scheduleSchema from "./scheduleSchema.js";
+
+// Opt-in auto-close after the staff alert time instead of asking staff to close
+const autoCloseConfigSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  gracePeriod: { type: Number, default: null },
+  archiveCategoryId: { type: String, default: null }
+}, { _id: false });
+
+const transcriptConfigSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: true },
+  dmCreator: { type: Boolean, default: false }
+}, { _id: false });
+
+// "Snooze" button on reminders: how long it postpones and how often it can be used
+const snoozeConfigSchema = new mongoose.Schema({
+  duration: { type: Number, default: null },
+  maxSnoozes: { type: Number, default: null }
+}, { _id: false });
+
+// Whose replies pause the inactivity timer: "creator", "responsible"
+// (creator and participants) or "anyone" on the ticket (watchers too)
+const participantConfigSchema = new mongoose.Schema({
+  pauseOn: { type: String, enum: ["creator", "responsible", "anyone"], default: null }
+}, { _id: false });
+
+// What counts as activity for the timer (see lib/activity.js): meaningful
+// characters a creator reply needs unless it has an attachment (0 = any),
+// prefixes of notes the timer ignores and whether reactions to reminders count
+const activityConfigSchema = new mongoose.Schema({
+  minLength: { type: Number, default: null },
+  ignoredPrefixes: { type: [String], default: undefined },
+  reactions: { type: Boolean, default: null }
+}, { _id: false });
+
+// Business-hours calendar; when enabled, reminder and alert clocks only run
+// inside these hours. `start`/`end` are minutes after local midnight.
+const businessHoursSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  timezone: { type: String, default: null },
+  days: { type: [Number], default: undefined },
+  start: { type: Number, default: null },
+  end: { type: Number, default: null },
+  holidays: { type: [String], default: undefined }
+}, { _id: false });
+
+// Escalation levels after the staff alert: `after` is measured from the timer
+// start like the alert itself; roles are pinged in the ticket, users get a DM
+const escalationLevelSchema = new mongoose.Schema({
+  after: { type: Number, required: true },
+  roleIds: { type: [String], default: [] },
+  userIds: { type: [String], default: [] }
+}, { _id: false });
+
+const escalationConfigSchema = new mongoose.Schema({
+  levels: { type: [escalationLevelSchema], default: undefined }
+}, { _id: false });
+
+// How long the assignee of a claimed ticket has to answer the creator; 0 disables
+const claimConfigSchema = new mongoose.Schema({
+  responseWindow: { type: Number, default: null }
+}, { _id: false });
+
+// Reminder delivery: DM a copy to the creator (users can opt out with /notifications)
+const notificationConfigSchema = new mongoose.Schema({
+  dmReminders: { type: Boolean, default: null }
+}, { _id: false });
+
+// Creator/close detection: adapter names from lib/detection.js, tried in order
+const detectionConfigSchema = new mongoose.Schema({
+  adapters: { type: [String], default: undefined }
+}, { _id: false });
+
+// Daily automatic cleanup with the same criteria as /cleanup (see lib/cleanup.js)
+const cleanupConfigSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  inactiveDays: { type: Number, default: null },
+  orphaned: { type: Boolean, default: null },
+  closedDays: { type: Number, default: null }
+}, { _id: false });
+
+// Outbound webhooks for ticket events (see lib/webhooks.js); no events = all
+const webhookSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  events: { type: [String], default: [] },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Number, default: () => Date.now() }
+}, { _id: false });
+
+// Ticket types: tickets in these categories use the type's schedule, staff
+// roles and templates instead of the guild's (unset fields fall back to them)
+const ticketTypeSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  categoryIds: { type: [String], default: [] },
+  staffRoleIds: { type: [String], default: [] },
+  schedule: { type: scheduleSchema, default: null },
+  templates: { type: Map, of: String, default: undefined }
+}, { _id: false });
+
+// === GUILD CONFIG SCHEMA ===
+// Unset fields fall back to the env defaults (see lib/guildConfig.js)
+const guildConfigSchema = new mongoose.Schema({
+  guildId: { type: String, required: true, unique: true },
+  ticketCategoryIds: { type: [String], default: undefined },
+  staffRoleIds: { type: [String], default: undefined },
+  logChannelId: { type: String, default: null },
+  ticketToolBotId: { type: String, default: null },
+  schedule: { type: scheduleSchema, default: null },
+  autoClose: { type: autoCloseConfigSchema, default: null },
+  transcripts: { type: transcriptConfigSchema, default: null },
+  snooze: { type: snoozeConfigSchema, default: null },
+  participants: { type: participantConfigSchema, default: null },
+  activity: { type: activityConfigSchema, default: null },
+  businessHours: { type: businessHoursSchema, default: null },
+  escalation: { type: escalationConfigSchema, default: null },
+  claims: { type: claimConfigSchema, default: null },
+  notifications: { type: notificationConfigSchema, default: null },
+  detection: { type: detectionConfigSchema, default: null },
+  cleanup: { type: cleanupConfigSchema, default: null },
+  webhooks: { type: [webhookSchema], default: undefined },
+  // Custom message templates set with /template, keyed by catalog key (see lib/i18n.js)
+  templates: { type: Map, of: String, default: undefined },
+  ticketTypes: { type: [ticketTypeSchema], default: undefined }
+});
+
+export default mongoose.model("GuildConfig", guildConfigSchema);
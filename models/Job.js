@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// === SCHEDULED JOB SCHEMA ===
+// One document per due event (timer start, reminder N, staff alert, ...).
+// `key` is unique so scheduling the same event twice is a no-op.
+const jobSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  channelId: { type: String, required: true, index: true },
+  guildId: { type: String, default: null },
+  runAt: { type: Number, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ["pending", "running", "done", "failed"],
+    default: "pending"
+  },
+  lockedAt: { type: Number, default: null },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  // Finished jobs are kept a while so their keys keep blocking duplicates
+  finishedAt: { type: Date, default: null, expires: 7 * 24 * 60 * 60 }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+export default mongoose.model("Job", jobSchema);
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// === NOTIFICATION PREFERENCE SCHEMA ===
+// Per-user settings, shared by every server the bot is in.
+// Users without a document get the defaults.
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  dmReminders: { type: Boolean, default: true },
+  updatedAt: { type: Number, default: () => Date.now() }
+});
+
+export default mongoose.model("NotificationPreference", notificationPreferenceSchema);
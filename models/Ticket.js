@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import scheduleSchema from "./scheduleSchema.js";
+
+// Set while an auto-close grace period is running; holds what to restore on cancel
+const autoCloseSchema = new mongoose.Schema({
+  deleteAt: { type: Number, required: true },
+  previousParentId: { type: String, default: null },
+  previousSendMessages: { type: Boolean, default: null },
+  // Thread tickets only
+  previousLocked: { type: Boolean, default: null }
+}, { _id: false });
+
+// Additional users of a ticket; the creator itself stays in `creatorId`
+const participantSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  role: { type: String, enum: ["participant", "watcher"], default: "participant" },
+  addedBy: { type: String, default: null },
+  addedAt: { type: Number, default: Date.now }
+}, { _id: false });
+
+// === TICKET SCHEMA ===
+const ticketSchema = new mongoose.Schema({
+  channelId: { type: String, required: true, unique: true },
+  guildId: { type: String, default: null },
+  creatorId: { type: String, required: true },
+  // Name of the ticket type (see GuildConfig.ticketTypes), from the category it was opened in
+  type: { type: String, default: null },
+  participants: { type: [participantSchema], default: [] },
+  // Discord locale of the creator, picked up from their interactions
+  locale: { type: String, default: null },
+  timerStartTime: { type: Number, default: null },
+  // Bumped on every timer start/stop so scheduled jobs of older runs are ignored
+  timerCycle: { type: Number, default: 0 },
+  reminderCount: { type: Number, default: 0 },
+  alertedAt: { type: Number, default: null },
+  // Highest escalation level sent in this timer run; the staff alert is level 1
+  escalationLevel: { type: Number, default: 0 },
+  // Staff member who took over the ticket with "I'm on it"; stops escalation
+  claimedBy: { type: String, default: null },
+  claimedAt: { type: Number, default: null },
+  // First creator/participant message staff haven't answered yet (staff inactivity timer)
+  awaitingStaffSince: { type: Number, default: null },
+  snoozeCount: { type: Number, default: 0 },
+  schedule: { type: scheduleSchema, default: null },
+  autoClose: { type: autoCloseSchema, default: null },
+  // Set when a detection adapter saw the ticket bot close the ticket (see lib/detection.js)
+  // or its channel was deleted; cleared again on reopen
+  closedAt: { type: Number, default: null },
+  closedBy: { type: String, default: null },
+  // Lifecycle state the timer was paused in on close, resumed on reopen (see lib/lifecycle.js)
+  closedTimerState: { type: String, default: null },
+  // Set once a transcript was archived, so channel deletion doesn't post a second one
+  transcriptAt: { type: Number, default: null }
+});
+
+export default mongoose.model("Ticket", ticketSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// === TICKET EVENT SCHEMA ===
+// Append-only audit log of everything that happens to a ticket.
+// Events outlive the ticket document so history survives deletion.
+const ticketEventSchema = new mongoose.Schema({
+  guildId: { type: String, default: null },
+  channelId: { type: String, required: true },
+  type: { type: String, required: true },
+  actorId: { type: String, default: null }, // null = the bot itself
+  createdAt: { type: Number, default: () => Date.now() },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} }
+});
+
+ticketEventSchema.index({ channelId: 1, createdAt: 1 });
+ticketEventSchema.index({ guildId: 1, type: 1, createdAt: 1 });
+
+export default mongoose.model("TicketEvent", ticketEventSchema);
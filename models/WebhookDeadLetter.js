@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// === WEBHOOK DEAD LETTER SCHEMA ===
+// A ticket event that couldn't be delivered to a guild's webhook, kept with
+// the exact body so it can be inspected (and replayed by hand).
+const webhookDeadLetterSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  webhookId: { type: String, required: true },
+  url: { type: String, required: true },
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+  body: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+webhookDeadLetterSchema.index({ guildId: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDeadLetter", webhookDeadLetterSchema);
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// === SCHEDULE SUB-SCHEMA ===
+// Shared by GuildConfig (guild default) and Ticket (per-ticket override).
+// Durations are in ms; unset fields inherit from the next layer up.
+const scheduleSchema = new mongoose.Schema({
+  startDelay: { type: Number, default: null },
+  reminderOffsets: { type: [Number], default: undefined },
+  maxReminders: { type: Number, default: null },
+  alertOffset: { type: Number, default: null }
+}, { _id: false });
+
+export default scheduleSchema;
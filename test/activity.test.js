@@ -0,0 +1,57 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateMessage, getMeaningfulLength } from "../lib/activity.js";
+
+const ACTIVITY = { minLength: 5, ignoredPrefixes: ["//", "!note"], reactions: false };
+
+// Only what evaluateMessage reads from a discord.js Message
+function createMessage(content, attachments = 0) {
+  return { content, attachments: { size: attachments } };
+}
+
+describe("meaningful length", () => {
+  test("emoji, mentions and punctuation don't count", () => {
+    assert.equal(getMeaningfulLength("👍 <:thumbsup:123456789012345678> <@123456789012345678>!!"), 0);
+    assert.equal(getMeaningfulLength("<#123456789012345678> <@&123456789012345678> ..."), 0);
+    assert.equal(getMeaningfulLength("ok!! <@!123456789012345678>"), 2);
+  });
+
+  test("letters in any script and digits count", () => {
+    assert.equal(getMeaningfulLength("Grüße, 42"), 7);
+  });
+});
+
+describe("activity rules", () => {
+  test("without a minimum length every message counts", () => {
+    assert.deepEqual(evaluateMessage(createMessage("k"), { ...ACTIVITY, minLength: 0 }), { counts: true, rule: "any" });
+  });
+
+  test("the minimum length counts, one character less doesn't", () => {
+    assert.deepEqual(evaluateMessage(createMessage("hello"), ACTIVITY), { counts: true, rule: "length", length: 5, minLength: 5 });
+    assert.deepEqual(evaluateMessage(createMessage("hell!"), ACTIVITY), { counts: false, rule: "too_short", length: 4, minLength: 5 });
+  });
+
+  test("emoji and mentions alone are too short", () => {
+    const message = createMessage("🎉🎉 <@123456789012345678> <a:party:123456789012345678>");
+    assert.deepEqual(evaluateMessage(message, ACTIVITY), { counts: false, rule: "too_short", length: 0, minLength: 5 });
+  });
+
+  test("an attachment counts without any text", () => {
+    assert.deepEqual(evaluateMessage(createMessage("", 1), ACTIVITY), { counts: true, rule: "attachment" });
+  });
+
+  test("ignored prefixes never count, not even for staff or with an attachment", () => {
+    for (const options of [{}, { isStaff: true }]) {
+      assert.deepEqual(
+        evaluateMessage(createMessage("  // checked the logs, nothing there", 1), ACTIVITY, options),
+        { counts: false, rule: "prefix", prefix: "//" }
+      );
+    }
+    assert.equal(evaluateMessage(createMessage("!note waiting on the creator"), ACTIVITY).rule, "prefix");
+    assert.equal(evaluateMessage(createMessage("see // the docs"), ACTIVITY).rule, "length");
+  });
+
+  test("staff messages bypass the minimum length", () => {
+    assert.deepEqual(evaluateMessage(createMessage("👍"), ACTIVITY, { isStaff: true }), { counts: true, rule: "any" });
+  });
+});
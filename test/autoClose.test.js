@@ -0,0 +1,109 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PermissionFlagsBits } from "discord.js";
+import { connectStorage, disconnectStorage, storage } from "../lib/storage.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+import { startAutoClose, cancelAutoClose } from "../lib/autoClose.js";
+
+const GUILD = { id: "guild-1", preferredLocale: "en-US", channels: { cache: new Map() } };
+
+function createTicket(channelId) {
+  return {
+    channelId,
+    guildId: GUILD.id,
+    creatorId: "creator-1",
+    participants: [],
+    autoClose: null,
+    timerStartTime: Date.now(),
+    reminderCount: 3,
+    async save() {}
+  };
+}
+
+// Only what lib/autoClose.js uses from a discord.js channel
+function createChannel(id, fields) {
+  return {
+    id,
+    guild: GUILD,
+    sent: [],
+    async send(message) { this.sent.push(message); },
+    toString: () => `<#${id}>`,
+    ...fields
+  };
+}
+
+function createThread({ locked = false } = {}) {
+  return createChannel("thread-1", {
+    locked,
+    parentId: "forum-1",
+    isThread: () => true,
+    async setLocked(value) { this.locked = value; }
+  });
+}
+
+function createTextChannel() {
+  const overwrites = new Map();
+  return createChannel("channel-1", {
+    parentId: "tickets-1",
+    isThread: () => false,
+    async setParent(parentId) { this.parentId = parentId; },
+    permissionOverwrites: {
+      cache: new Map([["creator-1", {
+        allow: { has: flag => flag === PermissionFlagsBits.SendMessages },
+        deny: { has: () => false }
+      }]]),
+      async edit(userId, permissions) { overwrites.set(userId, permissions); }
+    },
+    overwrites
+  });
+}
+
+async function getConfig() {
+  const config = await getGuildConfig(GUILD.id);
+  return { ...config, autoClose: { ...config.autoClose, enabled: true, archiveCategoryId: "archive-1" } };
+}
+
+describe("auto-close", () => {
+  before(() => connectStorage("memory"));
+  after(() => disconnectStorage());
+
+  test("a thread ticket is locked instead of moved, and unlocked on cancel", async () => {
+    const thread = createThread();
+    const ticket = createTicket(thread.id);
+
+    await startAutoClose(thread, ticket, await getConfig(), { solved: true });
+    assert.equal(thread.locked, true);
+    assert.equal(thread.parentId, "forum-1");
+    assert.equal(ticket.autoClose.previousLocked, false);
+    assert.equal(thread.sent.length, 1);
+    assert.equal(await storage.jobs.count({ channelId: thread.id, type: "autoclose-delete" }), 1);
+
+    await cancelAutoClose(thread, ticket);
+    assert.equal(thread.locked, false);
+    assert.equal(ticket.autoClose, null);
+    assert.equal(await storage.jobs.count({ channelId: thread.id, type: "autoclose-delete" }), 0);
+  });
+
+  test("a thread that was locked before stays locked on cancel", async () => {
+    const thread = createThread({ locked: true });
+    const ticket = createTicket(thread.id);
+
+    await startAutoClose(thread, ticket, await getConfig(), { inactiveMs: 0 });
+    await cancelAutoClose(thread, ticket);
+    assert.equal(thread.locked, true);
+  });
+
+  test("a channel ticket denies the creator and moves to the archive, and is restored on cancel", async () => {
+    const channel = createTextChannel();
+    const ticket = createTicket(channel.id);
+
+    await startAutoClose(channel, ticket, await getConfig(), { solved: true });
+    assert.deepEqual(channel.overwrites.get("creator-1"), { SendMessages: false });
+    assert.equal(channel.parentId, "archive-1");
+    assert.equal(ticket.autoClose.previousParentId, "tickets-1");
+
+    await cancelAutoClose(channel, ticket);
+    assert.deepEqual(channel.overwrites.get("creator-1"), { SendMessages: true });
+    assert.equal(channel.parentId, "tickets-1");
+  });
+});
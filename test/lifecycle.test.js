@@ -0,0 +1,446 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createLifecycle } from "../lib/lifecycle.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// The default schedule: start after 10 min, reminders at 6h/12h/18h, staff alert at 24h
+const CONFIG = {
+  schedule: null,
+  businessHours: { enabled: false },
+  autoClose: { enabled: false },
+  escalation: { levels: [] }
+};
+
+const JOB_EVENTS = {
+  "timer-start": "start_due",
+  reminder: "reminder_due",
+  "staff-alert": "alert_due",
+  escalation: "escalation_due"
+};
+
+function createTicket(fields = {}) {
+  return {
+    channelId: "channel-1",
+    guildId: "guild-1",
+    creatorId: "creator-1",
+    schedule: null,
+    timerStartTime: null,
+    timerCycle: 0,
+    reminderCount: 0,
+    alertedAt: null,
+    escalationLevel: 0,
+    claimedBy: null,
+    snoozeCount: 0,
+    autoClose: null,
+    closedAt: null,
+    closedBy: null,
+    closedTimerState: null,
+    ...fields
+  };
+}
+
+// --- FAKE BOT ---
+// Fake clock and job queue for one ticket. Time only moves with advance(),
+// which runs the jobs that come due on the way like lib/scheduler.js would:
+// oldest first, each taken off the queue before it runs. `saved` is what
+// survives a restart.
+function createBot({ ticket = createTicket(), config = {}, jobs = [], now = Date.UTC(2026, 0, 5, 9) } = {}) {
+  const bot = {
+    clock: { time: now, now: () => bot.clock.time },
+    ticket,
+    jobs: [...jobs],
+    sent: [],
+    events: [],
+    saved: null,
+    channelDeleted: false
+  };
+
+  const effects = {
+    save: async ticket => {
+      bot.saved = structuredClone(ticket);
+    },
+    getConfig: async () => ({ ...CONFIG, ...config }),
+    scheduleJob: async job => {
+      if (!bot.jobs.some(existing => existing.key === job.key)) bot.jobs.push(job);
+    },
+    cancelJobs: async (channelId, types) => {
+      bot.jobs = bot.jobs.filter(job => job.channelId !== channelId || (types && !types.includes(job.type)));
+    },
+    getNextJob: async (channelId, types) => bot.jobs
+      .filter(job => job.channelId === channelId && (!types || types.includes(job.type)))
+      .sort((a, b) => a.runAt - b.runAt)[0] ?? null,
+    fetchChannel: async ticket => bot.channelDeleted ? null : { id: ticket.channelId },
+    sendReminder: async (channel, ticket, number) => bot.sent.push(`reminder ${number}`),
+    sendStaffAlert: async () => bot.sent.push("staff alert"),
+    sendEscalation: async (channel, ticket, level) => bot.sent.push(`escalation ${level.number}`),
+    recordEvent: async (channel, event) => bot.events.push(event.type)
+  };
+  const lifecycle = createLifecycle({ effects, clock: bot.clock });
+
+  bot.dispatch = event => lifecycle.dispatch(bot.ticket, event);
+  bot.state = () => lifecycle.getState(bot.ticket);
+
+  bot.runDueJobs = async () => {
+    let job;
+    while ((job = bot.jobs.filter(job => job.runAt <= bot.clock.time).sort((a, b) => a.runAt - b.runAt)[0])) {
+      bot.jobs = bot.jobs.filter(other => other !== job);
+      await bot.dispatch({ type: JOB_EVENTS[job.type], runAt: job.runAt, ...job.payload });
+    }
+  };
+
+  bot.advance = async ms => {
+    const until = bot.clock.time + ms;
+    let job;
+    while ((job = bot.jobs.filter(job => job.runAt <= until).sort((a, b) => a.runAt - b.runAt)[0])) {
+      bot.clock.time = Math.max(bot.clock.time, job.runAt);
+      await bot.runDueJobs();
+    }
+    bot.clock.time = until;
+  };
+
+  return bot;
+}
+
+// A running timer: staff replied and the start delay is over
+async function createCountingBot(options) {
+  const bot = createBot(options);
+  await bot.dispatch({ type: "staff_message" });
+  await bot.advance(10 * MINUTE);
+  return bot;
+}
+
+describe("ticket lifecycle", () => {
+  test("a ticket that isn't stored yet is awaiting its creator and ignores events", async () => {
+    const bot = createBot({ ticket: null });
+    await bot.dispatch({ type: "staff_message" });
+
+    assert.equal(await bot.state(), "awaiting-creator");
+    assert.deepEqual(bot.jobs, []);
+  });
+
+  test("a new ticket is stopped", async () => {
+    const bot = createBot();
+    assert.equal(await bot.state(), "stopped");
+  });
+
+  test("staff message starts the timer after the start delay", async () => {
+    const bot = createBot();
+    const start = bot.clock.now();
+    await bot.dispatch({ type: "staff_message" });
+
+    assert.equal(await bot.state(), "pending-start");
+    assert.deepEqual(bot.jobs.map(job => [job.type, job.runAt]), [["timer-start", start + 10 * MINUTE]]);
+
+    await bot.advance(10 * MINUTE);
+    assert.equal(await bot.state(), "counting");
+    assert.equal(bot.ticket.timerStartTime, start + 10 * MINUTE);
+    assert.deepEqual(bot.events, ["timer_started"]);
+    assert.deepEqual(bot.jobs.map(job => job.type), ["reminder", "reminder", "reminder", "staff-alert"]);
+  });
+
+  test("reminders go out on schedule until the staff alert", async () => {
+    const bot = await createCountingBot();
+
+    await bot.advance(6 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+    assert.equal(bot.ticket.reminderCount, 1);
+
+    await bot.advance(17 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1", "reminder 2", "reminder 3"]);
+    assert.equal(await bot.state(), "counting");
+
+    await bot.advance(HOUR);
+    assert.deepEqual(bot.sent.at(-1), "staff alert");
+    assert.equal(await bot.state(), "alerted");
+    assert.equal(bot.ticket.alertedAt, bot.clock.now());
+    assert.equal(bot.ticket.escalationLevel, 1);
+  });
+
+  test("escalation levels follow an unclaimed staff alert", async () => {
+    const bot = await createCountingBot({
+      config: { escalation: { levels: [{ after: 30 * HOUR, roleIds: ["role-1"], userIds: [] }] } }
+    });
+
+    await bot.advance(30 * HOUR);
+    assert.deepEqual(bot.sent.slice(-2), ["staff alert", "escalation 2"]);
+    assert.equal(bot.ticket.escalationLevel, 2);
+  });
+
+  test("a claimed ticket isn't escalated", async () => {
+    const bot = await createCountingBot({
+      config: { escalation: { levels: [{ after: 30 * HOUR, roleIds: ["role-1"], userIds: [] }] } }
+    });
+    bot.ticket.claimedBy = "staff-1";
+
+    await bot.advance(30 * HOUR);
+    assert.equal(bot.sent.at(-1), "staff alert");
+  });
+
+  test("unclaiming a ticket brings its escalation levels back", async () => {
+    const bot = await createCountingBot({
+      config: { escalation: { levels: [{ after: 30 * HOUR, roleIds: ["role-1"], userIds: [] }] } }
+    });
+    // What claimTicket does
+    bot.ticket.claimedBy = "staff-1";
+    bot.jobs = bot.jobs.filter(job => job.type !== "escalation");
+    await bot.advance(26 * HOUR);
+
+    bot.ticket.claimedBy = null;
+    await bot.dispatch({ type: "reschedule" });
+    await bot.advance(4 * HOUR);
+    assert.deepEqual(bot.sent.slice(-2), ["staff alert", "escalation 2"]);
+  });
+
+  test("creator reply stops the timer", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(7 * HOUR);
+
+    await bot.dispatch({ type: "creator_message" });
+    assert.equal(await bot.state(), "stopped");
+    assert.equal(bot.ticket.timerStartTime, null);
+    assert.equal(bot.ticket.reminderCount, 0);
+    assert.deepEqual(bot.jobs, []);
+
+    await bot.advance(48 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+  });
+
+  test("creator reply cancels a pending start", async () => {
+    const bot = createBot();
+    await bot.dispatch({ type: "staff_message" });
+    await bot.dispatch({ type: "creator_message" });
+
+    assert.equal(await bot.state(), "stopped");
+    await bot.advance(48 * HOUR);
+    assert.deepEqual(bot.sent, []);
+  });
+
+  test("staff message restarts a running timer from scratch", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(7 * HOUR);
+    const cycle = bot.ticket.timerCycle;
+
+    await bot.dispatch({ type: "staff_message" });
+    assert.equal(await bot.state(), "pending-start");
+    assert.equal(bot.ticket.timerCycle, cycle + 1);
+    assert.equal(bot.ticket.reminderCount, 0);
+    assert.deepEqual(bot.jobs.map(job => job.type), ["timer-start"]);
+
+    // The next reminder counts from the new start
+    await bot.advance(10 * MINUTE + 6 * HOUR - 1);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+    await bot.advance(1);
+    assert.deepEqual(bot.sent, ["reminder 1", "reminder 1"]);
+  });
+
+  test("an alerted ticket goes back to pending-start on a staff message", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(24 * HOUR);
+    assert.equal(await bot.state(), "alerted");
+
+    await bot.dispatch({ type: "staff_message" });
+    assert.equal(await bot.state(), "pending-start");
+    assert.equal(bot.ticket.alertedAt, null);
+    assert.equal(bot.ticket.escalationLevel, 0);
+  });
+
+  test("restart counts right away, without the start delay", async () => {
+    const bot = createBot();
+    await bot.dispatch({ type: "restart" });
+
+    assert.equal(await bot.state(), "counting");
+    assert.equal(bot.ticket.timerStartTime, bot.clock.now());
+    await bot.advance(6 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+  });
+
+  test("jobs of an older timer run are ignored", async () => {
+    const bot = await createCountingBot();
+    const staleCycle = bot.ticket.timerCycle;
+    await bot.dispatch({ type: "staff_message" });
+
+    await bot.dispatch({ type: "reminder_due", cycle: staleCycle, number: 1 });
+    await bot.dispatch({ type: "alert_due", cycle: staleCycle });
+    assert.deepEqual(bot.sent, []);
+    assert.equal(await bot.state(), "pending-start");
+  });
+
+  test("snooze pushes the remaining reminders back", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(6 * HOUR);
+
+    await bot.dispatch({ type: "snooze", duration: 24 * HOUR });
+    assert.equal(bot.ticket.snoozeCount, 1);
+    await bot.advance(24 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+    await bot.advance(6 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1", "reminder 2"]);
+  });
+
+  test("nothing is sent into a deleted channel", async () => {
+    const bot = await createCountingBot();
+    bot.channelDeleted = true;
+
+    await bot.advance(24 * HOUR);
+    assert.deepEqual(bot.sent, []);
+    assert.equal(bot.ticket.reminderCount, 0);
+  });
+
+  test("unknown events are rejected", async () => {
+    const bot = createBot();
+    await assert.rejects(bot.dispatch({ type: "nonsense" }), /Unknown lifecycle event/);
+  });
+});
+
+describe("close and reopen", () => {
+  test("close pauses a counting timer", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(7 * HOUR);
+
+    await bot.dispatch({ type: "close", closedBy: "staff-1" });
+    assert.equal(await bot.state(), "closed");
+    assert.equal(bot.ticket.closedAt, bot.clock.now());
+    assert.equal(bot.ticket.closedBy, "staff-1");
+    assert.deepEqual(bot.jobs, []);
+
+    await bot.advance(48 * HOUR);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+  });
+
+  test("reopen resumes the timer without counting the time it was closed", async () => {
+    const bot = await createCountingBot();
+    await bot.advance(7 * HOUR);
+    await bot.dispatch({ type: "close" });
+    await bot.advance(48 * HOUR);
+
+    await bot.dispatch({ type: "reopen" });
+    assert.equal(await bot.state(), "counting");
+    assert.equal(bot.ticket.closedAt, null);
+    assert.equal(bot.ticket.reminderCount, 1);
+
+    // Reminder 2 was 5 hours away when the ticket was closed
+    await bot.advance(5 * HOUR - 1);
+    assert.deepEqual(bot.sent, ["reminder 1"]);
+    await bot.advance(1);
+    assert.deepEqual(bot.sent, ["reminder 1", "reminder 2"]);
+  });
+
+  test("reopen of a pending start waits the start delay again", async () => {
+    const bot = createBot();
+    await bot.dispatch({ type: "staff_message" });
+    await bot.advance(5 * MINUTE);
+    await bot.dispatch({ type: "close" });
+    assert.equal(bot.ticket.closedTimerState, "pending-start");
+
+    await bot.advance(HOUR);
+    await bot.dispatch({ type: "reopen" });
+    assert.equal(await bot.state(), "pending-start");
+    assert.deepEqual(bot.jobs.map(job => [job.type, job.runAt]), [["timer-start", bot.clock.now() + 10 * MINUTE]]);
+  });
+
+  test("a stopped ticket stays stopped when reopened", async () => {
+    const bot = createBot();
+    await bot.dispatch({ type: "close" });
+    await bot.dispatch({ type: "reopen" });
+
+    assert.equal(await bot.state(), "stopped");
+    assert.deepEqual(bot.jobs, []);
+  });
+
+  test("a closed ticket ignores messages, commands and restore", async () => {
+    const bot = await createCountingBot();
+    await bot.dispatch({ type: "close" });
+
+    for (const type of ["staff_message", "creator_message", "restart", "restore", "close"]) {
+      await bot.dispatch({ type });
+    }
+    assert.equal(await bot.state(), "closed");
+    assert.deepEqual(bot.jobs, []);
+  });
+
+  test("stop while closed leaves nothing to resume", async () => {
+    const bot = await createCountingBot();
+    await bot.dispatch({ type: "close" });
+    await bot.dispatch({ type: "stop" });
+    assert.equal(await bot.state(), "closed");
+
+    await bot.dispatch({ type: "reopen" });
+    assert.equal(await bot.state(), "stopped");
+    assert.deepEqual(bot.jobs, []);
+  });
+
+  test("reopen is ignored for an open ticket", async () => {
+    const bot = await createCountingBot();
+    const { timerStartTime } = bot.ticket;
+    await bot.advance(HOUR);
+
+    await bot.dispatch({ type: "reopen" });
+    assert.equal(bot.ticket.timerStartTime, timerStartTime);
+  });
+});
+
+describe("restart and restore", () => {
+  test("restore re-queues the remaining jobs of a counting timer at their original times", async () => {
+    const before = await createCountingBot();
+    await before.advance(7 * HOUR);
+    const remaining = before.jobs.map(job => [job.key, job.runAt]);
+
+    // The process restarts with the stored ticket, but its jobs got lost
+    const after = createBot({ ticket: before.saved, now: before.clock.now() });
+    await after.dispatch({ type: "restore" });
+
+    assert.equal(await after.state(), "counting");
+    assert.deepEqual(after.jobs.map(job => [job.key, job.runAt]), remaining);
+    assert.ok(!after.jobs.some(job => job.payload.number === 1));
+
+    await after.advance(5 * HOUR);
+    assert.deepEqual(after.sent, ["reminder 2"]);
+  });
+
+  test("restore is idempotent", async () => {
+    const bot = await createCountingBot();
+    const jobs = bot.jobs.map(job => job.key);
+
+    await bot.dispatch({ type: "restore" });
+    await bot.dispatch({ type: "restore" });
+    assert.deepEqual(bot.jobs.map(job => job.key), jobs);
+  });
+
+  test("restore leaves stopped, alerted and closing tickets alone", async () => {
+    for (const fields of [{}, { timerStartTime: 1, alertedAt: 2 }, { timerStartTime: 1, autoClose: { deleteAt: 3 } }]) {
+      const bot = createBot({ ticket: createTicket(fields) });
+      await bot.dispatch({ type: "restore" });
+      assert.deepEqual(bot.jobs, []);
+    }
+  });
+
+  test("after downtime only the latest due reminder is sent", async () => {
+    const before = await createCountingBot();
+    await before.advance(HOUR);
+
+    // Down from 1h to 20h; the stored jobs are all due when the bot is back
+    const after = createBot({ ticket: before.saved, jobs: before.jobs, now: before.clock.now() + 19 * HOUR });
+    await after.runDueJobs();
+
+    assert.deepEqual(after.sent, ["reminder 3"]);
+    assert.equal(after.ticket.reminderCount, 3);
+
+    await after.advance(5 * HOUR);
+    assert.deepEqual(after.sent, ["reminder 3", "staff alert"]);
+  });
+
+  test("a timer start that came due during downtime counts from when it was due", async () => {
+    const before = createBot();
+    await before.dispatch({ type: "staff_message" });
+    const dueAt = before.jobs[0].runAt;
+
+    const after = createBot({ ticket: before.saved, jobs: before.jobs, now: dueAt + 2 * HOUR });
+    await after.runDueJobs();
+
+    assert.equal(await after.state(), "counting");
+    assert.equal(after.ticket.timerStartTime, dueAt);
+    assert.equal(after.jobs.find(job => job.type === "reminder").runAt, dueAt + 6 * HOUR);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import mongoose from "mongoose";
+import { matches, applyUpdate, fromFilter, sortDocuments } from "../lib/storage/query.js";
+import { createMemoryCollection } from "../lib/storage/memory.js";
+import { connectFile } from "../lib/storage/file.js";
+import Ticket from "../models/Ticket.js";
+import Job from "../models/Job.js";
+import GuildConfig from "../models/GuildConfig.js";
+
+const { ObjectId } = mongoose.Types;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("query", () => {
+  test("a condition on an array field matches the array or any element", () => {
+    const doc = { staffRoleIds: ["a", "b"] };
+    assert.ok(matches(doc, { staffRoleIds: "b" }));
+    assert.ok(matches(doc, { staffRoleIds: ["a", "b"] }));
+    assert.ok(!matches(doc, { staffRoleIds: "c" }));
+    assert.ok(!matches(doc, { staffRoleIds: ["b", "a"] }));
+  });
+
+  test("null matches null and missing fields, $ne null only set ones", () => {
+    assert.ok(matches({ closedAt: null }, { closedAt: null }));
+    assert.ok(matches({}, { closedAt: null }));
+    assert.ok(matches({ cleanup: {} }, { "cleanup.closedDays": null }));
+    assert.ok(!matches({ closedAt: 5 }, { closedAt: null }));
+    assert.ok(matches({ closedAt: 5 }, { closedAt: { $ne: null } }));
+    assert.ok(!matches({}, { closedAt: { $ne: null } }));
+  });
+
+  test("$in and $nin", () => {
+    assert.ok(matches({ type: "reminder" }, { type: { $in: ["reminder", "staff-alert"] } }));
+    assert.ok(!matches({ type: "escalation" }, { type: { $in: ["reminder", "staff-alert"] } }));
+    assert.ok(matches({ type: "escalation" }, { type: { $nin: ["reminder"] } }));
+    assert.ok(matches({ tags: ["x", "y"] }, { tags: { $in: ["y"] } }));
+    assert.ok(!matches({ tags: ["x", "y"] }, { tags: { $nin: ["y"] } }));
+    assert.ok(matches({}, { type: { $in: [null] } }));
+    assert.ok(matches({}, { type: { $nin: ["reminder"] } }));
+  });
+
+  test("unsupported operators throw instead of matching wrongly", () => {
+    assert.throws(() => matches({}, { $or: [] }), /Unsupported query operator \$or/);
+    assert.throws(() => matches({}, { runAt: { $regex: "x" } }), /Unsupported query operator \$regex/);
+  });
+
+  test("$setOnInsert only applies when the update inserts", () => {
+    const update = { $set: { status: "running" }, $setOnInsert: { key: "k", status: "pending" } };
+    assert.deepEqual(applyUpdate({ key: "old" }, update), { key: "old", status: "running" });
+    assert.deepEqual(applyUpdate({}, { $setOnInsert: { key: "k" } }, { inserting: true }), { key: "k" });
+  });
+
+  test("$addToSet with $each skips values already in the list", () => {
+    const doc = applyUpdate({ staffRoleIds: ["a"] }, { $addToSet: { staffRoleIds: { $each: ["a", "b", "b"] } } });
+    assert.deepEqual(doc.staffRoleIds, ["a", "b"]);
+    assert.deepEqual(applyUpdate({}, { $addToSet: { ticketCategoryIds: "c" } }).ticketCategoryIds, ["c"]);
+  });
+
+  test("$unset removes nested paths and leaves their siblings", () => {
+    const doc = applyUpdate({ cleanup: { enabled: true, closedDays: 3 } }, { $unset: { "cleanup.closedDays": "", "missing.path": "" } });
+    assert.deepEqual(doc, { cleanup: { enabled: true } });
+  });
+
+  test("ObjectIds sort by creation time", () => {
+    const [older, newer] = [1000, 2000].map(seconds => ({ _id: ObjectId.createFromTime(seconds) }));
+    assert.deepEqual(sortDocuments([newer, older], { _id: 1 }), [older, newer]);
+    assert.deepEqual(sortDocuments([older, newer], { _id: -1 }), [newer, older]);
+  });
+
+  test("an upsert starts from the filter's equality fields", () => {
+    const filter = { guildId: "g1", "cleanup.enabled": true, runAt: { $lte: 5 } };
+    assert.deepEqual(fromFilter(filter), { guildId: "g1", cleanup: { enabled: true } });
+  });
+});
+
+describe("memory backend", () => {
+  test("upserts create the document from the filter and the update", async () => {
+    const configs = createMemoryCollection(GuildConfig);
+    await configs.updateOne({ guildId: "g1" }, { $set: { logChannelId: "c1" } }, { upsert: true });
+    await configs.updateOne({ guildId: "g2" }, { $set: { logChannelId: "c2" } });
+
+    const docs = await configs.find({});
+    assert.equal(docs.length, 1);
+    assert.equal(docs[0].guildId, "g1");
+    assert.equal(docs[0].logChannelId, "c1");
+  });
+
+  test("documents whose TTL ran out are pruned", async () => {
+    const jobs = createMemoryCollection(Job);
+    const now = Date.now();
+    const job = { type: "reminder", channelId: "c1", runAt: now, status: "done" };
+    await jobs.insert({ ...job, key: "expired", finishedAt: new Date(now - 8 * DAY) });
+    await jobs.insert({ ...job, key: "recent", finishedAt: new Date(now - DAY) });
+    await jobs.insert({ ...job, key: "pending", status: "pending" });
+
+    assert.equal(jobs.prune(now), true);
+    assert.deepEqual((await jobs.find({}, { sort: { key: 1 } })).map(entry => entry.key), ["pending", "recent"]);
+    assert.equal(jobs.prune(now), false);
+  });
+});
+
+describe("file backend", () => {
+  test("Dates and ObjectIds survive a round trip through the file", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "storage-test-"));
+    const file = join(dir, "storage.json");
+    const models = { tickets: Ticket, jobs: Job };
+
+    try {
+      const first = await connectFile(models, { file });
+      const ticket = await first.collections.tickets.insert({ channelId: "c1", creatorId: "u1" });
+      const finishedAt = new Date(Date.now() - DAY);
+      await first.collections.jobs.insert({ key: "k", type: "reminder", channelId: "c1", runAt: 1, status: "done", finishedAt });
+      await first.disconnect();
+
+      const second = await connectFile(models, { file });
+      const [loaded] = await second.collections.tickets.find({});
+      const [job] = await second.collections.jobs.find({});
+      await second.disconnect();
+
+      assert.ok(loaded._id instanceof ObjectId);
+      assert.ok(loaded._id.equals(ticket._id));
+      assert.equal(loaded._id.getTimestamp().getTime(), ticket._id.getTimestamp().getTime());
+      assert.ok(job.finishedAt instanceof Date);
+      assert.equal(job.finishedAt.getTime(), finishedAt.getTime());
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { connectStorage, disconnectStorage, storage } from "../lib/storage.js";
+import { updateGuildConfig } from "../lib/guildConfig.js";
+import { startScheduler, stopScheduler } from "../lib/scheduler.js";
+import {
+  createWebhook, signBody, checkWebhookUrl, deliverWebhook, queueWebhooks, registerWebhookJobs
+} from "../lib/webhooks.js";
+
+// --- LOCAL RECEIVER ---
+// Answers by path and records every request it got
+const received = [];
+const RESPONSES = {
+  "/ok": 204,
+  "/missing": 404,
+  "/unavailable": 503,
+  "/redirect": 302
+};
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    // Dropped connection, like a receiver that crashed or timed out
+    if (req.url === "/hangup") return req.socket.destroy();
+    const status = RESPONSES[req.url] ?? 404;
+    res.writeHead(status, status === 302 ? { Location: "/ok" } : {});
+    res.end();
+  });
+});
+
+let baseUrl;
+const hits = path => received.filter(request => request.path === path).length;
+
+// Sets the webhook opt-ins for one test, then puts them back
+async function withEnv(values, run) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  const apply = entries => {
+    for (const [key, value] of Object.entries(entries)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+  apply(values);
+  try {
+    await run();
+  } finally {
+    apply(previous);
+  }
+}
+
+// Queues one event for a webhook to `path` and lets the scheduler attempt it once
+let guildCount = 0;
+async function runDelivery(path) {
+  const guildId = `guild-${++guildCount}`;
+  const webhook = createWebhook({ url: `${baseUrl}${path}` });
+  await updateGuildConfig(guildId, { set: { webhooks: [webhook] } });
+  await queueWebhooks({ guildId, channelId: "channel-1", type: "reminder_sent", createdAt: Date.now(), metadata: {} });
+
+  startScheduler();
+  try {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+      const job = await storage.jobs.findOne({ guildId, type: "webhook-delivery" });
+      if (job.status === "done" || job.status === "failed" || (job.status === "pending" && job.attempts)) {
+        return { job, deadLetters: await storage.webhookDeadLetters.find({ guildId }) };
+      }
+      if (Date.now() > deadline) throw new Error(`Delivery to ${path} didn't finish (${job.status})`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  } finally {
+    stopScheduler();
+  }
+}
+
+describe("webhooks", () => {
+  before(async () => {
+    process.env.WEBHOOK_ALLOW_HTTP = "true";
+    process.env.WEBHOOK_ALLOW_PRIVATE = "true";
+    await connectStorage("memory");
+    registerWebhookJobs();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    delete process.env.WEBHOOK_ALLOW_HTTP;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    await new Promise(resolve => server.close(resolve));
+    await disconnectStorage();
+  });
+
+  test("deliveries are signed with the webhook's secret", async () => {
+    const webhook = createWebhook({ url: `${baseUrl}/ok` });
+    const body = JSON.stringify({ version: 1, type: "reminder_sent" });
+
+    assert.deepEqual(await deliverWebhook(webhook, "reminder_sent", body), { ok: true, status: 204 });
+    const { headers, body: receivedBody } = received.at(-1);
+    assert.equal(receivedBody, body);
+    assert.equal(headers["x-webhook-id"], webhook.id);
+    assert.equal(headers["x-webhook-event"], "reminder_sent");
+    assert.equal(headers["x-webhook-signature"], signBody(webhook.secret, headers["x-webhook-timestamp"], receivedBody));
+    assert.notEqual(headers["x-webhook-signature"], signBody("wrong secret", headers["x-webhook-timestamp"], receivedBody));
+  });
+
+  test("host names connect to the addresses that were checked", async () => {
+    const result = await deliverWebhook(createWebhook({ url: `${baseUrl.replace("127.0.0.1", "localhost")}/ok` }), "reminder_sent", "{}");
+    assert.deepEqual(result, { ok: true, status: 204 });
+  });
+
+  test("a 4xx answer isn't retried and ends up as a dead letter", async () => {
+    const { job, deadLetters } = await runDelivery("/missing");
+    assert.equal(hits("/missing"), 1);
+    assert.equal(job.status, "done");
+    assert.equal(deadLetters.length, 1);
+    assert.equal(deadLetters[0].lastError, "HTTP 404");
+    assert.equal(deadLetters[0].attempts, 1);
+  });
+
+  test("a 5xx answer is retried later", async () => {
+    const { job, deadLetters } = await runDelivery("/unavailable");
+    assert.equal(job.status, "pending");
+    assert.equal(job.attempts, 1);
+    assert.match(job.lastError, /HTTP 503/);
+    assert.ok(job.runAt > Date.now());
+    assert.equal(deadLetters.length, 0);
+  });
+
+  test("a dropped connection is retried later", async () => {
+    const { job, deadLetters } = await runDelivery("/hangup");
+    assert.equal(job.status, "pending");
+    assert.equal(job.attempts, 1);
+    assert.equal(deadLetters.length, 0);
+  });
+
+  test("redirects aren't followed", async () => {
+    const before = hits("/ok");
+    const result = await deliverWebhook(createWebhook({ url: `${baseUrl}/redirect` }), "reminder_sent", "{}");
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 302);
+    assert.equal(result.permanent, true);
+    assert.equal(hits("/ok"), before);
+  });
+
+  test("loopback, private and link-local URLs are refused without the opt-in", async () => {
+    await withEnv({ WEBHOOK_ALLOW_PRIVATE: undefined }, async () => {
+      for (const url of [`${baseUrl}/ok`, "http://localhost/", "http://10.0.0.5/", "http://169.254.169.254/", "http://[::1]/", "http://[::ffff:127.0.0.1]/"]) {
+        assert.match(await checkWebhookUrl(url), /must point to a public address/, url);
+      }
+
+      const before = received.length;
+      const result = await deliverWebhook(createWebhook({ url: `${baseUrl}/ok` }), "reminder_sent", "{}");
+      assert.equal(result.ok, false);
+      assert.equal(result.permanent, true);
+      assert.equal(received.length, before);
+    });
+  });
+
+  test("plain http is refused without the opt-in", async () => {
+    await withEnv({ WEBHOOK_ALLOW_HTTP: undefined }, async () => {
+      assert.equal(await checkWebhookUrl(`${baseUrl}/ok`), "must start with https://");
+    });
+    assert.equal(await checkWebhookUrl("ftp://example.com/"), "must start with https:// or http://");
+    assert.equal(await checkWebhookUrl("not a url"), "is not a valid URL");
+  });
+});